@@ -0,0 +1,90 @@
+import { issueKey, revokeKey, listKeys, authorizeAdmin } from "../../lib/auth/index.js";
+import { apiError, toApiError } from "../../lib/errors.js";
+import { requestId, envelope, sendOk, sendError } from "../../lib/envelope.js";
+import { field, validate } from "../../lib/schema.js";
+
+/* ============================================================
+   PARAMETERS
+   GET lists keys, POST issues one (the secret is only in that
+   response), DELETE ?id= revokes one. All need the admin token.
+============================================================ */
+
+export const schemas = {
+  GET: {},
+  POST: {
+    body: {
+      name: field.string({ required: true, maxLength: 100, example: "partner-dashboard" }),
+      rateLimit: field.integer({ min: 1, max: 100000, description: "Requests per minute; defaults to API_RATE_LIMIT" }),
+      dailyQuota: field.integer({ min: 1, max: 10000000, description: "Requests per UTC day; defaults to API_DAILY_QUOTA" }),
+      origins: field.array(field.url(), {
+        maxItems: 20,
+        description: "Browser origins allowed to use this key; empty means API_CORS_ORIGINS"
+      })
+    }
+  },
+  DELETE: {
+    query: {
+      id: field.string({ required: true, pattern: /^[0-9a-f]{16}$/, description: "Key ID from the list" })
+    }
+  }
+};
+
+function parseBody(body) {
+  if (!body) return {};
+  if (typeof body === "string") {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+  return body;
+}
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Request-Id");
+  res.setHeader("Cache-Control", "no-store");
+  requestId(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    authorizeAdmin(req);
+
+    switch (req.method) {
+      case "GET":
+        return sendOk(req, res, { keys: await listKeys() });
+
+      case "POST": {
+        const body = parseBody(req.body);
+        if (!body) throw apiError("INVALID_PARAM", "Request body must be JSON", { param: "body" });
+
+        const params = validate(schemas.POST.body, body, "body");
+        // URL parsing adds a trailing slash; an Origin header never has one.
+        const origins = (params.origins || []).map(url => new URL(url).origin);
+
+        const { secret, key } = await issueKey({ ...params, origins });
+        return res.status(201).json(envelope(req, res, { secret, key }));
+      }
+
+      case "DELETE": {
+        const { id } = validate(schemas.DELETE.query, req.query);
+        return sendOk(req, res, { key: await revokeKey(id) });
+      }
+
+      default:
+        res.setHeader("Allow", "GET, POST, DELETE, OPTIONS");
+        throw apiError("METHOD_NOT_ALLOWED", "Use GET, POST or DELETE");
+    }
+  } catch (err) {
+    if (toApiError(err).status >= 500) console.error("ADMIN KEYS API ERROR:", err);
+    return sendError(req, res, err);
+  }
+}
@@ -0,0 +1,70 @@
+import { digestQuery, WINDOW_PATTERN } from "../lib/digest.js";
+import { cacheModeFromQuery, setCacheHeaders } from "../lib/cache/index.js";
+import { toApiError } from "../lib/errors.js";
+import { requestId, sendOk, sendError } from "../lib/envelope.js";
+import { allowOrigin, authorize, cacheScope } from "../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../lib/schema.js";
+
+/* ============================================================
+   PARAMETERS
+============================================================ */
+
+export const schema = {
+  query: {
+    q: field.string({
+      required: true,
+      maxLength: 500,
+      example: "monsoon session parliament"
+    }),
+    window: field.string({
+      pattern: WINDOW_PATTERN,
+      description: "Only articles from the last N hours or days, e.g. 12h, 1d, 7d"
+    }),
+    limit: field.integer({ min: 1, max: 20, default: 10 }),
+    sentences: field.integer({ min: 1, max: 20, default: 8 }),
+    lang: field.lang({ default: "en" }),
+    country: field.country({ default: "IN" }),
+    ...CACHE_PARAMS
+  }
+};
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    await authorize(req, res);
+    const params = validate(schema.query, req.query);
+    const { q, window, limit, sentences, lang, country } = params;
+
+    const { result, cached, cache } = await digestQuery({
+      q,
+      window,
+      limit,
+      sentences,
+      lang,
+      country,
+      cacheMode: cacheModeFromQuery(params)
+    });
+
+    setCacheHeaders(res, cache, cacheScope(req));
+
+    return sendOk(req, res, {
+      cached,
+      ...result
+    });
+  } catch (err) {
+    if (toApiError(err).status >= 500) console.error("DIGEST API ERROR:", err);
+    return sendError(req, res, err);
+  }
+}
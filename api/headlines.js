@@ -0,0 +1,96 @@
+import { googleNewsHeadlines, TOPICS, hash } from "../lib/google_news.js";
+import { expandArticles } from "../lib/scraper.js";
+import { clusterArticles } from "../lib/cluster.js";
+import { cacheModeFromQuery, setCacheHeaders } from "../lib/cache/index.js";
+import { sendJson } from "../lib/conditional.js";
+import { invalidParam, toApiError } from "../lib/errors.js";
+import { requestId, envelope, sendError } from "../lib/envelope.js";
+import { allowOrigin, authorize, cacheScope } from "../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../lib/schema.js";
+
+/* ============================================================
+   PARAMETERS
+============================================================ */
+
+export const schema = {
+  query: {
+    topic: field.enum(TOPICS, {
+      ignoreCase: true,
+      description: "Google News section; omit both topic and geo for top stories"
+    }),
+    geo: field.string({
+      maxLength: 100,
+      description: "Location feed: a city, state or country name",
+      example: "Delhi"
+    }),
+    limit: field.integer({ min: 1, max: 100, default: 20 }),
+    lang: field.lang({ default: "en" }),
+    country: field.country({ default: "IN" }),
+    expand: field.enum(["content"], { description: "Scrape article bodies" }),
+    expandLimit: field.integer({ min: 0, max: 20, default: 5 }),
+    cluster: field.boolean({ default: false, description: "Group articles into stories" }),
+    ...CACHE_PARAMS
+  }
+};
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    await authorize(req, res);
+    const params = validate(schema.query, req.query);
+    const { topic, geo, limit, lang, country, expand, expandLimit, cluster } = params;
+
+    if (topic && geo) {
+      throw invalidParam("geo", "Use either topic or geo, not both");
+    }
+
+    const cacheMode = cacheModeFromQuery(params);
+    const { result, cached, cache } = await googleNewsHeadlines({
+      topic,
+      geo,
+      limit,
+      lang,
+      country,
+      cacheMode
+    });
+
+    const response = { ...result };
+
+    if (expand === "content") {
+      response.articles = await expandArticles(result.articles, {
+        limit: expandLimit,
+        cacheMode
+      });
+      response.expanded = response.articles.filter(a => "fullText" in a).length;
+    }
+
+    if (cluster) {
+      response.clusters = clusterArticles(response.articles);
+      response.totalClusters = response.clusters.length;
+    }
+
+    setCacheHeaders(res, cache, cacheScope(req));
+
+    return sendJson(
+      req,
+      res,
+      envelope(req, res, { cached, ...response }),
+      hash(JSON.stringify(response))
+    );
+  } catch (err) {
+    if (toApiError(err).status >= 500) console.error("HEADLINES API ERROR:", err);
+    return sendError(req, res, err);
+  }
+}
@@ -0,0 +1,92 @@
+import NEWS_SITES from "../news_urls.js";
+import {
+  circuitFor,
+  healthStatus,
+  sourceHealth,
+  publisherHealth
+} from "../../lib/resilience.js";
+import { requestId, sendOk, sendError } from "../../lib/envelope.js";
+import { allowOrigin, authorize } from "../../lib/auth/index.js";
+import { field, validate } from "../../lib/schema.js";
+
+export const schema = {
+  query: {
+    status: field.enum(["healthy", "degraded", "broken", "unknown"]),
+    all: field.boolean({ default: false, description: "Include sources never queried" })
+  }
+};
+
+const hostOf = site => {
+  try {
+    return new URL(site.url("x")).host;
+  } catch {
+    return null;
+  }
+};
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  let params;
+  try {
+    await authorize(req, res);
+    params = validate(schema.query, req.query);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+
+  const { status, all } = params;
+
+  const sources = NEWS_SITES.map(site => {
+    const host = hostOf(site);
+    const summary = sourceHealth(site.name);
+    const circuit = host ? circuitFor(host) : null;
+
+    return {
+      name: site.name,
+      category: site.category,
+      region: site.region,
+      host,
+      status: healthStatus(summary, circuit),
+      circuit,
+      ...(summary || { requests: 0 })
+    };
+  });
+
+  // Sources never queried on this instance are noise unless asked for.
+  const wantAll = all || status === "unknown";
+  const listed = sources.filter(
+    s => (wantAll || s.status !== "unknown") && (!status || s.status === status)
+  );
+
+  const count = key => sources.filter(s => s.status === key).length;
+  const publishers = publisherHealth();
+
+  res.setHeader("Cache-Control", "no-store");
+
+  return sendOk(req, res, {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      sources: sources.length,
+      healthy: count("healthy"),
+      degraded: count("degraded"),
+      broken: count("broken"),
+      unknown: count("unknown"),
+      openCircuits: publishers.filter(p => p.circuit.state !== "closed").length
+    },
+    broken: sources.filter(s => s.status === "broken").map(s => s.name),
+    sources: listed,
+    publishers: publishers.filter(p => !status || p.status === status)
+  });
+}
@@ -0,0 +1,33 @@
+import { ROUTES } from "../lib/routes.js";
+import { API_VERSION } from "../lib/openapi.js";
+import { requestId, sendOk } from "../lib/envelope.js";
+import { allowOrigin } from "../lib/auth/index.js";
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=300");
+
+  return sendOk(req, res, {
+    name: "Reader API",
+    version: API_VERSION,
+    docs: "/api/openapi.json",
+    routes: ROUTES.map(({ path, method, summary, schema }) => ({
+      path,
+      method,
+      summary,
+      parameters: Object.keys({ ...schema.query, ...schema.body })
+    }))
+  });
+}
@@ -1,10 +1,64 @@
+/* ============================================================
+   EXTRACTION PROFILES
+   Optional per-site selectors. Any NEWS_SITES entry may carry a
+   `profile` with these keys (all optional):
+     item     - one search result on the site's search page
+     link     - result link, relative to `item` (default "a[href]")
+     title    - result headline, relative to `item`
+     date     - result date (datetime attr or text), relative to `item`
+     snippet  - result teaser, relative to `item`
+     body     - article body container on article pages
+     remove   - boilerplate selectors stripped before extraction
+============================================================ */
+
+const PROFILES = {
+  indianExpress: {
+    item: ".search-result .articles, .search-result .details",
+    link: "h2 a, h3 a, a",
+    title: "h2, h3",
+    date: ".date, time",
+    snippet: "p",
+    body: "#pcl-full-content, .full-details, .story_details",
+    remove: [
+      ".ie-first-publish", ".also-read", ".ev-meter-content",
+      ".custom-related", ".storytags", ".ie-network-commenting",
+      ".pdsc-related-modify", ".subscriber_hide"
+    ]
+  },
+  ndtv: {
+    item: ".src_lst-li, .news_Itm",
+    link: ".src_itm-ttl a, .newsHdng a, a",
+    title: ".src_itm-ttl, .newsHdng",
+    date: ".src_itm-stx, .posted-by",
+    snippet: ".src_itm-txt, .newsCont",
+    body: "#ins_storybody, .sp-cn, .Art-exp_wr",
+    remove: [
+      ".ins_instory_dv", ".ins_instory_dv_caption", ".add-wrp",
+      ".rltd-stry", ".vjl-hd", ".mt-strybdy", ".rd-mr"
+    ]
+  },
+  theHindu: {
+    item: ".element, .search-result",
+    link: ".title a, h3 a, a",
+    title: ".title, h3",
+    date: ".dateline, .time, time",
+    snippet: ".sub-text, p",
+    body: ".articlebodycontent, [id^='content-body-']",
+    remove: [
+      ".related-stories", ".related-topics", ".articleblock-container",
+      ".comments-shares", ".also-read", ".newsletter-container",
+      ".subscribe-block", ".article-ad"
+    ]
+  }
+};
+
 const NEWS_SITES = [
   // === GENERAL NEWS - INDIA (50 sources) ===
-  { name: "Indian Express", url: q => `https://indianexpress.com/?s=${q}`, category: "general", region: "India" },
+  { name: "Indian Express", url: q => `https://indianexpress.com/?s=${q}`, category: "general", region: "India", profile: PROFILES.indianExpress },
   { name: "Times of India", url: q => `https://timesofindia.indiatimes.com/topic/${q}`, category: "general", region: "India" },
-  { name: "NDTV", url: q => `https://www.ndtv.com/search?searchtext=${q}`, category: "general", region: "India" },
+  { name: "NDTV", url: q => `https://www.ndtv.com/search?searchtext=${q}`, category: "general", region: "India", profile: PROFILES.ndtv },
   { name: "Hindustan Times", url: q => `https://www.hindustantimes.com/search?q=${q}`, category: "general", region: "India" },
-  { name: "The Hindu", url: q => `https://www.thehindu.com/search/?q=${q}`, category: "general", region: "India" },
+  { name: "The Hindu", url: q => `https://www.thehindu.com/search/?q=${q}`, category: "general", region: "India", profile: PROFILES.theHindu },
   { name: "India Today", url: q => `https://www.indiatoday.in/search?searchtext=${q}`, category: "general", region: "India" },
   { name: "News18", url: q => `https://www.news18.com/search?q=${q}`, category: "general", region: "India" },
   { name: "The Wire", url: q => `https://thewire.in/?s=${q}`, category: "general", region: "India" },
@@ -0,0 +1,40 @@
+import { createHash } from "crypto";
+import { buildOpenApi } from "../lib/openapi.js";
+import { sendJson } from "../lib/conditional.js";
+import { requestId, sendError } from "../lib/envelope.js";
+import { allowOrigin } from "../lib/auth/index.js";
+
+const hash = s =>
+  createHash("md5").update(s).digest("hex").slice(0, 12);
+
+// Never derived from Host / X-Forwarded-Host: the document is cached
+// publicly, and one spoofed request would point every reader at
+// another server. Relative to wherever the document was fetched from
+// unless API_PUBLIC_URL is configured.
+const serverUrl = () => (process.env.API_PUBLIC_URL || "").trim().replace(/\/+$/, "") || "/";
+
+/* ============================================================
+   SERVERLESS HANDLER
+   Served without the response envelope: OpenAPI tooling expects
+   the bare document.
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    const spec = buildOpenApi({ serverUrl: serverUrl() });
+    res.setHeader("Cache-Control", "public, max-age=300");
+    return sendJson(req, res, spec, hash(JSON.stringify(spec)));
+  } catch (err) {
+    console.error("OPENAPI ERROR:", err);
+    return sendError(req, res, err);
+  }
+}
@@ -0,0 +1,238 @@
+import { FORMATS } from "../../lib/blocks.js";
+import { IMAGE_SCOPES } from "../../lib/images.js";
+import { searchGoogleNews } from "../../lib/google_news.js";
+import { mapWithConcurrency, withTimeout } from "../../lib/pool.js";
+import {
+  EXTRACTORS,
+  VARIANT_PARAMS,
+  scrapeArticle,
+  presentArticle
+} from "../../lib/scraper.js";
+import { cacheModeFromQuery } from "../../lib/cache/index.js";
+import { apiError, invalidParam, toApiError } from "../../lib/errors.js";
+import { requestId, envelope, sendOk, sendError } from "../../lib/envelope.js";
+import { allowOrigin, authorize } from "../../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../../lib/schema.js";
+
+/* ============================================================
+   PARAMETERS
+============================================================ */
+
+const MAX_URLS = 50;
+
+export const schema = {
+  query: {
+    stream: field.enum(["ndjson"], { description: "Stream results as NDJSON" }),
+    ...CACHE_PARAMS
+  },
+  body: {
+    urls: field.array(field.url(), { maxItems: MAX_URLS }),
+    q: field.string({ maxLength: 200, description: "Google News query used when urls is omitted" }),
+    limit: field.integer({ min: 1, max: MAX_URLS, default: 10 }),
+    lang: field.lang({ default: "en" }),
+    country: field.country({ default: "IN" }),
+    extractor: field.enum(EXTRACTORS, { default: "legacy" }),
+    ...VARIANT_PARAMS,
+    format: field.enum(FORMATS, { default: "text" }),
+    images: field.enum(IMAGE_SCOPES, {
+      default: "article",
+      description: "Images from the article body only, or from the whole page"
+    }),
+    concurrency: field.integer({ min: 1, max: 10, default: 5 }),
+    timeout: field.integer({
+      min: 1000,
+      max: 30000,
+      default: 15000,
+      description: "Per-URL timeout in milliseconds"
+    }),
+    deadline: field.integer({
+      min: 1000,
+      max: 120000,
+      default: 55000,
+      description: "Whole-batch deadline in milliseconds"
+    }),
+    stream: field.boolean({ default: false })
+  }
+};
+
+function parseBody(body) {
+  if (!body) return {};
+  if (typeof body === "string") {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+  return body;
+}
+
+/* ============================================================
+   BATCH RUNNER
+============================================================ */
+
+// Per-item failures use the same error shape as whole-request ones.
+function itemError(index, url, err) {
+  const apiErr = toApiError(err);
+  return {
+    index,
+    url,
+    success: false,
+    error: {
+      code: apiErr.code,
+      status: apiErr.status,
+      message: apiErr.message,
+      ...(apiErr.details ? { details: apiErr.details } : {})
+    }
+  };
+}
+
+async function scrapeOne(url, index, { mode, variant, pages, format, images, timeout, deadlineAt, cacheMode }) {
+  const remaining = deadlineAt - Date.now();
+
+  if (remaining <= 0) {
+    return itemError(
+      index,
+      url,
+      apiError("DEADLINE_EXCEEDED", "Batch deadline reached before this URL started")
+    );
+  }
+
+  try {
+    const { result, cached } = await withTimeout(
+      scrapeArticle(url, { mode, variant, pages, timeout, cacheMode }),
+      Math.min(timeout, remaining),
+      "Scrape"
+    );
+
+    return {
+      index,
+      url,
+      success: true,
+      cached,
+      ...presentArticle(result, format, images)
+    };
+  } catch (err) {
+    return itemError(index, url, err);
+  }
+}
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST, OPTIONS");
+    return sendError(req, res, apiError("METHOD_NOT_ALLOWED", "Use POST"));
+  }
+
+  try {
+    await authorize(req, res);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+
+  const startTime = Date.now();
+  const body = parseBody(req.body);
+
+  if (!body) {
+    return sendError(req, res, invalidParam("body", "Request body must be JSON"));
+  }
+
+  let query;
+  let params;
+  try {
+    query = validate(schema.query, req.query);
+    params = validate(schema.body, body, "body");
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+
+  const { urls, q, lang, country, format, images } = params;
+  const stream = params.stream || query.stream === "ndjson";
+
+  if (!urls?.length && !q) {
+    return sendError(
+      req,
+      res,
+      invalidParam("urls", "Provide urls or q", {
+        example: { urls: ["https://example.com/story"] },
+        exampleQuery: { q: "chandrayaan", limit: 10 }
+      })
+    );
+  }
+
+  const options = {
+    mode: params.extractor,
+    variant: params.variant,
+    pages: params.pages,
+    format,
+    images,
+    timeout: params.timeout,
+    deadlineAt: startTime + params.deadline,
+    cacheMode: cacheModeFromQuery(query)
+  };
+  const concurrency = params.concurrency;
+
+  let targets = urls || [];
+
+  if (!targets.length) {
+    try {
+      const { result } = await searchGoogleNews({
+        q,
+        limit: params.limit,
+        lang,
+        country,
+        cacheMode: options.cacheMode
+      });
+      targets = result.articles.map(a => a.link).filter(Boolean);
+    } catch (err) {
+      return sendError(req, res, err);
+    }
+  }
+
+  targets = [...new Set(targets)].slice(0, MAX_URLS);
+
+  const summarize = items => ({
+    query: q || null,
+    total: items.length,
+    succeeded: items.filter(i => i.success).length,
+    failed: items.filter(i => !i.success).length,
+    elapsedMs: Date.now() - startTime
+  });
+
+  if (stream) {
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.status(200);
+    res.flushHeaders?.();
+
+    const items = await mapWithConcurrency(targets, concurrency, async (url, index) => {
+      const item = await scrapeOne(url, index, options);
+      res.write(`${JSON.stringify({ type: "item", ...item })}\n`);
+      return item;
+    });
+
+    res.write(`${JSON.stringify({ type: "summary", ...envelope(req, res, summarize(items)) })}\n`);
+    return res.end();
+  }
+
+  const items = await mapWithConcurrency(targets, concurrency, (url, index) =>
+    scrapeOne(url, index, options)
+  );
+
+  return sendOk(req, res, {
+    ...summarize(items),
+    items
+  });
+}
@@ -1,123 +1,89 @@
-import axios from "axios";
-import Parser from "rss-parser";
-import { createHash } from "crypto";
-
-const parser = new Parser();
+import { searchGoogleNews, hash } from "../lib/google_news.js";
+import { expandArticles } from "../lib/scraper.js";
+import { clusterArticles } from "../lib/cluster.js";
+import { cacheModeFromQuery, setCacheHeaders } from "../lib/cache/index.js";
+import { sendJson } from "../lib/conditional.js";
+import { toApiError } from "../lib/errors.js";
+import { requestId, envelope, sendError } from "../lib/envelope.js";
+import { allowOrigin, authorize, cacheScope } from "../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../lib/schema.js";
 
 /* ============================================================
-   SIMPLE IN-MEMORY CACHE (WARM ONLY)
+   PARAMETERS
 ============================================================ */
 
-const CACHE = new Map();
-const TTL = 5 * 60 * 1000; // 5 minutes
-
-function getCache(key) {
-  const v = CACHE.get(key);
-  if (!v) return null;
-  if (Date.now() - v.time > TTL) {
-    CACHE.delete(key);
-    return null;
+export const schema = {
+  query: {
+    q: field.string({
+      required: true,
+      maxLength: 500,
+      description: "Google News search query",
+      example: "recent bomb attack in delhi"
+    }),
+    limit: field.integer({ min: 1, max: 100, default: 20 }),
+    lang: field.lang({ default: "en" }),
+    country: field.country({ default: "IN" }),
+    expand: field.enum(["content"], { description: "Scrape article bodies" }),
+    expandLimit: field.integer({ min: 0, max: 20, default: 5 }),
+    cluster: field.boolean({ default: false, description: "Group articles into stories" }),
+    ...CACHE_PARAMS
   }
-  return v.data;
-}
-
-function setCache(key, data) {
-  CACHE.set(key, { data, time: Date.now() });
-}
-
-const hash = s =>
-  createHash("md5").update(s).digest("hex").slice(0, 12);
-
-/* ============================================================
-   GOOGLE NEWS RSS BUILDER
-============================================================ */
-
-function googleNewsRSS({ q, lang = "en", country = "IN" }) {
-  return `https://news.google.com/rss/search?q=${encodeURIComponent(
-    q
-  )}&hl=${lang}-${country}&gl=${country}&ceid=${country}:${lang}`;
-}
+};
 
 /* ============================================================
    SERVERLESS HANDLER
 ============================================================ */
 
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
   }
 
   try {
-    const {
+    await authorize(req, res);
+    const params = validate(schema.query, req.query);
+    const { q, limit, lang, country, expand, expandLimit, cluster } = params;
+
+    const cacheMode = cacheModeFromQuery(params);
+    const { result, cached, cache } = await searchGoogleNews({
       q,
-      limit = 20,
-      lang = "en",
-      country = "IN"
-    } = req.query;
+      limit,
+      lang,
+      country,
+      cacheMode
+    });
 
-    if (!q) {
-      return res.status(400).json({
-        error: "Missing ?q parameter",
-        example: "/api/search?q=recent bomb attack in delhi"
-      });
-    }
+    const response = { ...result };
 
-    const cacheKey = hash(`${q}|${limit}|${lang}|${country}`);
-    const cached = getCache(cacheKey);
-    if (cached) {
-      return res.json({
-        success: true,
-        cached: true,
-        ...cached
+    if (expand === "content") {
+      response.articles = await expandArticles(result.articles, {
+        limit: expandLimit,
+        cacheMode
       });
+      response.expanded = response.articles.filter(a => "fullText" in a).length;
     }
 
-    const rssUrl = googleNewsRSS({ q, lang, country });
-
-    // 🔥 IMPORTANT: fetch RSS manually (prevents 500)
-    const rssResponse = await axios.get(rssUrl, {
-      timeout: 12000,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64)"
-      }
-    });
-
-    const feed = await parser.parseString(rssResponse.data);
-
-    const articles = (feed.items || [])
-      .slice(0, Number(limit))
-      .map(item => ({
-        title: item.title || "",
-        link: item.link || "",
-        publishedAt: item.pubDate || null,
-        source: item.source?.title || "Google News",
-        description: item.contentSnippet || ""
-      }));
-
-    const result = {
-      query: q,
-      total: articles.length,
-      articles
-    };
+    if (cluster) {
+      response.clusters = clusterArticles(response.articles);
+      response.totalClusters = response.clusters.length;
+    }
 
-    setCache(cacheKey, result);
+    setCacheHeaders(res, cache, cacheScope(req));
 
-    return res.json({
-      success: true,
-      cached: false,
-      ...result
-    });
+    // The ETag covers the content, not whether it came from cache.
+    return sendJson(
+      req,
+      res,
+      envelope(req, res, { cached, ...response }),
+      hash(JSON.stringify(response))
+    );
   } catch (err) {
-    console.error("SEARCH API ERROR:", err);
-
-    return res.status(500).json({
-      error: "Google News RSS fetch failed",
-      message: err.message || "Unknown error"
-    });
+    if (toApiError(err).status >= 500) console.error("SEARCH API ERROR:", err);
+    return sendError(req, res, err);
   }
 }
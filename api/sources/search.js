@@ -0,0 +1,117 @@
+import { createHash } from "crypto";
+import { searchSources, CATEGORIES, REGIONS } from "../../lib/sources.js";
+import {
+  cache,
+  isCached,
+  cacheModeFromQuery,
+  setCacheHeaders
+} from "../../lib/cache/index.js";
+import { apiError, toApiError } from "../../lib/errors.js";
+import { requestId, sendOk, sendError } from "../../lib/envelope.js";
+import { allowOrigin, authorize, cacheScope } from "../../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../../lib/schema.js";
+
+const hash = s =>
+  createHash("md5").update(s).digest("hex").slice(0, 12);
+
+/* ============================================================
+   PARAMETERS
+============================================================ */
+
+export const schema = {
+  query: {
+    q: field.string({ required: true, maxLength: 200, example: "chandrayaan" }),
+    category: field.enum(CATEGORIES, { ignoreCase: true }),
+    region: field.enum(REGIONS, { ignoreCase: true }),
+    limit: field.integer({ min: 1, max: 200, default: 50 }),
+    sources: field.integer({
+      min: 1,
+      max: 60,
+      default: 25,
+      description: "Maximum number of NEWS_SITES entries to query"
+    }),
+    concurrency: field.integer({ min: 1, max: 12, default: 6 }),
+    timeout: field.integer({
+      min: 1000,
+      max: 20000,
+      default: 8000,
+      description: "Per-source timeout in milliseconds"
+    }),
+    ...CACHE_PARAMS
+  }
+};
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    await authorize(req, res);
+    const params = validate(schema.query, req.query);
+    const { q, category, region } = params;
+
+    const options = {
+      category,
+      region,
+      limit: params.limit,
+      maxSources: params.sources,
+      concurrency: params.concurrency,
+      timeout: params.timeout
+    };
+
+    const cacheKey = hash(JSON.stringify({ q, ...options }));
+
+    const { value: result, meta } = await cache.wrap(
+      "sources",
+      cacheKey,
+      async () => {
+        const { sources, articles } = await searchSources(q, options);
+
+        const statusCounts = {};
+        for (const s of sources) {
+          statusCounts[s.status] = (statusCounts[s.status] || 0) + 1;
+        }
+
+        return {
+          query: q,
+          filters: { category: category || null, region: region || null },
+          total: articles.length,
+          articles,
+          sources,
+          statusCounts
+        };
+      },
+      { mode: cacheModeFromQuery(params) }
+    );
+
+    if (!result.sources.length) {
+      return sendError(
+        req,
+        res,
+        apiError("NOT_FOUND", "No NEWS_SITES entries match the given filters", {
+          filters: result.filters
+        })
+      );
+    }
+
+    setCacheHeaders(res, meta, cacheScope(req));
+
+    return sendOk(req, res, {
+      cached: isCached(meta),
+      ...result
+    });
+  } catch (err) {
+    if (toApiError(err).status >= 500) console.error("SOURCES SEARCH API ERROR:", err);
+    return sendError(req, res, err);
+  }
+}
@@ -0,0 +1,68 @@
+import { SUMMARY_METHODS } from "../lib/summarize.js";
+import { EXTRACTORS, VARIANT_PARAMS, summarizeArticle } from "../lib/scraper.js";
+import { cacheModeFromQuery, setCacheHeaders } from "../lib/cache/index.js";
+import { toApiError } from "../lib/errors.js";
+import { requestId, sendOk, sendError } from "../lib/envelope.js";
+import { allowOrigin, authorize, cacheScope } from "../lib/auth/index.js";
+import { field, validate, CACHE_PARAMS } from "../lib/schema.js";
+
+/* ============================================================
+   PARAMETERS
+============================================================ */
+
+export const schema = {
+  query: {
+    url: field.url({
+      required: true,
+      example: "https://www.thehindu.com/news/national/article123.ece"
+    }),
+    method: field.enum(SUMMARY_METHODS, { default: "frequency" }),
+    sentences: field.integer({ min: 1, max: 10, default: 3 }),
+    extractor: field.enum(EXTRACTORS, { default: "legacy" }),
+    ...VARIANT_PARAMS,
+    ...CACHE_PARAMS
+  }
+};
+
+/* ============================================================
+   SERVERLESS HANDLER
+============================================================ */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-API-Key, Authorization");
+  requestId(req, res);
+  allowOrigin(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    await authorize(req, res);
+    const params = validate(schema.query, req.query);
+    const { url, method, sentences, extractor: mode, variant, pages } = params;
+
+    const { result, summary, cached, cache } = await summarizeArticle(url, {
+      mode,
+      variant,
+      pages,
+      method,
+      sentences,
+      cacheMode: cacheModeFromQuery(params)
+    });
+
+    setCacheHeaders(res, cache, cacheScope(req));
+
+    return sendOk(req, res, {
+      cached,
+      originalUrl: result.originalUrl,
+      resolvedUrl: result.resolvedUrl,
+      title: result.metadata.headline || result.metadata.title,
+      summary
+    });
+  } catch (err) {
+    if (toApiError(err).status >= 500) console.error("SUMMARIZE API ERROR:", err.message);
+    return sendError(req, res, err);
+  }
+}
@@ -0,0 +1,315 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { MemoryKeyStore } from "./memory.js";
+import { RedisKeyStore } from "./redis.js";
+import { apiError } from "../errors.js";
+
+/* ============================================================
+   API KEYS, RATE LIMITS & QUOTAS
+   A key arrives as `X-API-Key`, `Authorization: Bearer <key>` or
+   `?api_key=`. Only its SHA-256 is stored; the first 16 hex chars
+   double as the public key ID. Every request is counted against a
+   per-minute rate limit and a per-UTC-day quota. Anonymous callers
+   (when keys are optional) are only counted, per client IP, if the
+   API_ANON_* limits are set.
+
+   API_KEYS_REQUIRED     reject requests without a key (default false)
+   API_KEYS              keys fixed by config: "name:secret,name:secret"
+   API_KEY_BACKEND       memory (default) | redis (uses REDIS_URL)
+   API_RATE_LIMIT        requests per minute per key (60)
+   API_DAILY_QUOTA       requests per day per key (5000)
+   API_ANON_RATE_LIMIT   requests per minute per anonymous IP (unlimited)
+   API_ANON_DAILY_QUOTA  requests per day per anonymous IP (unlimited)
+   API_CORS_ORIGINS      origins allowed without a key-level list ("*")
+   API_ADMIN_TOKEN       bearer token for /api/admin/keys
+============================================================ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const envInt = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+const list = value =>
+  String(value || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+
+export const authPolicy = () => ({
+  required: ["1", "true"].includes(String(process.env.API_KEYS_REQUIRED).toLowerCase()),
+  rateLimit: envInt("API_RATE_LIMIT", 60),
+  dailyQuota: envInt("API_DAILY_QUOTA", 5000),
+  // null: not limited.
+  anonRateLimit: envInt("API_ANON_RATE_LIMIT", null),
+  anonDailyQuota: envInt("API_ANON_DAILY_QUOTA", null),
+  origins: list(process.env.API_CORS_ORIGINS || "*")
+});
+
+function createKeyStore(env = process.env) {
+  if ((env.API_KEY_BACKEND || "memory").toLowerCase() === "redis") {
+    return new RedisKeyStore({ url: env.REDIS_URL || undefined });
+  }
+  return new MemoryKeyStore();
+}
+
+export const keyStore = createKeyStore();
+
+/* ============================================================
+   KEYS
+============================================================ */
+
+const sha256 = s => createHash("sha256").update(s).digest("hex");
+
+const keyId = secret => sha256(secret).slice(0, 16);
+
+function configuredKeys() {
+  const keys = new Map();
+
+  for (const entry of list(process.env.API_KEYS)) {
+    const at = entry.indexOf(":");
+    const name = at > 0 ? entry.slice(0, at) : "config";
+    const secret = at > 0 ? entry.slice(at + 1) : entry;
+    const id = keyId(secret);
+    keys.set(id, { id, name, hash: sha256(secret), origins: [], configured: true });
+  }
+
+  return keys;
+}
+
+const CONFIGURED = configuredKeys();
+
+/**
+ * Creates and stores a key; the secret is only ever returned here.
+ */
+export async function issueKey({ name, rateLimit, dailyQuota, origins = [] }) {
+  const secret = `rk_${randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: keyId(secret),
+    name,
+    hash: sha256(secret),
+    rateLimit: rateLimit ?? null,
+    dailyQuota: dailyQuota ?? null,
+    origins,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  await keyStore.saveKey(record);
+  return { secret, key: publicKey(record) };
+}
+
+export async function revokeKey(id) {
+  if (CONFIGURED.has(id)) {
+    throw apiError("FORBIDDEN", "Keys from API_KEYS can only be removed from configuration");
+  }
+
+  const record = await keyStore.getKey(id);
+  if (!record) throw apiError("NOT_FOUND", `No API key with id ${id}`);
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await keyStore.saveKey(record);
+  }
+  return publicKey(record);
+}
+
+export async function listKeys() {
+  const stored = await keyStore.listKeys();
+  return [...CONFIGURED.values(), ...stored].map(publicKey);
+}
+
+// Everything but the hash.
+export function publicKey({ hash, ...record }) {
+  return record;
+}
+
+async function findKey(secret) {
+  const id = keyId(secret);
+  const record = CONFIGURED.get(id) || (await keyStore.getKey(id));
+  if (!record) return null;
+
+  const expected = Buffer.from(record.hash, "hex");
+  const actual = Buffer.from(sha256(secret), "hex");
+  return timingSafeEqual(expected, actual) ? record : null;
+}
+
+function presentedKey(req) {
+  const header = req.headers?.["x-api-key"];
+  if (typeof header === "string" && header) return header.trim();
+
+  const auth = req.headers?.authorization;
+  if (typeof auth === "string" && /^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+
+  const query = req.query?.api_key;
+  return typeof query === "string" && query ? query.trim() : null;
+}
+
+// The client can send any X-Forwarded-For it likes; only the address
+// the platform itself records (X-Real-IP, or the hop it appended
+// last) identifies the connection.
+function clientIp(req) {
+  const real = req.headers?.["x-real-ip"];
+  if (typeof real === "string" && real.trim()) return real.trim();
+
+  const forwarded = req.headers?.["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",").map(s => s.trim()).filter(Boolean).pop();
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+/* ============================================================
+   CORS
+   Preflights reflect the caller's Origin: a browser still checks
+   the real response, which only carries Access-Control-Allow-Origin
+   when the key (or API_CORS_ORIGINS) allows that origin.
+============================================================ */
+
+const originAllowed = (origins, origin) => origins.includes("*") || origins.includes(origin);
+
+function setOrigin(req, res, origins) {
+  const origin = req.headers?.origin;
+
+  if (origins.includes("*")) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    return;
+  }
+
+  res.setHeader("Vary", "Origin");
+  if (origin && origins.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  } else {
+    res.removeHeader?.("Access-Control-Allow-Origin");
+  }
+}
+
+export function allowOrigin(req, res) {
+  const origin = req.headers?.origin;
+
+  if (req.method === "OPTIONS" && origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+    return;
+  }
+
+  setOrigin(req, res, authPolicy().origins);
+}
+
+/* ============================================================
+   RATE LIMITING
+============================================================ */
+
+function setLimitHeaders(res, prefix, limit, { count, resetAt }) {
+  res.setHeader(`${prefix}-Limit`, String(limit));
+  res.setHeader(`${prefix}-Remaining`, String(Math.max(0, limit - count)));
+  res.setHeader(`${prefix}-Reset`, String(Math.ceil(resetAt / 1000)));
+}
+
+// A null limit isn't counted at all.
+async function consume(subject, { rateLimit, dailyQuota }, res) {
+  const now = Date.now();
+  const day = new Date(now).toISOString().slice(0, 10);
+  const endOfDay = Date.parse(`${day}T00:00:00Z`) + DAY;
+
+  const minute = rateLimit == null ? null : await keyStore.increment(`rate:${subject}`, MINUTE);
+  const throttled = minute !== null && minute.count > rateLimit;
+
+  // A throttled request only reads the daily counter: retrying after
+  // a 429 mustn't use up the day's quota.
+  const daily =
+    dailyQuota == null
+      ? null
+      : await keyStore.increment(`quota:${subject}:${day}`, endOfDay - now, throttled ? 0 : 1);
+
+  if (minute) setLimitHeaders(res, "X-RateLimit", rateLimit, minute);
+  if (daily) setLimitHeaders(res, "X-RateLimit-Quota", dailyQuota, daily);
+
+  const exceeded = (counter, limit, message) => {
+    const err = apiError("RATE_LIMITED", message, {
+      limit,
+      resetAt: new Date(counter.resetAt).toISOString()
+    });
+    err.retryAfter = Math.max(1, Math.ceil((counter.resetAt - now) / 1000));
+    return err;
+  };
+
+  if (throttled) {
+    throw exceeded(minute, rateLimit, `Rate limit of ${rateLimit} requests per minute exceeded`);
+  }
+  if (daily && daily.count > dailyQuota) {
+    throw exceeded(daily, dailyQuota, `Daily quota of ${dailyQuota} requests used up`);
+  }
+}
+
+/**
+ * Identifies the caller, applies its CORS allowlist and counts the
+ * request. Throws UNAUTHORIZED, FORBIDDEN or RATE_LIMITED; resolves
+ * to the key record, or null for an anonymous caller.
+ */
+export async function authorize(req, res) {
+  const policy = authPolicy();
+  const secret = presentedKey(req);
+
+  if (!secret) {
+    if (policy.required) {
+      throw apiError("UNAUTHORIZED", "An API key is required (X-API-Key header or api_key parameter)");
+    }
+
+    await consume(`ip:${clientIp(req)}`, {
+      rateLimit: policy.anonRateLimit,
+      dailyQuota: policy.anonDailyQuota
+    }, res);
+    return null;
+  }
+
+  const key = await findKey(secret);
+
+  if (!key || key.revokedAt) {
+    throw apiError("UNAUTHORIZED", key ? "API key has been revoked" : "Unknown API key");
+  }
+
+  if (key.origins?.length) {
+    const origin = req.headers?.origin;
+    if (origin && !originAllowed(key.origins, origin)) {
+      res.removeHeader?.("Access-Control-Allow-Origin");
+      throw apiError("FORBIDDEN", `Origin ${origin} is not allowed for this API key`);
+    }
+    setOrigin(req, res, key.origins);
+  }
+
+  await consume(`key:${key.id}`, {
+    rateLimit: key.rateLimit ?? policy.rateLimit,
+    dailyQuota: key.dailyQuota ?? policy.dailyQuota
+  }, res);
+
+  req.apiKey = publicKey(key);
+  return req.apiKey;
+}
+
+/**
+ * "private" once a key was presented or keys are required: a shared
+ * cache must not serve such a response to other callers, which would
+ * skip both the key check and the caller's quota.
+ */
+export const cacheScope = req => (req.apiKey || authPolicy().required ? "private" : "public");
+
+/**
+ * Constant-time check of `Authorization: Bearer <API_ADMIN_TOKEN>`.
+ */
+export function authorizeAdmin(req) {
+  const token = process.env.API_ADMIN_TOKEN;
+  if (!token) throw apiError("FORBIDDEN", "Key administration is disabled (API_ADMIN_TOKEN is not set)");
+
+  const auth = req.headers?.authorization;
+  const given = typeof auth === "string" ? auth.replace(/^bearer\s+/i, "").trim() : "";
+
+  const a = Buffer.from(sha256(given), "hex");
+  const b = Buffer.from(sha256(token), "hex");
+  if (!given || !timingSafeEqual(a, b)) {
+    throw apiError("UNAUTHORIZED", "Admin token required");
+  }
+}
@@ -0,0 +1,48 @@
+/* ============================================================
+   IN-MEMORY KEY STORE (WARM INSTANCE ONLY)
+   Keys issued here and their counters vanish on a cold start;
+   use it for tests and single-instance deployments.
+============================================================ */
+
+export class MemoryKeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.counters = new Map();
+  }
+
+  async getKey(id) {
+    return this.keys.get(id) || null;
+  }
+
+  async saveKey(record) {
+    this.keys.set(record.id, record);
+  }
+
+  async listKeys() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Adds `amount` to the fixed-window counter `name`, which expires
+   * `windowMs` after its first hit. Returns `{ count, resetAt }`.
+   */
+  async increment(name, windowMs, amount = 1) {
+    const now = Date.now();
+    let counter = this.counters.get(name);
+
+    if (!counter || now >= counter.resetAt) {
+      if (this.counters.size > 10000) this.sweep(now);
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(name, counter);
+    }
+
+    counter.count += amount;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  sweep(now) {
+    for (const [name, counter] of this.counters) {
+      if (now >= counter.resetAt) this.counters.delete(name);
+    }
+  }
+}
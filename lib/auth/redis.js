@@ -0,0 +1,49 @@
+import { RedisStore } from "../cache/redis.js";
+
+/* ============================================================
+   REDIS-PROTOCOL KEY STORE
+   Shares counters and issued keys across instances. Reuses the
+   cache's RESP client; records live under `<prefix>key:<id>`
+   with their IDs in the `<prefix>keys` set.
+============================================================ */
+
+export class RedisKeyStore {
+  constructor({ url, prefix = "reader:auth:" } = {}) {
+    this.client = new RedisStore({ url, prefix });
+    this.prefix = prefix;
+  }
+
+  command(...args) {
+    return this.client.command(...args);
+  }
+
+  async getKey(id) {
+    return this.client.get(`key:${id}`);
+  }
+
+  async saveKey(record) {
+    await this.command("SET", `${this.prefix}key:${record.id}`, JSON.stringify(record));
+    await this.command("SADD", `${this.prefix}keys`, record.id);
+  }
+
+  async listKeys() {
+    const ids = (await this.command("SMEMBERS", `${this.prefix}keys`)) || [];
+    const records = await Promise.all(ids.map(id => this.getKey(id)));
+    return records.filter(Boolean);
+  }
+
+  async increment(name, windowMs, amount = 1) {
+    const key = `${this.prefix}count:${name}`;
+    const count = await this.command("INCRBY", key, amount);
+
+    // First hit opens the window; PTTL says how much of it is left.
+    if (count === amount) await this.command("PEXPIRE", key, windowMs);
+    let ttl = await this.command("PTTL", key);
+    if (ttl < 0) {
+      await this.command("PEXPIRE", key, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+}
@@ -0,0 +1,360 @@
+import { linkDensity } from "./readability.js";
+
+/* ============================================================
+   STRUCTURED ARTICLE BLOCKS
+   Block shapes:
+     { type: "paragraph", text }
+     { type: "heading", level, text }
+     { type: "list", ordered, items: [text] }
+     { type: "blockquote", text }
+     { type: "figure", src, alt, caption }
+     { type: "image", src, alt }
+============================================================ */
+
+const CONTAINER_TAGS = new Set([
+  "div", "section", "article", "main", "header", "center"
+]);
+const SKIP_TAGS = new Set([
+  "script", "style", "noscript", "iframe", "svg", "button", "form",
+  "input", "select", "textarea", "template", "video", "audio", "canvas"
+]);
+const BLOCK_TAGS = new Set([
+  "p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "blockquote",
+  "figure", "img", "picture", "table", "pre", "hr", "br", "dl",
+  ...CONTAINER_TAGS
+]);
+
+export const FORMATS = ["text", "markdown", "html", "blocks"];
+
+const squash = s => s.replace(/\s+/g, " ").trim();
+
+// Short runs of mostly-link text are navigation ("Related", tag lists).
+const isLinkList = (text, density) => density > 0.5 && text.length < 200;
+
+function imageSource($img, baseUrl) {
+  const src =
+    $img.attr("src") ||
+    $img.attr("data-src") ||
+    $img.attr("data-lazy-src") ||
+    "";
+  if (!src || src.startsWith("data:")) return null;
+
+  try {
+    const url = new URL(src, baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ============================================================
+   DOM → BLOCKS
+============================================================ */
+
+function walk($, el, baseUrl, blocks) {
+  let inline = "";
+  let linkChars = 0;
+
+  const flush = () => {
+    const text = squash(inline);
+    if (text && !isLinkList(text, linkChars / text.length)) {
+      blocks.push({ type: "paragraph", text });
+    }
+    inline = "";
+    linkChars = 0;
+  };
+
+  for (const child of el.children || []) {
+    if (child.type === "text") {
+      inline += child.data;
+      continue;
+    }
+    if (child.type !== "tag") continue;
+
+    const tag = child.tagName;
+    if (SKIP_TAGS.has(tag)) continue;
+
+    if (!BLOCK_TAGS.has(tag)) {
+      const text = $(child).text();
+      inline += text;
+      linkChars += tag === "a"
+        ? squash(text).length
+        : squash($(child).find("a").text()).length;
+      continue;
+    }
+
+    flush();
+    blockFor($, child, tag, baseUrl, blocks);
+  }
+
+  flush();
+}
+
+function blockFor($, el, tag, baseUrl, blocks) {
+  const $el = $(el);
+
+  if (CONTAINER_TAGS.has(tag)) {
+    walk($, el, baseUrl, blocks);
+    return;
+  }
+
+  switch (tag) {
+    case "p": {
+      const text = squash($el.text());
+      if (text) {
+        if (!isLinkList(text, linkDensity($, $el))) {
+          blocks.push({ type: "paragraph", text });
+        }
+      } else {
+        $el.find("img").each((_, img) => blockFor($, img, "img", baseUrl, blocks));
+      }
+      return;
+    }
+
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6": {
+      const text = squash($el.text());
+      if (text) blocks.push({ type: "heading", level: Number(tag[1]), text });
+      return;
+    }
+
+    case "ul":
+    case "ol": {
+      const items = $el
+        .children("li")
+        .map((_, li) => squash($(li).text()))
+        .get()
+        .filter(Boolean);
+      if (items.length) blocks.push({ type: "list", ordered: tag === "ol", items });
+      return;
+    }
+
+    case "blockquote": {
+      const text = squash($el.text());
+      if (text) blocks.push({ type: "blockquote", text });
+      return;
+    }
+
+    case "figure": {
+      const $img = $el.find("img").first();
+      const src = $img.length ? imageSource($img, baseUrl) : null;
+      const caption = squash($el.find("figcaption").text());
+      if (src) {
+        blocks.push({ type: "figure", src, alt: $img.attr("alt") || "", caption });
+      } else if (caption) {
+        blocks.push({ type: "paragraph", text: caption });
+      }
+      return;
+    }
+
+    case "picture":
+    case "img": {
+      const $img = tag === "img" ? $el : $el.find("img").first();
+      const src = $img.length ? imageSource($img, baseUrl) : null;
+      if (src) blocks.push({ type: "image", src, alt: $img.attr("alt") || "" });
+      return;
+    }
+
+    case "pre":
+    case "table":
+    case "dl": {
+      const text = squash($el.text());
+      if (text) blocks.push({ type: "paragraph", text });
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+/**
+ * Converts the extracted content container(s) into an ordered list of
+ * typed blocks. Consecutive duplicates (teaser repeated as first
+ * paragraph, doubled captions) are dropped.
+ */
+export function extractBlocks($, nodes, baseUrl) {
+  const blocks = [];
+
+  for (const node of nodes) {
+    const tag = node.tagName;
+    if (BLOCK_TAGS.has(tag)) {
+      blockFor($, node, tag, baseUrl, blocks);
+    } else {
+      walk($, node, baseUrl, blocks);
+    }
+  }
+
+  return blocks.filter((block, i) => {
+    const prev = blocks[i - 1];
+    return !prev || JSON.stringify(prev) !== JSON.stringify(block);
+  });
+}
+
+/* ============================================================
+   RENDERERS
+============================================================ */
+
+function renderText(blocks) {
+  return blocks
+    .map(b => {
+      switch (b.type) {
+        case "list":
+          return b.items
+            .map((item, i) => (b.ordered ? `${i + 1}. ${item}` : `- ${item}`))
+            .join("\n");
+        case "figure":
+          return b.caption;
+        case "image":
+          return "";
+        default:
+          return b.text;
+      }
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+const escapeMarkdown = s => s.replace(/([\\`*_[\]<>])/g, "\\$1");
+
+// Text that opens a line must not start a heading, list, rule or
+// ordered-list item of its own.
+const escapeLineStart = s =>
+  escapeMarkdown(s)
+    .replace(/^([#+=-])/, "\\$1")
+    .replace(/^(\d+)([.)])(?=\s|$)/, "$1\\$2");
+
+// encodeURIComponent leaves parentheses alone, and an unbalanced ")"
+// would end the link early.
+const markdownUrl = s =>
+  s.replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+function renderMarkdown(blocks) {
+  return blocks
+    .map(b => {
+      switch (b.type) {
+        case "heading":
+          return `${"#".repeat(b.level)} ${escapeMarkdown(b.text)}`;
+        case "list":
+          return b.items
+            .map((item, i) =>
+              `${b.ordered ? `${i + 1}.` : "-"} ${escapeLineStart(item)}`
+            )
+            .join("\n");
+        case "blockquote":
+          return `> ${escapeLineStart(b.text)}`;
+        case "figure":
+          return [
+            `![${escapeMarkdown(b.alt)}](${markdownUrl(b.src)})`,
+            b.caption ? `*${escapeMarkdown(b.caption)}*` : ""
+          ]
+            .filter(Boolean)
+            .join("\n");
+        case "image":
+          return `![${escapeMarkdown(b.alt)}](${markdownUrl(b.src)})`;
+        default:
+          return escapeLineStart(b.text);
+      }
+    })
+    .join("\n\n");
+}
+
+/*
+ * HTML is built from blocks rather than copied from the page, so only
+ * these tags and attributes can ever appear in the output.
+ */
+const HTML_WHITELIST = {
+  p: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [],
+  ol: [],
+  li: [],
+  blockquote: [],
+  figure: [],
+  figcaption: [],
+  img: ["src", "alt"]
+};
+
+const escapeHtml = s =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function tag(name, attrs, inner = "") {
+  const allowed = HTML_WHITELIST[name];
+  if (!allowed) return escapeHtml(inner);
+
+  const attrText = Object.entries(attrs || {})
+    .filter(([key, value]) => allowed.includes(key) && value != null)
+    .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+    .join("");
+
+  return name === "img"
+    ? `<img${attrText}>`
+    : `<${name}${attrText}>${inner}</${name}>`;
+}
+
+function renderHtml(blocks) {
+  return blocks
+    .map(b => {
+      switch (b.type) {
+        case "heading":
+          return tag(`h${b.level}`, null, escapeHtml(b.text));
+        case "list":
+          return tag(
+            b.ordered ? "ol" : "ul",
+            null,
+            b.items.map(item => tag("li", null, escapeHtml(item))).join("")
+          );
+        case "blockquote":
+          return tag("blockquote", null, tag("p", null, escapeHtml(b.text)));
+        case "figure": {
+          const src = safeUrl(b.src);
+          if (!src) return "";
+          return tag(
+            "figure",
+            null,
+            tag("img", { src, alt: b.alt }) +
+              (b.caption ? tag("figcaption", null, escapeHtml(b.caption)) : "")
+          );
+        }
+        case "image": {
+          const src = safeUrl(b.src);
+          return src ? tag("img", { src, alt: b.alt }) : "";
+        }
+        default:
+          return tag("p", null, escapeHtml(b.text));
+      }
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function renderBlocks(blocks, format = "text") {
+  switch (format) {
+    case "blocks":
+      return blocks;
+    case "markdown":
+      return renderMarkdown(blocks);
+    case "html":
+      return renderHtml(blocks);
+    default:
+      return renderText(blocks);
+  }
+}
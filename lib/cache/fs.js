@@ -0,0 +1,100 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+/* ============================================================
+   FILESYSTEM STORE
+   One JSON file per key. Survives warm restarts on the same
+   instance (and cold starts where the directory is persistent).
+============================================================ */
+
+const PRUNE_EVERY = 25;
+
+export class FileStore {
+  constructor({
+    dir = path.join(os.tmpdir(), "reader-cache"),
+    maxBytes = 200 * 1024 * 1024
+  } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.writes = 0;
+    this.ready = fs.mkdir(dir, { recursive: true });
+    // A directory that can't be created (bad CACHE_DIR) is reported by
+    // every get / set awaiting `ready`, not as an unhandled rejection.
+    this.ready.catch(() => {});
+  }
+
+  fileFor(key) {
+    return path.join(
+      this.dir,
+      `${createHash("sha1").update(key).digest("hex")}.json`
+    );
+  }
+
+  async get(key) {
+    await this.ready;
+
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.fileFor(key), "utf8"));
+    } catch {
+      return null;
+    }
+
+    if (stored.key !== key) return null;
+    if (Date.now() > stored.expiresAt) {
+      await this.delete(key);
+      return null;
+    }
+
+    return stored.entry;
+  }
+
+  async set(key, entry, lifetimeMs) {
+    await this.ready;
+
+    const file = this.fileFor(key);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const body = JSON.stringify({ key, expiresAt: Date.now() + lifetimeMs, entry });
+
+    if (Buffer.byteLength(body) > this.maxBytes) return;
+
+    await fs.writeFile(tmp, body);
+    await fs.rename(tmp, file);
+
+    if (++this.writes % PRUNE_EVERY === 0) {
+      await this.prune().catch(() => {});
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  /**
+   * Drops the least recently written files until the directory fits in
+   * `maxBytes`. Expired files are removed lazily on read.
+   */
+  async prune() {
+    const names = (await fs.readdir(this.dir)).filter(n => n.endsWith(".json"));
+    const files = [];
+
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.stat(file);
+        files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+      } catch {}
+    }
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+
+    for (const f of files) {
+      if (total <= this.maxBytes) break;
+      await fs.rm(f.file, { force: true });
+      total -= f.size;
+    }
+  }
+}
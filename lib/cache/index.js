@@ -0,0 +1,217 @@
+import { MemoryStore } from "./memory.js";
+import { FileStore } from "./fs.js";
+import { RedisStore } from "./redis.js";
+
+/* ============================================================
+   PER-ROUTE POLICY
+   ttl: served as fresh; swr: further window in which a stale
+   copy is served while a refresh runs in the background.
+   Override with CACHE_TTL_<ROUTE> / CACHE_SWR_<ROUTE> (seconds).
+============================================================ */
+
+const MIN = 60 * 1000;
+
+const ROUTE_POLICIES = {
+  search: { ttl: 5 * MIN, swr: 10 * MIN },
+  headlines: { ttl: 5 * MIN, swr: 10 * MIN },
+  sources: { ttl: 5 * MIN, swr: 10 * MIN },
+  scrape: { ttl: 10 * MIN, swr: 50 * MIN },
+  liveblog: { ttl: 1 * MIN, swr: 1 * MIN },
+  summary: { ttl: 60 * MIN, swr: 0 },
+  digest: { ttl: 15 * MIN, swr: 15 * MIN },
+  resolve: { ttl: 24 * 60 * MIN, swr: 0 },
+  robots: { ttl: 24 * 60 * MIN, swr: 0 }
+};
+
+function envSeconds(name) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n * 1000 : null;
+}
+
+export function routePolicy(route) {
+  const base = ROUTE_POLICIES[route] || { ttl: 5 * MIN, swr: 0 };
+  const key = route.toUpperCase();
+  return {
+    ttl: envSeconds(`CACHE_TTL_${key}`) ?? base.ttl,
+    swr: envSeconds(`CACHE_SWR_${key}`) ?? base.swr
+  };
+}
+
+/* ============================================================
+   CACHE
+============================================================ */
+
+export const CACHE_MODES = ["default", "refresh", "nocache"];
+
+export class Cache {
+  constructor(store) {
+    this.store = store;
+    this.inflight = new Map();
+  }
+
+  // A broken backend (Redis down, disk full) degrades to "no cache".
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (err) {
+      console.error("CACHE READ ERROR:", err.message);
+      return null;
+    }
+  }
+
+  async write(key, value, { ttl, swr }) {
+    try {
+      await this.store.set(key, { value, storedAt: Date.now(), ttl, swr }, ttl + swr);
+    } catch (err) {
+      console.error("CACHE WRITE ERROR:", err.message);
+    }
+  }
+
+  async get(route, key) {
+    const entry = await this.read(`${route}:${key}`);
+    if (!entry || Date.now() - entry.storedAt > entry.ttl) return null;
+    return entry.value;
+  }
+
+  async set(route, key, value, overrides = {}) {
+    await this.write(`${route}:${key}`, value, { ...routePolicy(route), ...overrides });
+  }
+
+  /**
+   * Runs `producer` once per key at a time and stores its result.
+   * Concurrent callers for the same key share the same promise.
+   * `policy` may be a function of the produced value.
+   */
+  fill(fullKey, producer, policy, store) {
+    if (this.inflight.has(fullKey)) return this.inflight.get(fullKey);
+
+    const run = (async () => {
+      const value = await producer();
+      if (store) await this.write(fullKey, value, typeof policy === "function" ? policy(value) : policy);
+      return value;
+    })().finally(() => this.inflight.delete(fullKey));
+
+    this.inflight.set(fullKey, run);
+    return run;
+  }
+
+  /**
+   * Read-through cache with stale-while-revalidate.
+   *
+   * mode "default" reads and writes, "refresh" skips the read but stores
+   * the new value, "nocache" bypasses the cache entirely.
+   *
+   * `producer(previous)` receives the last stored value (or null) so it
+   * can revalidate upstream; returning `previous` itself renews the entry.
+   *
+   * Resolves to `{ value, meta }` where meta is
+   * `{ state: "hit"|"stale"|"miss"|"refresh"|"revalidated"|"bypass", age, ttl, swr }`
+   * with age/ttl/swr in seconds.
+   *
+   * `routeFor(value)` may name another route whose policy the value is
+   * stored under instead (a live blog among scraped articles).
+   */
+  async wrap(route, key, producer, { mode = "default", routeFor, ...overrides } = {}) {
+    const policy = { ...routePolicy(route), ...overrides };
+    const policyFor = value => {
+      const other = routeFor?.(value);
+      return other ? { ...routePolicy(other), ...overrides } : policy;
+    };
+    const fullKey = `${route}:${key}`;
+    const meta = (state, age = 0, { ttl, swr } = policy) => ({
+      state,
+      age: Math.floor(age / 1000),
+      ttl: Math.floor(ttl / 1000),
+      swr: Math.floor(swr / 1000)
+    });
+
+    const entry = mode === "nocache" ? null : await this.read(fullKey);
+    const previous = entry ? entry.value : null;
+
+    if (mode === "default" && entry) {
+      const age = Date.now() - entry.storedAt;
+
+      if (age <= entry.ttl) {
+        return { value: entry.value, meta: meta("hit", age, entry) };
+      }
+
+      if (age <= entry.ttl + entry.swr) {
+        this.fill(fullKey, () => producer(previous), policyFor, true).catch(err =>
+          console.error("CACHE REVALIDATE ERROR:", err.message)
+        );
+        return { value: entry.value, meta: meta("stale", age, entry) };
+      }
+    }
+
+    const value = await this.fill(
+      fullKey,
+      () => producer(previous),
+      policyFor,
+      mode !== "nocache"
+    );
+
+    let state = mode === "default" ? "miss" : mode === "refresh" ? "refresh" : "bypass";
+    if (previous && value === previous) state = "revalidated";
+
+    return { value, meta: meta(state, 0, policyFor(value)) };
+  }
+}
+
+/* ============================================================
+   BACKEND SELECTION
+   CACHE_BACKEND = memory (default) | fs | redis
+   CACHE_MAX_BYTES, CACHE_DIR, REDIS_URL
+============================================================ */
+
+function createStore(env = process.env) {
+  const maxBytes = Number(env.CACHE_MAX_BYTES) || undefined;
+
+  switch ((env.CACHE_BACKEND || "memory").toLowerCase()) {
+    case "fs":
+    case "file":
+      return new FileStore({ dir: env.CACHE_DIR || undefined, maxBytes });
+    case "redis":
+      return new RedisStore({ url: env.REDIS_URL || env.CACHE_URL || undefined });
+    default:
+      return new MemoryStore({ maxBytes });
+  }
+}
+
+export const cache = new Cache(createStore());
+
+/* ============================================================
+   HTTP HELPERS
+============================================================ */
+
+// Accepts raw query strings or values already coerced by lib/schema.js.
+export function cacheModeFromQuery(query = {}) {
+  const on = v => v === true || v === "1" || v === "true";
+  if (on(query.nocache)) return "nocache";
+  if (on(query.refresh)) return "refresh";
+  return "default";
+}
+
+export const isCached = meta => meta.state === "hit" || meta.state === "stale";
+
+/**
+ * X-Cache, Cache-Control and Age for a cached result. Keyed responses
+ * pass `scope` "private" so shared caches never hand them to others.
+ */
+export function setCacheHeaders(res, meta, scope = "public") {
+  if (!meta) return;
+
+  res.setHeader("X-Cache", meta.state.toUpperCase());
+
+  if (meta.state === "bypass") {
+    res.setHeader("Cache-Control", "no-store");
+    return;
+  }
+
+  const maxAge = Math.max(0, meta.ttl - meta.age);
+  res.setHeader(
+    "Cache-Control",
+    `${scope}, max-age=${maxAge}` +
+      (meta.swr ? `, stale-while-revalidate=${meta.swr}` : "")
+  );
+  res.setHeader("Age", String(meta.age));
+}
@@ -0,0 +1,52 @@
+/* ============================================================
+   IN-MEMORY LRU STORE (WARM INSTANCE ONLY)
+   Bounded by serialized size rather than entry count, so one
+   huge article cannot push out hundreds of search results.
+============================================================ */
+
+export class MemoryStore {
+  constructor({ maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.map = new Map();
+    this.bytes = 0;
+    this.maxBytes = maxBytes;
+  }
+
+  async get(key) {
+    const item = this.map.get(key);
+    if (!item) return null;
+
+    if (Date.now() > item.expiresAt) {
+      this.remove(key);
+      return null;
+    }
+
+    this.map.delete(key);
+    this.map.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry, lifetimeMs) {
+    const size = Buffer.byteLength(JSON.stringify(entry));
+    this.remove(key);
+    if (size > this.maxBytes) return;
+
+    this.map.set(key, { entry, size, expiresAt: Date.now() + lifetimeMs });
+    this.bytes += size;
+
+    for (const oldest of this.map.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.remove(oldest);
+    }
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  remove(key) {
+    const item = this.map.get(key);
+    if (!item) return;
+    this.bytes -= item.size;
+    this.map.delete(key);
+  }
+}
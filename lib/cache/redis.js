@@ -0,0 +1,175 @@
+import net from "net";
+import tls from "tls";
+
+/* ============================================================
+   REDIS-PROTOCOL STORE
+   Minimal RESP2 client (GET / SET PX / DEL, plus AUTH and
+   SELECT from the URL). Works against Redis, Valkey, KeyDB,
+   Upstash's TCP endpoint or any RESP-speaking stand-in.
+============================================================ */
+
+const COMMAND_TIMEOUT = 2000;
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const s = String(arg);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parses one RESP reply starting at `offset`. Returns
+ * `{ value, next }`, or null when the buffer is incomplete.
+ */
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, next };
+    case "-":
+      return { value: new Error(line), next };
+    case ":":
+      return { value: Number(line), next };
+    case "$": {
+      const len = Number(line);
+      if (len === -1) return { value: null, next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString("utf8", next, next + len), next: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.next;
+      }
+      return { value: items, next: pos };
+    }
+    default:
+      return { value: new Error(`Unexpected RESP type "${type}"`), next };
+  }
+}
+
+export class RedisStore {
+  constructor({ url = "redis://127.0.0.1:6379", prefix = "reader:" } = {}) {
+    this.url = new URL(url);
+    this.prefix = prefix;
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.connecting = null;
+  }
+
+  connect() {
+    if (this.socket && !this.socket.destroyed) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    const { hostname, port, protocol, username, password, pathname } = this.url;
+    const options = { host: hostname, port: Number(port) || 6379 };
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket =
+        protocol === "rediss:"
+          ? tls.connect({ ...options, servername: hostname })
+          : net.connect(options);
+
+      socket.setNoDelay(true);
+      socket.once(protocol === "rediss:" ? "secureConnect" : "connect", () => {
+        socket.unref();
+        resolve(socket);
+      });
+      socket.once("error", reject);
+    })
+      .then(async socket => {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+
+        socket.on("data", chunk => this.onData(chunk));
+        socket.on("error", err => this.failAll(err));
+        socket.on("close", () => this.failAll(new Error("Redis connection closed")));
+
+        if (password) {
+          await this.send(username ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)] : ["AUTH", decodeURIComponent(password)]);
+        }
+        const db = Number(pathname.slice(1));
+        if (db) await this.send(["SELECT", db]);
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.next);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+  }
+
+  failAll(err) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const { reject, timer } of pending) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    this.socket?.destroy();
+    this.socket = null;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => this.failAll(new Error(`Redis ${args[0]} timed out`)),
+        COMMAND_TIMEOUT
+      );
+      timer.unref?.();
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encode(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async get(key) {
+    const raw = await this.command("GET", this.prefix + key);
+    return raw == null ? null : JSON.parse(raw);
+  }
+
+  async set(key, entry, lifetimeMs) {
+    await this.command(
+      "SET",
+      this.prefix + key,
+      JSON.stringify(entry),
+      "PX",
+      Math.max(1, Math.round(lifetimeMs))
+    );
+  }
+
+  async delete(key) {
+    await this.command("DEL", this.prefix + key);
+  }
+}
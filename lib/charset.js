@@ -0,0 +1,198 @@
+/* ============================================================
+   CHARACTER ENCODING
+   Pages are fetched as raw bytes and decoded here, in the order
+   browsers use: byte-order mark, Content-Type charset, then a
+   <meta charset> / http-equiv / XML declaration in the first few
+   KB. Without any of those, bytes that are valid UTF-8 are read
+   as UTF-8 and anything else as Windows-1252.
+
+   TextDecoder covers the WHATWG encodings (Shift_JIS, EUC-JP,
+   GBK/GB18030, Big5, EUC-KR, Windows-125x, ISO-8859-x, KOI8…).
+   ISCII Devanagari, which TextDecoder lacks, is mapped by hand;
+   font-hack Hindi (Kruti Dev and friends) is not an encoding and
+   can't be repaired.
+============================================================ */
+
+const PRESCAN_BYTES = 4096;
+
+const ISCII_LABELS = new Set([
+  "iscii",
+  "iscii-dev",
+  "iscii-91",
+  "x-iscii-de",
+  "x-iscii-dev",
+  "x-iscii-devanagari"
+]);
+
+// Labels that decode as UTF-16 must not come from the page itself:
+// a page that can be parsed as ASCII isn't UTF-16.
+const UTF16 = /^utf-16(le|be)?$/;
+
+function normalizeLabel(label) {
+  const name = String(label || "").trim().toLowerCase().replace(/^["']|["']$/g, "");
+  if (!name) return null;
+  if (ISCII_LABELS.has(name)) return "x-iscii-de";
+
+  try {
+    return new TextDecoder(name).encoding;
+  } catch {
+    return null;
+  }
+}
+
+function bomCharset(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  return null;
+}
+
+export function headerCharset(contentType) {
+  const match = /charset\s*=\s*("?)([^";,\s]+)\1/i.exec(String(contentType || ""));
+  return match ? normalizeLabel(match[2]) : null;
+}
+
+/**
+ * `<meta charset>`, `<meta http-equiv="Content-Type" content="…;
+ * charset=…">` or `<?xml encoding="…"?>` near the top of the page.
+ */
+export function declaredCharset(bytes) {
+  const head = Buffer.from(bytes.subarray(0, PRESCAN_BYTES)).toString("latin1");
+
+  const patterns = [
+    /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i,
+    /^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = pattern.exec(head);
+    const charset = match && normalizeLabel(match[1]);
+    if (charset && !UTF16.test(charset)) return charset;
+  }
+
+  return null;
+}
+
+function isValidUtf8(bytes) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * `{ charset, source }` for a response body, where source is one of
+ * bom | header | meta | sniffed | default.
+ */
+export function detectCharset(bytes, contentType) {
+  const bom = bomCharset(bytes);
+  if (bom) return { charset: bom, source: "bom" };
+
+  const header = headerCharset(contentType);
+  if (header) return { charset: header, source: "header" };
+
+  const declared = declaredCharset(bytes);
+  if (declared) return { charset: declared, source: "meta" };
+
+  return isValidUtf8(bytes)
+    ? { charset: "utf-8", source: "default" }
+    : { charset: "windows-1252", source: "sniffed" };
+}
+
+/* ============================================================
+   ISCII (IS 13194:1991) → UNICODE, DEVANAGARI
+============================================================ */
+
+const ISCII = {
+  0xa1: "ँ", 0xa2: "ं", 0xa3: "ः", 0xa4: "अ",
+  0xa5: "आ", 0xa6: "इ", 0xa7: "ई", 0xa8: "उ",
+  0xa9: "ऊ", 0xaa: "ऋ", 0xab: "ऎ", 0xac: "ए",
+  0xad: "ऐ", 0xae: "ऍ", 0xaf: "ऒ", 0xb0: "ओ",
+  0xb1: "औ", 0xb2: "ऑ", 0xb3: "क", 0xb4: "ख",
+  0xb5: "ग", 0xb6: "घ", 0xb7: "ङ", 0xb8: "च",
+  0xb9: "छ", 0xba: "ज", 0xbb: "झ", 0xbc: "ञ",
+  0xbd: "ट", 0xbe: "ठ", 0xbf: "ड", 0xc0: "ढ",
+  0xc1: "ण", 0xc2: "त", 0xc3: "थ", 0xc4: "द",
+  0xc5: "ध", 0xc6: "न", 0xc7: "ऩ", 0xc8: "प",
+  0xc9: "फ", 0xca: "ब", 0xcb: "भ", 0xcc: "म",
+  0xcd: "य", 0xce: "य़", 0xcf: "र", 0xd0: "ऱ",
+  0xd1: "ल", 0xd2: "ळ", 0xd3: "ऴ", 0xd4: "व",
+  0xd5: "श", 0xd6: "ष", 0xd7: "स", 0xd8: "ह",
+  0xd9: "", 0xda: "ा", 0xdb: "ि", 0xdc: "ी",
+  0xdd: "ु", 0xde: "ू", 0xdf: "ृ", 0xe0: "ॆ",
+  0xe1: "े", 0xe2: "ै", 0xe3: "ॅ", 0xe4: "ॊ",
+  0xe5: "ो", 0xe6: "ौ", 0xe7: "ॉ", 0xe8: "्",
+  0xe9: "़", 0xea: "।"
+};
+
+// Byte + following nukta (0xE9) spell a separate letter.
+const ISCII_NUKTA = {
+  0xa1: "ॐ", 0xa6: "ऌ", 0xa7: "ॡ", 0xaa: "ॠ",
+  0xdb: "ॢ", 0xdc: "ॣ", 0xdf: "ॄ", 0xea: "ऽ"
+};
+
+export function decodeIscii(bytes) {
+  let out = "";
+
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    const next = bytes[i + 1];
+
+    if (b < 0x80) {
+      out += String.fromCharCode(b);
+    } else if (next === 0xe9 && ISCII_NUKTA[b]) {
+      out += ISCII_NUKTA[b];
+      i++;
+    } else if (b === 0xe8 && next === 0xe8) {
+      out += "\u094d\u200c"; // explicit halant
+      i++;
+    } else if (b === 0xe8 && next === 0xe9) {
+      out += "\u094d\u200d"; // soft halant
+      i++;
+    } else if (b >= 0xf1 && b <= 0xfa) {
+      out += String.fromCharCode(0x0966 + b - 0xf1);
+    } else if (b === 0xef || b === 0xf0) {
+      // ATR / EXT switch scripts or attributes; skip the argument byte.
+      i++;
+    } else {
+      out += ISCII[b] ?? "\ufffd";
+    }
+  }
+
+  return out;
+}
+
+/* ============================================================
+   DECODE
+============================================================ */
+
+// Windows-1252's 0x80–0x9F row; the five unassigned bytes keep their
+// C1 code point. Some Node releases decode "windows-1252" as
+// ISO-8859-1, which leaves € and curly quotes as control characters.
+const CP1252_C1 =
+  "\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f" +
+  "\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178";
+
+const fixCp1252 = text => text.replace(/[\x80-\x9f]/g, c => CP1252_C1[c.charCodeAt(0) - 0x80]);
+
+/**
+ * Decodes an HTML body (Buffer, ArrayBuffer or already-decoded
+ * string) to text. Returns `{ text, charset, source }`.
+ */
+export function decodeHtml(data, contentType) {
+  if (typeof data === "string") return { text: data, charset: "utf-8", source: "string" };
+  if (!data) return { text: "", charset: "utf-8", source: "default" };
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const { charset, source } = detectCharset(bytes, contentType);
+
+  if (charset === "x-iscii-de") {
+    return { text: decodeIscii(bytes), charset, source };
+  }
+
+  // TextDecoder drops a matching BOM itself.
+  const text = new TextDecoder(charset).decode(bytes);
+  return { text: charset === "windows-1252" ? fixCp1252(text) : text, charset, source };
+}
@@ -0,0 +1,198 @@
+import { normalizeDate } from "./metadata.js";
+
+/* ============================================================
+   TEXT NORMALIZATION
+============================================================ */
+
+export const STOPWORDS = new Set(
+  (
+    "a an the and or but of in on at to for from by with as is are was were be been " +
+    "being has have had it its this that these those after before over under into about " +
+    "amid says said say will would can could may might new news latest today his her " +
+    "their our your he she they we you i not no than then also more what who how why when"
+  ).split(" ")
+);
+
+// Syndication and format tags that make copies of one story look different.
+const NOISE =
+  /\b(live updates?|live blog|live|updates?|breaking( news)?|watch|video|photos?|in pics|explained|exclusive|top news|news wrap|highlights)\b/gi;
+
+/**
+ * Lowercased, de-noised title without Google's " - Outlet" suffix.
+ */
+export function normalizeTitle(title, source) {
+  let t = String(title || "");
+
+  if (source && t.endsWith(` - ${source}`)) {
+    t = t.slice(0, -(source.length + 3));
+  } else if (!source) {
+    t = t.replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, "");
+  }
+
+  return t
+    .toLowerCase()
+    .replace(NOISE, " ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+/* ============================================================
+   TF-IDF COSINE
+============================================================ */
+
+function termFrequencies(tokens, withBigrams) {
+  const tf = new Map();
+  const add = term => tf.set(term, (tf.get(term) || 0) + 1);
+
+  tokens.forEach(add);
+  if (withBigrams) {
+    for (let i = 1; i < tokens.length; i++) add(`${tokens[i - 1]}_${tokens[i]}`);
+  }
+
+  return tf;
+}
+
+/**
+ * Builds one L2-normalized TF-IDF vector per document.
+ */
+export function tfidfVectors(docs, { bigrams = false } = {}) {
+  const tfs = docs.map(tokens => termFrequencies(tokens, bigrams));
+  const df = new Map();
+
+  for (const tf of tfs) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+
+  const n = docs.length;
+
+  return tfs.map(tf => {
+    const vec = new Map();
+    let norm = 0;
+
+    for (const [term, count] of tf) {
+      const w = (1 + Math.log(count)) * (Math.log((1 + n) / (1 + df.get(term))) + 1);
+      vec.set(term, w);
+      norm += w * w;
+    }
+
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, w] of vec) vec.set(term, w / norm);
+    return vec;
+  });
+}
+
+export function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, w] of small) {
+    const other = large.get(term);
+    if (other) dot += w * other;
+  }
+  return dot;
+}
+
+/* ============================================================
+   CLUSTERING
+============================================================ */
+
+const BODY_WEIGHT = 0.6;
+
+function similarityMatrix(articles) {
+  const titleVecs = tfidfVectors(
+    articles.map(a => tokenize(normalizeTitle(a.title, a.source))),
+    { bigrams: true }
+  );
+
+  const hasBody = articles.map(a => typeof a.fullText === "string" && a.fullText.length > 200);
+  const bodyVecs = hasBody.some(Boolean)
+    ? tfidfVectors(articles.map((a, i) => (hasBody[i] ? tokenize(a.fullText) : [])))
+    : null;
+
+  return articles.map((_, i) =>
+    articles.map((__, j) => {
+      if (i === j) return 1;
+      const title = cosine(titleVecs[i], titleVecs[j]);
+      if (!bodyVecs || !hasBody[i] || !hasBody[j]) return title;
+      const body = cosine(bodyVecs[i], bodyVecs[j]);
+      return Math.max(title, (1 - BODY_WEIGHT) * title + BODY_WEIGHT * body);
+    })
+  );
+}
+
+/**
+ * Groups articles into stories. Each article joins the existing cluster
+ * it is, on average, most similar to if that average clears
+ * `threshold`; otherwise it starts a new cluster.
+ */
+export function clusterArticles(articles, { threshold = 0.4 } = {}) {
+  if (!articles.length) return [];
+
+  const sim = similarityMatrix(articles);
+  const groups = [];
+
+  articles.forEach((_, i) => {
+    let best = null;
+    let bestScore = threshold;
+
+    for (const group of groups) {
+      const avg = group.reduce((sum, j) => sum + sim[i][j], 0) / group.length;
+      if (avg >= bestScore) {
+        best = group;
+        bestScore = avg;
+      }
+    }
+
+    if (best) best.push(i);
+    else groups.push([i]);
+  });
+
+  return groups
+    .map(group => describeCluster(group, articles, sim))
+    .sort(
+      (a, b) =>
+        b.size - a.size ||
+        String(b.latestPublishedAt || "").localeCompare(String(a.latestPublishedAt || ""))
+    );
+}
+
+function describeCluster(group, articles, sim) {
+  // Medoid: the member most similar to all the others.
+  let representative = group[0];
+  let bestCentrality = -1;
+
+  for (const i of group) {
+    const centrality = group.reduce((sum, j) => sum + (i === j ? 0 : sim[i][j]), 0);
+    if (centrality > bestCentrality) {
+      representative = i;
+      bestCentrality = centrality;
+    }
+  }
+
+  const members = group.map(i => articles[i]);
+  const dates = members
+    .map(a => normalizeDate(a.publishedAt))
+    .filter(Boolean)
+    .sort();
+  const rep = articles[representative];
+
+  return {
+    headline: rep.title.endsWith(` - ${rep.source}`)
+      ? rep.title.slice(0, -(rep.source.length + 3))
+      : rep.title,
+    size: members.length,
+    sourceCount: new Set(members.map(a => a.source)).size,
+    sources: [...new Set(members.map(a => a.source))],
+    earliestPublishedAt: dates[0] || null,
+    latestPublishedAt: dates[dates.length - 1] || null,
+    articles: members
+  };
+}
@@ -0,0 +1,51 @@
+/* ============================================================
+   UPSTREAM REVALIDATION
+   Validators from the publisher's response are stored with the
+   cached entry and replayed on refresh; a 304 renews the entry
+   without re-downloading the body.
+============================================================ */
+
+export function readValidators(response) {
+  const etag = response.headers?.etag || null;
+  const lastModified = response.headers?.["last-modified"] || null;
+  return etag || lastModified ? { etag, lastModified } : null;
+}
+
+export function conditionalHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) headers["If-None-Match"] = validators.etag;
+  if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+  return headers;
+}
+
+// For axios' validateStatus: a 304 is an answer, not an error.
+export const acceptNotModified = status =>
+  (status >= 200 && status < 300) || status === 304;
+
+/* ============================================================
+   OUR RESPONSES
+============================================================ */
+
+// If-None-Match uses weak comparison: W/"x" matches "x".
+function matchesETag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+
+  const bare = tag => tag.trim().replace(/^W\//, "");
+  return header.split(",").some(tag => bare(tag) === bare(etag));
+}
+
+/**
+ * Sends `body` with a strong ETag built from `tag` (a content hash),
+ * or an empty 304 when the client already holds that representation.
+ */
+export function sendJson(req, res, body, tag) {
+  const etag = `"${tag}"`;
+  res.setHeader("ETag", etag);
+
+  if (matchesETag(req.headers?.["if-none-match"], etag)) {
+    return res.status(304).end();
+  }
+
+  return res.json(body);
+}
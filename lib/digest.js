@@ -0,0 +1,213 @@
+import { createHash } from "crypto";
+import { cache, isCached, routePolicy } from "./cache/index.js";
+import { searchGoogleNews } from "./google_news.js";
+import { expandArticles } from "./scraper.js";
+import { tokenize, tfidfVectors, cosine } from "./cluster.js";
+import { splitSentences } from "./summarize.js";
+import { countWords } from "./language.js";
+
+const hash = s =>
+  createHash("md5").update(s).digest("hex").slice(0, 16);
+
+/* ============================================================
+   SENTENCE POOL
+============================================================ */
+
+const MIN_WORDS = 8;
+const MAX_WORDS = 60;
+const DUPLICATE_SIMILARITY = 0.7;
+const REDUNDANCY_SIMILARITY = 0.45;
+const MMR_LAMBDA = 0.7;
+
+function sentencePool(articles) {
+  const pool = [];
+
+  articles.forEach((article, articleIndex) => {
+    splitSentences(article.fullText).forEach((text, position) => {
+      // Thai, Lao, Khmer, CJK: spaces don't separate words.
+      const words = countWords(text);
+      if (words < MIN_WORDS || words > MAX_WORDS) return;
+      pool.push({ text, articleIndex, position, tokens: tokenize(text) });
+    });
+  });
+
+  return pool.filter(s => s.tokens.length >= 3);
+}
+
+/**
+ * Folds near-identical sentences (wire copy repeated across outlets)
+ * into the earliest-positioned one and remembers who else ran it.
+ */
+function dedupe(pool, vectors) {
+  const kept = [];
+
+  pool.forEach((sentence, i) => {
+    const twin = kept.find(k => cosine(vectors[k.index], vectors[i]) >= DUPLICATE_SIMILARITY);
+    if (!twin) {
+      kept.push({ ...sentence, index: i, echoes: new Set() });
+      return;
+    }
+    if (sentence.articleIndex !== twin.articleIndex) {
+      twin.echoes.add(sentence.articleIndex);
+    }
+  });
+
+  return kept;
+}
+
+/* ============================================================
+   RANKING
+============================================================ */
+
+function centroid(vectors) {
+  const sum = new Map();
+  for (const vec of vectors) {
+    for (const [term, w] of vec) sum.set(term, (sum.get(term) || 0) + w);
+  }
+
+  let norm = 0;
+  for (const w of sum.values()) norm += w * w;
+  norm = Math.sqrt(norm) || 1;
+  for (const [term, w] of sum) sum.set(term, w / norm);
+
+  return sum;
+}
+
+/**
+ * Multi-document extractive digest: sentences are scored by closeness to
+ * the topic centroid, lead position and how many outlets repeat them,
+ * then picked with maximal marginal relevance so the digest does not
+ * restate itself.
+ */
+export function buildDigest(articles, { sentences = 8 } = {}) {
+  const usable = articles.filter(a => typeof a.fullText === "string" && a.fullText.length > 200);
+  const pool = sentencePool(usable);
+  if (!pool.length) return [];
+
+  const vectors = tfidfVectors(pool.map(s => s.tokens));
+  const candidates = dedupe(pool, vectors);
+  const center = centroid(candidates.map(c => vectors[c.index]));
+  const outlets = new Set(usable.map(a => a.source)).size || 1;
+
+  for (const c of candidates) {
+    const relevance = cosine(vectors[c.index], center);
+    const lead = 1 / (1 + c.position * 0.5);
+    const coverage = c.echoes.size / outlets;
+    c.score = relevance * 0.6 + lead * 0.25 + coverage * 0.15;
+  }
+
+  const picked = [];
+  const remaining = [...candidates].sort((a, b) => b.score - a.score);
+
+  while (picked.length < sentences && remaining.length) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((c, i) => {
+      const redundancy = Math.max(
+        0,
+        ...picked.map(p => cosine(vectors[p.index], vectors[c.index]))
+      );
+      const value = MMR_LAMBDA * c.score - (1 - MMR_LAMBDA) * redundancy;
+      if (redundancy < REDUNDANCY_SIMILARITY && value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+
+    if (bestValue === -Infinity) break;
+    picked.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return picked.map((c, rank) => {
+    const article = usable[c.articleIndex];
+    return {
+      rank: rank + 1,
+      text: c.text,
+      score: Math.round(c.score * 1000) / 1000,
+      source: {
+        title: article.title,
+        outlet: article.source,
+        link: article.resolvedUrl || article.link,
+        publishedAt: article.publishedAt
+      },
+      alsoReportedBy: [...new Set([...c.echoes].map(i => usable[i].source))]
+        .filter(outlet => outlet !== article.source)
+    };
+  });
+}
+
+/* ============================================================
+   QUERY → DIGEST
+============================================================ */
+
+// Google News understands "when:12h" / "when:7d" inside the query.
+// A zero-length window would make the cache bucket divide by zero.
+export const WINDOW_PATTERN = /^[1-9]\d*[hd]$/;
+
+function windowMs(window) {
+  if (!window) return Infinity;
+  const n = Number(window.slice(0, -1));
+  return window.endsWith("h") ? n * 3600 * 1000 : n * 86400 * 1000;
+}
+
+export async function digestQuery({
+  q,
+  window,
+  limit = 10,
+  sentences = 8,
+  lang = "en",
+  country = "IN",
+  cacheMode
+}) {
+  // Results are reused within a bucket no longer than the window itself.
+  const bucketMs = Math.min(routePolicy("digest").ttl, windowMs(window));
+  const bucket = Math.floor(Date.now() / Math.max(1, bucketMs));
+  const cacheKey = hash(JSON.stringify({ q, window, limit, sentences, lang, country, bucket }));
+
+  const { value: result, meta } = await cache.wrap(
+    "digest",
+    cacheKey,
+    () => buildQueryDigest({ q, window, limit, sentences, lang, country, cacheMode }),
+    { mode: cacheMode }
+  );
+
+  return { result, cached: isCached(meta), cache: meta };
+}
+
+async function buildQueryDigest({ q, window, limit, sentences, lang, country, cacheMode }) {
+  const { result: search } = await searchGoogleNews({
+    q: window ? `${q} when:${window}` : q,
+    limit,
+    lang,
+    country,
+    cacheMode
+  });
+
+  const articles = await expandArticles(search.articles, {
+    limit,
+    concurrency: 5,
+    mode: "scored",
+    cacheMode
+  });
+
+  const digest = buildDigest(articles, { sentences });
+
+  return {
+    query: q,
+    window: window || null,
+    generatedAt: new Date().toISOString(),
+    digest,
+    articles: articles.map(a => {
+      const link = a.resolvedUrl || a.link;
+      return {
+        title: a.title,
+        link,
+        source: a.source,
+        publishedAt: a.publishedAt,
+        used: digest.some(d => d.source.link === link),
+        error: a.expandError ? { code: a.expandErrorCode, message: a.expandError } : null
+      };
+    })
+  };
+}
@@ -0,0 +1,74 @@
+import { randomUUID } from "crypto";
+import { toApiError } from "./errors.js";
+
+/* ============================================================
+   RESPONSE ENVELOPE
+   Success: { success: true, requestId, ...payload }
+   Failure: { success: false, requestId, error: { code, message, details? } }
+   The request ID is echoed in X-Request-Id; a well-formed incoming
+   X-Request-Id is reused so logs line up across services.
+============================================================ */
+
+const INCOMING_ID = /^[\w.:-]{8,128}$/;
+
+export function requestId(req, res) {
+  if (req.requestId) return req.requestId;
+
+  const incoming = req.headers?.["x-request-id"];
+  const id = typeof incoming === "string" && INCOMING_ID.test(incoming)
+    ? incoming
+    : randomUUID();
+
+  req.requestId = id;
+  res.setHeader("X-Request-Id", id);
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    [
+      "X-Request-Id",
+      "X-Cache",
+      "ETag",
+      "Retry-After",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+      "X-RateLimit-Reset",
+      "X-RateLimit-Quota-Limit",
+      "X-RateLimit-Quota-Remaining",
+      "X-RateLimit-Quota-Reset"
+    ].join(", ")
+  );
+  return id;
+}
+
+export function envelope(req, res, payload) {
+  return { success: true, requestId: requestId(req, res), ...payload };
+}
+
+export function sendOk(req, res, payload) {
+  return res.json(envelope(req, res, payload));
+}
+
+export function errorEnvelope(req, res, err) {
+  const apiErr = toApiError(err);
+  return {
+    success: false,
+    requestId: requestId(req, res),
+    error: {
+      code: apiErr.code,
+      message: apiErr.message,
+      ...(apiErr.details ? { details: apiErr.details } : {})
+    }
+  };
+}
+
+/**
+ * Classifies `err` (see lib/errors.js) and answers with its status.
+ */
+export function sendError(req, res, err) {
+  const apiErr = toApiError(err);
+
+  if (apiErr.retryAfter != null) {
+    res.setHeader("Retry-After", String(apiErr.retryAfter));
+  }
+
+  return res.status(apiErr.status).json(errorEnvelope(req, res, apiErr));
+}
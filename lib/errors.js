@@ -0,0 +1,122 @@
+/* ============================================================
+   ERROR TAXONOMY
+   Every failure a client can see carries one of these codes.
+   `status` is the HTTP status our API answers with; upstream
+   details (publisher status, policy reason) go in `details`.
+============================================================ */
+
+export const ERROR_CODES = {
+  INVALID_PARAM: { status: 400, message: "Invalid request parameter" },
+  UNAUTHORIZED: { status: 401, message: "Missing or invalid API key" },
+  FORBIDDEN: { status: 403, message: "Not allowed" },
+  NOT_FOUND: { status: 404, message: "Nothing matches the request" },
+  METHOD_NOT_ALLOWED: { status: 405, message: "Method not allowed" },
+  RATE_LIMITED: { status: 429, message: "Too many requests" },
+  BLOCKED_URL: { status: 403, message: "URL blocked by fetch policy" },
+  NOT_HTML: { status: 415, message: "Upstream response is not an HTML page" },
+  RESPONSE_TOO_LARGE: { status: 413, message: "Upstream response is too large" },
+  PAYWALLED: { status: 422, message: "Article is behind a paywall" },
+  EXTRACTION_EMPTY: { status: 422, message: "No article text could be extracted" },
+  UPSTREAM_4XX: { status: 502, message: "Upstream rejected the request" },
+  UPSTREAM_5XX: { status: 502, message: "Upstream server error" },
+  UPSTREAM_NETWORK: { status: 502, message: "Upstream could not be reached" },
+  UPSTREAM_RATE_LIMITED: { status: 503, message: "Upstream is rate limiting us" },
+  UPSTREAM_UNAVAILABLE: { status: 503, message: "Upstream is temporarily unavailable" },
+  UPSTREAM_TIMEOUT: { status: 504, message: "Upstream timed out" },
+  DEADLINE_EXCEEDED: { status: 504, message: "Request deadline exceeded" },
+  INTERNAL: { status: 500, message: "Internal error" }
+};
+
+/**
+ * Error with a taxonomy `code`, its HTTP `status` and optional
+ * `details` / `retryAfter` (seconds).
+ */
+export function apiError(code, message, details) {
+  const spec = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+  const err = new Error(message || spec.message);
+  err.code = ERROR_CODES[code] ? code : "INTERNAL";
+  err.status = spec.status;
+  err.api = true;
+  if (details) err.details = details;
+  return err;
+}
+
+export const invalidParam = (param, message, extra = {}) =>
+  apiError("INVALID_PARAM", message, { param, ...extra });
+
+/* ============================================================
+   CLASSIFICATION
+============================================================ */
+
+const NETWORK_CODES = new Set([
+  "ENOTFOUND",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "CERT_HAS_EXPIRED",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "ERR_TLS_CERT_ALTNAME_INVALID"
+]);
+
+function retryAfterSeconds(header) {
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const at = new Date(header).getTime();
+  return Number.isFinite(at) ? Math.max(0, Math.ceil((at - Date.now()) / 1000)) : undefined;
+}
+
+/**
+ * Maps anything thrown by the fetch / extract pipeline (axios errors,
+ * URL policy refusals, timeouts, open circuits) onto the taxonomy.
+ */
+export function toApiError(err) {
+  if (err?.api) return err;
+
+  const code = err?.code;
+
+  if (err?.policy) {
+    if (code === "CONTENT_TYPE_BLOCKED") return apiError("NOT_HTML", err.message);
+    if (code === "RESPONSE_TOO_LARGE") return apiError("RESPONSE_TOO_LARGE", err.message);
+
+    const blocked = apiError("BLOCKED_URL", err.message, { reason: code });
+    // Malformed / non-http URLs are the caller's mistake, not a refusal.
+    if (err.status === 400) blocked.status = 400;
+    return blocked;
+  }
+
+  if (code === "CIRCUIT_OPEN") {
+    const unavailable = apiError("UPSTREAM_UNAVAILABLE", err.message);
+    unavailable.retryAfter = err.retryAfter;
+    return unavailable;
+  }
+
+  if (code === "ETIMEDOUT" || code === "ECONNABORTED" || code === "ERR_SOCKET_CONNECTION_TIMEOUT") {
+    return apiError("UPSTREAM_TIMEOUT", err.message);
+  }
+
+  const upstreamStatus = err?.response?.status;
+
+  if (upstreamStatus) {
+    const details = { upstreamStatus };
+
+    if (upstreamStatus === 402) return apiError("PAYWALLED", err.message, details);
+
+    if (upstreamStatus === 429) {
+      const limited = apiError("UPSTREAM_RATE_LIMITED", err.message, details);
+      limited.retryAfter = retryAfterSeconds(err.response.headers?.["retry-after"]);
+      return limited;
+    }
+
+    if (upstreamStatus >= 500) return apiError("UPSTREAM_5XX", err.message, details);
+    if (upstreamStatus >= 400) return apiError("UPSTREAM_4XX", err.message, details);
+  }
+
+  if (NETWORK_CODES.has(code)) {
+    return apiError("UPSTREAM_NETWORK", err.message, { reason: code });
+  }
+
+  return apiError("INTERNAL", err?.message || "Unknown error");
+}
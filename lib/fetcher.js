@@ -0,0 +1,337 @@
+import axios from "axios";
+import { cache } from "./cache/index.js";
+import {
+  policyError,
+  policyFromEnv,
+  assertUrlAllowed,
+  policyRequestConfig,
+  policyErrorFrom
+} from "./url_policy.js";
+import { withResilience, isTransient } from "./resilience.js";
+import { apiError } from "./errors.js";
+
+/* ============================================================
+   POLITE FETCH LAYER
+   Every outbound request to a publisher or Google goes through
+   politeGet: robots.txt is honoured for our own bot token, each
+   host gets a bounded number of concurrent requests spaced by a
+   minimum interval (or its Crawl-delay), and 429/503 answers
+   pause the host for Retry-After.
+
+   FETCH_USER_AGENT       full User-Agent header
+   FETCH_ROBOTS_AGENT     token matched against robots.txt groups
+   FETCH_RESPECT_ROBOTS   "false" to skip robots.txt
+   FETCH_HOST_CONCURRENCY default 2
+   FETCH_HOST_INTERVAL_MS default 1000
+============================================================ */
+
+const ROBOTS_AGENT = process.env.FETCH_ROBOTS_AGENT || "ReaderBot";
+
+export const USER_AGENT =
+  process.env.FETCH_USER_AGENT ||
+  `${ROBOTS_AGENT}/1.0 (+https://github.com/sanjay434343/reader-)`;
+
+const RESPECT_ROBOTS = process.env.FETCH_RESPECT_ROBOTS !== "false";
+const HOST_CONCURRENCY = Number(process.env.FETCH_HOST_CONCURRENCY) || 2;
+const HOST_INTERVAL = Number(process.env.FETCH_HOST_INTERVAL_MS) || 1000;
+
+const MAX_CRAWL_DELAY = 30 * 1000;
+const DEFAULT_BACKOFF = 30 * 1000;
+const MAX_BACKOFF = 10 * 60 * 1000;
+const ROBOTS_UNAVAILABLE_TTL = 10 * 60 * 1000;
+const ROBOTS_MAX_BYTES = 512 * 1024;
+const ROBOTS_TIMEOUT = 5000;
+const MAX_RETRY_WAIT = 5 * 1000;
+
+/* ============================================================
+   ROBOTS.TXT
+============================================================ */
+
+/**
+ * Rules of the group(s) addressed to `agent`, falling back to "*".
+ * Returns `{ rules: [{ allow, path }], crawlDelay }`.
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay" && Number.isFinite(Number(value))) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  const token = agent.toLowerCase();
+  let chosen = groups.filter(g => g.agents.includes(token));
+  if (!chosen.length) chosen = groups.filter(g => g.agents.includes("*"));
+
+  const delays = chosen.map(g => g.crawlDelay).filter(d => d != null);
+
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null
+  };
+}
+
+function patternToRegExp(path) {
+  const anchored = path.endsWith("$");
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Longest matching rule wins; on a tie Allow wins (RFC 9309).
+ */
+export function isAllowedByRobots(robots, pathAndQuery) {
+  if (pathAndQuery === "/robots.txt") return true;
+
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.path).test(pathAndQuery)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+const DISALLOW_ALL = { rules: [{ allow: false, path: "/" }], crawlDelay: null };
+
+// Under a URL policy, robots.txt is fetched with the same DNS guard
+// and per-hop redirect checks as the page itself.
+async function loadRobots(origin, policy, deadline) {
+  const hit = await cache.get("robots", origin);
+  if (hit) return hit;
+
+  const robotsUrl = `${origin}/robots.txt`;
+
+  let response;
+  try {
+    if (policy) assertUrlAllowed(robotsUrl, policy);
+    response = await axios.get(robotsUrl, {
+      ...(policy ? policyRequestConfig(policy) : {}),
+      timeout: Math.max(1, Math.min(ROBOTS_TIMEOUT, deadline - Date.now())),
+      maxContentLength: ROBOTS_MAX_BYTES,
+      responseType: "text",
+      validateStatus: () => true,
+      headers: { "User-Agent": USER_AGENT }
+    });
+  } catch {
+    // Unreachable or refused host: the page fetch itself will report
+    // the real error.
+    return ALLOW_ALL;
+  }
+
+  // RFC 9309: 4xx means no restrictions, 5xx means assume full disallow.
+  if (response.status >= 500) {
+    await cache.set("robots", origin, DISALLOW_ALL, { ttl: ROBOTS_UNAVAILABLE_TTL, swr: 0 });
+    return DISALLOW_ALL;
+  }
+
+  const robots =
+    response.status >= 200 && response.status < 300
+      ? parseRobots(response.data)
+      : ALLOW_ALL;
+
+  await cache.set("robots", origin, robots);
+  return robots;
+}
+
+/* ============================================================
+   PER-HOST SCHEDULER
+============================================================ */
+
+const HOSTS = new Map();
+
+function hostState(host) {
+  let state = HOSTS.get(host);
+  if (!state) {
+    state = { active: 0, queue: [], nextAt: 0, pausedUntil: 0, interval: HOST_INTERVAL, timer: null };
+    HOSTS.set(host, state);
+  }
+  return state;
+}
+
+function pump(state) {
+  if (state.timer) return;
+
+  while (state.queue.length && state.active < HOST_CONCURRENCY) {
+    const wait = Math.max(state.nextAt, state.pausedUntil) - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        pump(state);
+      }, wait);
+      return;
+    }
+
+    state.active++;
+    state.nextAt = Date.now() + state.interval;
+    state.queue.shift()();
+  }
+}
+
+// A place in the host's queue is given up at `deadline`: a host paused
+// for minutes by Retry-After must not hold callers that long.
+async function withHostSlot(host, task, deadline = Infinity) {
+  const state = hostState(host);
+
+  await new Promise((resolve, reject) => {
+    let timer = null;
+    const start = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+
+    if (Number.isFinite(deadline)) {
+      timer = setTimeout(() => {
+        state.queue.splice(state.queue.indexOf(start), 1);
+        if (!state.queue.length) {
+          clearTimeout(state.timer);
+          state.timer = null;
+        }
+        reject(apiError("DEADLINE_EXCEEDED", `No time left to fetch ${host}`));
+      }, Math.max(0, deadline - Date.now()));
+    }
+
+    state.queue.push(start);
+    pump(state);
+  });
+
+  try {
+    return await task();
+  } finally {
+    state.active--;
+    pump(state);
+  }
+}
+
+function retryAfterMs(header) {
+  if (!header) return DEFAULT_BACKOFF;
+
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds)
+    ? seconds * 1000
+    : new Date(header).getTime() - Date.now();
+
+  return Number.isFinite(ms) ? Math.min(MAX_BACKOFF, Math.max(0, ms)) : DEFAULT_BACKOFF;
+}
+
+/* ============================================================
+   FETCH
+============================================================ */
+
+/**
+ * axios.get with robots.txt checks, per-host queueing and backoff,
+ * retries and the host's circuit breaker. `policy` is the URL policy
+ * the request runs under (see policyGet), if any.
+ *
+ * `deadline` (epoch ms, default now + `config.timeout`) bounds the
+ * whole call: each attempt gets what is left of it, capped at
+ * `config.timeout`, and no retry starts once it is nearly spent.
+ *
+ * Rejects with `code: "ROBOTS_DISALLOWED"` when robots.txt forbids the
+ * URL for our agent, `code: "CIRCUIT_OPEN"` while the host is
+ * considered down and DEADLINE_EXCEEDED when queueing for the host
+ * used up the time.
+ */
+export async function politeGet(url, config = {}, { policy, deadline } = {}) {
+  const target = new URL(url);
+  const until = deadline ?? (config.timeout ? Date.now() + config.timeout : Infinity);
+
+  if (RESPECT_ROBOTS) {
+    const robots = await loadRobots(target.origin, policy, until);
+
+    if (!isAllowedByRobots(robots, target.pathname + target.search)) {
+      throw policyError("ROBOTS_DISALLOWED", `robots.txt disallows ${target.pathname} for ${ROBOTS_AGENT}`);
+    }
+
+    if (robots.crawlDelay) {
+      hostState(target.host).interval = Math.max(
+        HOST_INTERVAL,
+        Math.min(MAX_CRAWL_DELAY, robots.crawlDelay * 1000)
+      );
+    }
+  }
+
+  const state = hostState(target.host);
+
+  // Not worth retrying into a Retry-After longer than a few seconds.
+  const shouldRetry = err =>
+    isTransient(err) && state.pausedUntil - Date.now() <= MAX_RETRY_WAIT;
+
+  return withResilience(
+    target.host,
+    () =>
+      withHostSlot(target.host, async () => {
+        const remaining = until - Date.now();
+        if (remaining <= 0) {
+          throw apiError("DEADLINE_EXCEEDED", `No time left to fetch ${target.host}`);
+        }
+
+        const timeout = Math.min(config.timeout || Infinity, remaining);
+
+        try {
+          return await axios.get(url, {
+            ...config,
+            ...(Number.isFinite(timeout) ? { timeout: Math.ceil(timeout) } : {}),
+            headers: { ...config.headers, "User-Agent": USER_AGENT }
+          });
+        } catch (err) {
+          const status = err.response?.status;
+          if (status === 429 || status === 503) {
+            state.pausedUntil = Date.now() + retryAfterMs(err.response.headers?.["retry-after"]);
+          }
+          throw err;
+        }
+      }, until),
+    { shouldRetry, deadline: until }
+  );
+}
+
+/**
+ * politeGet behind the outbound URL policy, for user-supplied URLs.
+ * Rejects with `{ code, status }` policy errors for anything the
+ * policy refuses.
+ */
+export async function policyGet(url, config = {}, { policy = policyFromEnv(), deadline } = {}) {
+  assertUrlAllowed(url, policy);
+
+  try {
+    return await politeGet(url, { ...config, ...policyRequestConfig(policy) }, { policy, deadline });
+  } catch (err) {
+    throw policyErrorFrom(err, policy);
+  }
+}
@@ -0,0 +1,161 @@
+import Parser from "rss-parser";
+import { createHash } from "crypto";
+import { cache, isCached } from "./cache/index.js";
+import { politeGet } from "./fetcher.js";
+import {
+  readValidators,
+  conditionalHeaders,
+  acceptNotModified
+} from "./conditional.js";
+
+const parser = new Parser();
+
+export const hash = s =>
+  createHash("md5").update(s).digest("hex").slice(0, 12);
+
+/* ============================================================
+   GOOGLE NEWS RSS BUILDER
+   search:   /rss/search?q=…
+   top:      /rss
+   topic:    /rss/headlines/section/topic/BUSINESS
+   location: /rss/headlines/section/geo/Delhi
+============================================================ */
+
+const GOOGLE_NEWS = "https://news.google.com/rss";
+
+// Google's section names, and the NEWS_SITES category (lib/sources.js
+// CATEGORIES) each one corresponds to.
+export const TOPIC_CATEGORIES = {
+  WORLD: "general",
+  NATION: "general",
+  BUSINESS: "business",
+  TECHNOLOGY: "technology",
+  SPORTS: "sports",
+  SCIENCE: "science",
+  HEALTH: "health",
+  ENTERTAINMENT: "entertainment"
+};
+
+export const TOPICS = Object.keys(TOPIC_CATEGORIES);
+
+const edition = ({ lang = "en", country = "IN" }) =>
+  `hl=${lang}-${country}&gl=${country}&ceid=${country}:${lang}`;
+
+export function googleNewsRSS({ q, lang = "en", country = "IN" }) {
+  return `${GOOGLE_NEWS}/search?q=${encodeURIComponent(q)}&${edition({ lang, country })}`;
+}
+
+export function googleNewsHeadlinesRSS({ topic, geo, lang = "en", country = "IN" }) {
+  if (topic) return `${GOOGLE_NEWS}/headlines/section/topic/${topic}?${edition({ lang, country })}`;
+  if (geo) {
+    return `${GOOGLE_NEWS}/headlines/section/geo/${encodeURIComponent(geo)}?${edition({ lang, country })}`;
+  }
+  return `${GOOGLE_NEWS}?${edition({ lang, country })}`;
+}
+
+/* ============================================================
+   FEED READER
+   Fetch, parse and normalize one Google News feed, cached under
+   `route` and revalidated with the feed's validators.
+============================================================ */
+
+const normalizeItem = item => ({
+  title: item.title || "",
+  link: item.link || "",
+  publishedAt: item.pubDate || null,
+  source: item.source?.title || "Google News",
+  description: item.contentSnippet || ""
+});
+
+async function readFeed(route, cacheKey, rssUrl, { limit, cacheMode }) {
+  const { value, meta } = await cache.wrap(
+    route,
+    cacheKey,
+    async previous => {
+      // 🔥 IMPORTANT: fetch RSS manually (prevents 500)
+      const rssResponse = await politeGet(rssUrl, {
+        timeout: 12000,
+        validateStatus: acceptNotModified,
+        headers: conditionalHeaders(previous?.validators)
+      });
+
+      if (rssResponse.status === 304 && previous) {
+        return previous;
+      }
+
+      const feed = await parser.parseString(rssResponse.data);
+      const articles = (feed.items || []).slice(0, Number(limit)).map(normalizeItem);
+
+      return {
+        total: articles.length,
+        articles,
+        validators: readValidators(rssResponse)
+      };
+    },
+    { mode: cacheMode }
+  );
+
+  const { validators, ...result } = value;
+
+  return { result, cached: isCached(meta), cache: meta };
+}
+
+/* ============================================================
+   SEARCH
+============================================================ */
+
+export async function searchGoogleNews({
+  q,
+  limit = 20,
+  lang = "en",
+  country = "IN",
+  cacheMode
+}) {
+  const { result, ...rest } = await readFeed(
+    "search",
+    hash(`${q}|${limit}|${lang}|${country}`),
+    googleNewsRSS({ q, lang, country }),
+    { limit, cacheMode }
+  );
+
+  return { result: { query: q, ...result }, ...rest };
+}
+
+/* ============================================================
+   HEADLINES
+============================================================ */
+
+/**
+ * Top stories, one topic section (`topic`, see TOPICS) or one
+ * location (`geo`). Articles carry the NEWS_SITES category of the
+ * section; location and top-story feeds are "general".
+ */
+export async function googleNewsHeadlines({
+  topic,
+  geo,
+  limit = 20,
+  lang = "en",
+  country = "IN",
+  cacheMode
+}) {
+  const category = topic ? TOPIC_CATEGORIES[topic] : "general";
+
+  const { result, ...rest } = await readFeed(
+    "headlines",
+    hash(`${topic || ""}|${geo || ""}|${limit}|${lang}|${country}`),
+    googleNewsHeadlinesRSS({ topic, geo, lang, country }),
+    { limit, cacheMode }
+  );
+
+  return {
+    result: {
+      feed: topic ? "topic" : geo ? "geo" : "top",
+      topic: topic || null,
+      geo: geo || null,
+      category,
+      total: result.total,
+      articles: result.articles.map(article => ({ ...article, category }))
+    },
+    ...rest
+  };
+}
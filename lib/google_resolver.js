@@ -0,0 +1,229 @@
+import * as cheerio from "cheerio";
+import { cache } from "./cache/index.js";
+import { policyGet } from "./fetcher.js";
+
+/* ============================================================
+   RESOLUTION CACHE
+============================================================ */
+
+// Resolved URLs use the "resolve" route TTL; failures retry sooner.
+const UNRESOLVED_TTL = 10 * 60 * 1000;
+
+/* ============================================================
+   OFFLINE ARTICLE-ID DECODING
+   Google News article IDs (the path segment after /articles/,
+   /rss/articles/ or /read/) are base64url-encoded protobuf
+   messages. Older IDs ("CBMi…", "CAIi…") carry the publisher URL
+   as a length-delimited string field, usually followed by the AMP
+   URL. Newer IDs ("CBMi…" wrapping "AU_yqL…") only carry an opaque
+   token and have to be resolved online.
+============================================================ */
+
+const ARTICLE_PATH = /^\/(?:rss\/)?(?:articles|read)\/([A-Za-z0-9_-]+)/;
+
+// Only the host counts: "news.google.com" in a path or query string
+// doesn't make a URL a Google News link.
+export function isGoogleNewsUrl(url) {
+  try {
+    return new URL(url).hostname === "news.google.com";
+  } catch {
+    return false;
+  }
+}
+
+export function articleIdFromUrl(url) {
+  if (!isGoogleNewsUrl(url)) return null;
+
+  const match = new URL(url).pathname.match(ARTICLE_PATH);
+  return match ? match[1] : null;
+}
+
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  let pos = offset;
+
+  while (pos < bytes.length) {
+    const byte = bytes[pos++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (!(byte & 0x80)) return { value, next: pos };
+    shift += 7;
+    if (shift > 49) break;
+  }
+
+  return null;
+}
+
+/**
+ * Walks the top-level protobuf fields and returns every
+ * length-delimited payload as a UTF-8 string.
+ */
+function protobufStrings(bytes) {
+  const strings = [];
+  let pos = 0;
+
+  while (pos < bytes.length) {
+    const key = readVarint(bytes, pos);
+    if (!key) break;
+    pos = key.next;
+
+    const wireType = key.value & 0x07;
+
+    if (wireType === 0) {
+      const v = readVarint(bytes, pos);
+      if (!v) break;
+      pos = v.next;
+    } else if (wireType === 2) {
+      const len = readVarint(bytes, pos);
+      if (!len || len.next + len.value > bytes.length) break;
+      strings.push(bytes.subarray(len.next, len.next + len.value).toString("utf8"));
+      pos = len.next + len.value;
+    } else if (wireType === 1) {
+      pos += 8;
+    } else if (wireType === 5) {
+      pos += 4;
+    } else {
+      break;
+    }
+  }
+
+  return strings;
+}
+
+const URL_ONLY = /^https?:\/\/[\x21-\x7e]+$/;
+const URL_RUN = /https?:\/\/[\x21-\x7e]+/g;
+
+/**
+ * Returns the publisher URL embedded in a Google News article ID, or
+ * null when the ID only carries an opaque token.
+ */
+export function decodeArticleId(id) {
+  let bytes;
+  try {
+    bytes = Buffer.from(id.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+  } catch {
+    return null;
+  }
+  if (!bytes.length) return null;
+
+  let urls = protobufStrings(bytes).filter(s => URL_ONLY.test(s));
+
+  // Malformed lengths: scan the raw bytes for URL-shaped runs instead.
+  if (!urls.length) {
+    urls = bytes.toString("latin1").match(URL_RUN) || [];
+  }
+
+  // Some IDs also contain the AMP URL; prefer the first non-AMP one.
+  return urls.find(u => !/[/.]amp([/.?]|$)/.test(u)) || urls[0] || null;
+}
+
+/* ============================================================
+   ONLINE FALLBACK (INTERSTITIAL PAGE)
+============================================================ */
+
+function isGoogle(href) {
+  try {
+    return /(^|\.)google\.[a-z.]+$/i.test(new URL(href).hostname);
+  } catch {
+    return true;
+  }
+}
+
+// `value` made absolute against the interstitial's URL, if it points
+// at a publisher rather than back at Google.
+function publisherUrl(value, base) {
+  let parsed;
+  try {
+    parsed = new URL(value.trim(), base);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+  return isGoogle(parsed.href) ? null : parsed.href;
+}
+
+// Google may redirect anywhere, so the interstitial is fetched under
+// the same outbound policy as the article itself.
+async function resolveByFetch(url) {
+  const res = await policyGet(url, {
+    timeout: 12000,
+    maxRedirects: 5
+  });
+
+  // A plain redirect already landed on the publisher.
+  const finalUrl = res.request?.res?.responseUrl;
+  if (finalUrl && !isGoogle(finalUrl)) {
+    return { url: finalUrl, strategy: "fetch-redirect" };
+  }
+
+  const $ = cheerio.load(res.data || "");
+
+  const canonical = publisherUrl(
+    $('link[rel="canonical"]').attr("href") || $('meta[property="og:url"]').attr("content") || "",
+    url
+  );
+
+  if (canonical) {
+    return { url: canonical, strategy: "fetch-canonical" };
+  }
+
+  const refresh = $('meta[http-equiv="refresh"]').attr("content");
+  const match = refresh?.match(/url\s*=\s*(.*)/i);
+  const target = match && publisherUrl(match[1].trim().replace(/^['"]|['"]$/g, ""), url);
+  if (target) {
+    return { url: target, strategy: "fetch-refresh" };
+  }
+
+  let fallback = null;
+  $("a[href]").each((_, el) => {
+    fallback = publisherUrl($(el).attr("href"), url);
+    if (fallback) return false;
+  });
+
+  return fallback
+    ? { url: fallback, strategy: "fetch-anchor" }
+    : { url, strategy: "unresolved" };
+}
+
+/* ============================================================
+   RESOLVER
+============================================================ */
+
+/**
+ * Resolves a Google News link to the publisher URL. Offline decoding is
+ * tried first; the interstitial page is fetched only when the ID is
+ * opaque. Non-Google URLs pass through untouched.
+ *
+ * Resolves to `{ url, strategy, cached }`; never rejects.
+ */
+export async function resolveArticleUrl(url) {
+  if (!isGoogleNewsUrl(url)) {
+    return { url, strategy: "direct", cached: false };
+  }
+
+  const hit = await cache.get("resolve", url);
+  if (hit) return { ...hit, cached: true };
+
+  const id = articleIdFromUrl(url);
+  const decoded = id ? decodeArticleId(id) : null;
+
+  let resolution;
+  if (decoded) {
+    resolution = { url: decoded, strategy: "decoded" };
+  } else {
+    try {
+      resolution = await resolveByFetch(url);
+    } catch {
+      resolution = { url, strategy: "unresolved" };
+    }
+  }
+
+  await cache.set(
+    "resolve",
+    url,
+    resolution,
+    resolution.strategy === "unresolved" ? { ttl: UNRESOLVED_TTL, swr: 0 } : {}
+  );
+
+  return { ...resolution, cached: false };
+}
@@ -0,0 +1,271 @@
+/* ============================================================
+   ARTICLE IMAGES
+   Every <img> / <picture> the extractor left in the page becomes a
+   candidate: its largest srcset rendition, declared size, and the
+   caption and credit of an enclosing <figure>. Pixels, spacers,
+   ad creatives, avatars and the site logo are dropped. Candidates
+   are ranked for the lead image: the page's declared og:image /
+   JSON-LD image first, then large captioned images near the top
+   of the article body.
+
+   Each image records whether it sits inside the extracted article
+   body (`inArticle`), so one cached result can answer both
+   `?images=article` and `?images=all`.
+============================================================ */
+
+export const IMAGE_SCOPES = ["article", "all"];
+
+// Declared smaller than this in either dimension: icons, pixels.
+const MIN_SIDE = 100;
+
+const TRACKING =
+  /(?:^|[/._-])(?:pixel|beacon|spacer|blank|transparent|1x1|tracking?)(?:[/._-]|$)|doubleclick\.net|googlesyndication|google-analytics|scorecardresearch|facebook\.com\/tr|quantserve|\/b\/ss\//i;
+
+const AVATAR = /avatar|gravatar|author|byline|profile[-_]?(?:pic|photo|image)|headshot/i;
+const LOGO = /logo|brand[-_]?mark|masthead/i;
+const AD = /(?:^|[\s_-])(?:ad|ads|advert|adslot|sponsor(?:ed)?|dfp|taboola|outbrain)(?:[\s_-]|$)/i;
+const CHROME = "header, nav, footer, aside, [role='banner'], [role='navigation']";
+
+const CREDIT_SELECTOR =
+  ".credit, .image-credit, .caption-credit, .photo-credit, [itemprop='copyrightHolder'], [itemprop='creditText'], [itemprop='author']";
+const CREDIT_TEXT = /\s*[(\[]?\s*(?:photo|image|picture|pic|credit|courtesy|source|फोटो|तस्वीर)s?(?:\s+credit)?\s*[:：/|-]\s*([^)\]]+)[)\]]?\s*$/iu;
+
+const squash = s => String(s ?? "").replace(/\s+/g, " ").trim();
+const size = v => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Query strings on image CDNs are mostly resize knobs; the path
+// names the picture.
+const imageKey = src => src.replace(/[?#].*$/, "").replace(/^https?:\/\//, "");
+
+function absolute(src, baseUrl) {
+  if (!src || /^data:/i.test(src.trim())) return null;
+  try {
+    const url = new URL(src.trim(), baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Candidates of a srcset attribute: `[{ url, w, x }]`.
+ */
+function parseSrcset(srcset) {
+  return String(srcset || "")
+    // Commas inside URLs (Cloudinary, imgix) aren't followed by space.
+    .split(/,\s+|,(?=\S+\s+\d)/)
+    .map(part => {
+      const [url, descriptor = "1x"] = part.trim().split(/\s+/);
+      if (!url) return null;
+      const value = parseFloat(descriptor);
+      return {
+        url,
+        w: descriptor.endsWith("w") ? value : null,
+        x: descriptor.endsWith("x") ? value : null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * `{ src, width, height }` for an <img>, using the largest rendition
+ * its srcset or an enclosing <picture> offers.
+ */
+function bestSource($, $img, baseUrl) {
+  const width = size($img.attr("width") || $img.attr("data-width"));
+  const height = size($img.attr("height") || $img.attr("data-height"));
+
+  const srcsets = [
+    $img.attr("srcset"),
+    $img.attr("data-srcset"),
+    ...$img
+      .parent("picture")
+      .find("source")
+      .toArray()
+      .map(el => $(el).attr("srcset") || $(el).attr("data-srcset"))
+  ];
+
+  const candidates = srcsets.flatMap(parseSrcset);
+  const best = candidates.reduce(
+    (a, b) => ((b.w ?? (b.x || 1) * (width || 1)) > (a.w ?? (a.x || 1) * (width || 1)) ? b : a),
+    candidates[0]
+  );
+
+  const fallback =
+    $img.attr("data-src") ||
+    $img.attr("data-lazy-src") ||
+    $img.attr("data-original") ||
+    $img.attr("src");
+
+  const src = absolute(best?.url, baseUrl) || absolute(fallback, baseUrl);
+  if (!src) return null;
+
+  // A w descriptor is the real width; keep the declared aspect ratio.
+  if (best?.w && absolute(best.url, baseUrl) === src) {
+    return {
+      src,
+      width: best.w,
+      height: width && height ? Math.round((best.w * height) / width) : null
+    };
+  }
+
+  return { src, width, height };
+}
+
+function figureText($, $img) {
+  const $figure = $img.closest("figure");
+  if (!$figure.length) return { caption: null, credit: null };
+
+  const $caption = $figure.find("figcaption").first();
+  const $credit = $figure.find(CREDIT_SELECTOR).first();
+  let credit = squash($credit.text()) || null;
+  let caption = squash(($caption.length ? $caption : $figure).clone().find(CREDIT_SELECTOR).remove().end().text());
+
+  if (!credit) {
+    const match = CREDIT_TEXT.exec(caption);
+    if (match) {
+      credit = squash(match[1]);
+      caption = squash(caption.slice(0, match.index));
+    }
+  }
+
+  return { caption: caption || null, credit };
+}
+
+const labelOf = $el => `${$el.attr("class") || ""} ${$el.attr("id") || ""}`;
+
+function isJunk($, $img, src, { width, height }, logos) {
+  if (TRACKING.test(src)) return true;
+  if ((width && width < MIN_SIDE) || (height && height < MIN_SIDE)) return true;
+  if (logos.has(imageKey(src))) return true;
+
+  const own = `${labelOf($img)} ${$img.attr("alt") || ""} ${src.replace(/[?#].*$/, "")}`;
+  if (LOGO.test(own) || AVATAR.test(labelOf($img)) || AVATAR.test(src.replace(/[?#].*$/, ""))) return true;
+
+  return $img
+    .parents()
+    .toArray()
+    .some(el => {
+      const label = labelOf($(el));
+      return AD.test(label) || AVATAR.test(label);
+    });
+}
+
+/**
+ * Image URLs that are the site's logo: the declared publisher logo,
+ * and images in the header / nav or labelled as a logo. Read before
+ * the extractor strips the page chrome.
+ */
+export function logoSources($, baseUrl, metadata = {}) {
+  const logos = new Set();
+  if (metadata.publisherLogo) logos.add(imageKey(metadata.publisherLogo));
+
+  $("img").each((_, el) => {
+    const $img = $(el);
+    // An <article>'s own <header> holds its hero image, not the logo.
+    const $chrome = $img.closest(CHROME);
+    const inChrome = $chrome.length > 0 && !$chrome.closest("article, main, [role='main']").length;
+    const labelled = LOGO.test(`${labelOf($img)} ${labelOf($img.parent())} ${$img.attr("alt") || ""}`);
+    if (!inChrome && !labelled) return;
+
+    const best = bestSource($, $img, baseUrl);
+    if (best) logos.add(imageKey(best.src));
+    const src = absolute($img.attr("src"), baseUrl);
+    if (src) logos.add(imageKey(src));
+  });
+
+  return logos;
+}
+
+/**
+ * Ranked, deduplicated images of an extracted page:
+ * `[{ src, alt, width, height, caption, credit, inArticle, score }]`.
+ * `nodes` are the article body's DOM nodes; `lead` is the declared
+ * metadata image (`{ url, width, height }`), if any.
+ */
+export function extractImages($, { baseUrl, nodes = [], logos = new Set(), lead = null }) {
+  // Paragraph-level fallback nodes stand for their container.
+  const roots = nodes.map(node => (node.tagName === "p" ? node.parent : node)).filter(Boolean);
+  const inBody = el => roots.some(root => root === el || $.contains(root, el));
+  const leadKey = lead?.url ? imageKey(lead.url) : null;
+
+  const images = [];
+  const seen = new Set();
+
+  $("img").each((_, el) => {
+    const $img = $(el);
+    const best = bestSource($, $img, baseUrl);
+    if (!best) return;
+
+    const key = imageKey(best.src);
+    if (seen.has(key) || isJunk($, $img, best.src, best, logos)) return;
+    seen.add(key);
+
+    images.push({
+      src: best.src,
+      alt: squash($img.attr("alt")),
+      width: best.width,
+      height: best.height,
+      ...figureText($, $img),
+      // The declared image belongs to the article wherever it's shown.
+      inArticle: key === leadKey || inBody(el),
+      declared: key === leadKey
+    });
+  });
+
+  // The declared image is the lead even when the body doesn't show it.
+  if (leadKey && !seen.has(leadKey) && !logos.has(leadKey)) {
+    images.unshift({
+      src: lead.url,
+      alt: "",
+      width: lead.width ?? null,
+      height: lead.height ?? null,
+      caption: null,
+      credit: null,
+      inArticle: true,
+      declared: true
+    });
+  }
+
+  const count = images.length;
+  return rankImages(
+    images.map(({ declared, ...img }, i) => ({ ...img, score: scoreImage(img, declared, i, count) }))
+  );
+}
+
+// Roughly 0–3: declared lead > in-article > large > captioned > early.
+function scoreImage(img, declared, index, count) {
+  const area = img.width && img.height ? img.width * img.height : null;
+  return Math.round(
+    ((declared ? 1.5 : 0) +
+      (img.inArticle ? 0.5 : 0) +
+      (area ? Math.min(area / (1200 * 675), 1) * 0.5 : 0.2) +
+      (img.caption ? 0.2 : 0) +
+      0.3 * (1 - index / Math.max(count, 1))) * 1000
+  ) / 1000;
+}
+
+/**
+ * Highest score first, one entry per picture.
+ */
+export function rankImages(images) {
+  const seen = new Set();
+  return [...images]
+    .sort((a, b) => b.score - a.score)
+    .filter(img => !seen.has(imageKey(img.src)) && seen.add(imageKey(img.src)));
+}
+
+/**
+ * `{ leadImage, images }` for a response: article-body images only
+ * unless scope is "all", without the ranking score.
+ */
+export function presentImages(images = [], scope = "article") {
+  const shown = images
+    .filter(img => scope === "all" || img.inArticle)
+    .map(({ score, ...img }) => img);
+
+  return { leadImage: shown[0] || null, images: shown };
+}
@@ -0,0 +1,208 @@
+/* ============================================================
+   LANGUAGE & TEXT STATS
+   Offline language identification: the dominant Unicode script
+   settles most languages outright (Devanagari → hi, Kana → ja,
+   Hangul → ko …); Latin and Cyrillic text is scored against small
+   stopword lists. Word counts use Intl.Segmenter, which knows
+   where words end in unspaced CJK and Thai text, and character
+   counts are grapheme clusters, so a Devanagari conjunct counts
+   once rather than once per code point.
+============================================================ */
+
+const LANGUAGE_NAMES = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+// [script, Unicode property, language it implies]
+const SCRIPTS = [
+  ["Devanagari", /\p{Script=Devanagari}/gu, "hi"],
+  ["Bengali", /\p{Script=Bengali}/gu, "bn"],
+  ["Gurmukhi", /\p{Script=Gurmukhi}/gu, "pa"],
+  ["Gujarati", /\p{Script=Gujarati}/gu, "gu"],
+  ["Oriya", /\p{Script=Oriya}/gu, "or"],
+  ["Tamil", /\p{Script=Tamil}/gu, "ta"],
+  ["Telugu", /\p{Script=Telugu}/gu, "te"],
+  ["Kannada", /\p{Script=Kannada}/gu, "kn"],
+  ["Malayalam", /\p{Script=Malayalam}/gu, "ml"],
+  ["Sinhala", /\p{Script=Sinhala}/gu, "si"],
+  ["Kana", /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, "ja"],
+  ["Han", /\p{Script=Han}/gu, "zh"],
+  ["Hangul", /\p{Script=Hangul}/gu, "ko"],
+  ["Thai", /\p{Script=Thai}/gu, "th"],
+  ["Arabic", /\p{Script=Arabic}/gu, "ar"],
+  ["Hebrew", /\p{Script=Hebrew}/gu, "he"],
+  ["Greek", /\p{Script=Greek}/gu, "el"],
+  ["Cyrillic", /\p{Script=Cyrillic}/gu, "ru"],
+  ["Latin", /\p{Script=Latin}/gu, "en"]
+];
+
+// Letters Urdu uses and Arabic doesn't.
+const URDU_LETTERS = /[ٹڈڑںےۓھ]/u;
+
+// Marathi/Nepali share Devanagari with Hindi; these words tip it.
+const DEVANAGARI_WORDS = {
+  hi: ["है", "और", "के", "की", "में", "से", "को", "का", "पर", "यह", "नहीं", "था"],
+  mr: ["आहे", "आणि", "या", "की", "आहेत", "होते", "त्यांनी", "केली", "नाही"],
+  ne: ["छ", "र", "को", "गरेको", "भएको", "हो", "पनि", "गर्न", "छन्"]
+};
+
+const LATIN_WORDS = {
+  en: ["the", "and", "of", "to", "in", "is", "that", "for", "was", "with", "on", "said"],
+  fr: ["le", "la", "les", "et", "des", "est", "une", "pour", "dans", "qui", "pas", "sur"],
+  de: ["der", "die", "und", "das", "ist", "nicht", "mit", "den", "sich", "auf", "ein", "für"],
+  es: ["el", "la", "de", "que", "y", "los", "las", "por", "una", "para", "con", "del"],
+  pt: ["o", "a", "de", "que", "e", "do", "da", "em", "um", "para", "não", "uma"],
+  it: ["il", "di", "che", "la", "e", "per", "un", "non", "della", "sono", "del", "gli"],
+  nl: ["de", "het", "een", "en", "van", "is", "dat", "op", "niet", "met", "zijn", "voor"],
+  id: ["yang", "dan", "di", "ini", "itu", "dengan", "untuk", "dari", "tidak", "dalam", "akan", "pada"]
+};
+
+const CYRILLIC_WORDS = {
+  ru: ["и", "в", "не", "на", "что", "с", "по", "это", "как", "он", "из", "для"],
+  uk: ["і", "в", "не", "на", "що", "з", "та", "це", "як", "він", "для", "й"]
+};
+
+const SAMPLE_CHARS = 5000;
+
+const round = n => Math.round(n * 100) / 100;
+
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+function words(text) {
+  const out = [];
+  for (const { segment, isWordLike } of wordSegmenter.segment(text)) {
+    if (isWordLike) out.push(segment.toLowerCase());
+  }
+  return out;
+}
+
+function bestByStopwords(tokens, profiles) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+
+  let best = null;
+  let bestScore = 0;
+  for (const [lang, list] of Object.entries(profiles)) {
+    const score = list.reduce((sum, w) => sum + (counts.get(w) || 0), 0);
+    if (score > bestScore) {
+      best = lang;
+      bestScore = score;
+    }
+  }
+
+  // A couple of hits in a long text is noise.
+  return bestScore >= Math.min(5, Math.ceil(tokens.length * 0.02)) ? best : null;
+}
+
+/**
+ * `{ language, script, confidence }` guessed from the text alone;
+ * language is null when nothing is conclusive.
+ */
+export function detectLanguage(text) {
+  const sample = String(text || "").slice(0, SAMPLE_CHARS);
+
+  const tallies = SCRIPTS.map(([script, pattern, language]) => ({
+    script,
+    language,
+    count: (sample.match(pattern) || []).length
+  }));
+  const letters = tallies.reduce((sum, t) => sum + t.count, 0);
+  if (letters < 20) return { language: null, script: null, confidence: 0 };
+
+  const kana = tallies.find(t => t.script === "Kana");
+  const han = tallies.find(t => t.script === "Han");
+
+  // Japanese mixes Han with kana; any real share of kana means ja.
+  if (kana.count > 0 && kana.count >= letters * 0.05) {
+    return { language: "ja", script: "Kana", confidence: round((kana.count + han.count) / letters) };
+  }
+
+  const top = tallies.reduce((a, b) => (b.count > a.count ? b : a));
+  const confidence = round(top.count / letters);
+  let language = top.language;
+
+  if (top.script === "Arabic" && URDU_LETTERS.test(sample)) language = "ur";
+  if (top.script === "Devanagari") language = bestByStopwords(words(sample), DEVANAGARI_WORDS) || "hi";
+  if (top.script === "Cyrillic") language = bestByStopwords(words(sample), CYRILLIC_WORDS) || "ru";
+  if (top.script === "Latin") language = bestByStopwords(words(sample), LATIN_WORDS);
+
+  return { language, script: top.script, confidence: language ? confidence : 0 };
+}
+
+/**
+ * Primary subtag of a BCP 47 tag ("en-IN" → "en"), or null when it
+ * isn't a language ISO 639 knows.
+ */
+export function normalizeLanguage(tag) {
+  const primary = String(tag || "").trim().split(/[-_]/)[0].toLowerCase();
+  if (!/^[a-z]{2,3}$/.test(primary)) return null;
+  return LANGUAGE_NAMES.of(primary) ? primary : null;
+}
+
+// Scripts a declared language is written in, beyond SCRIPTS' own
+// mapping. Unlisted languages are trusted whatever the text says.
+const LANGUAGE_SCRIPTS = {
+  ja: ["Kana", "Han"],
+  ko: ["Hangul", "Han"],
+  yue: ["Han"],
+  mr: ["Devanagari"], ne: ["Devanagari"], sa: ["Devanagari"], mai: ["Devanagari"], kok: ["Devanagari"],
+  as: ["Bengali"],
+  ur: ["Arabic"], fa: ["Arabic"], ps: ["Arabic"],
+  uk: ["Cyrillic"], bg: ["Cyrillic"], sr: ["Cyrillic"], mk: ["Cyrillic"], kk: ["Cyrillic"],
+  fr: ["Latin"], de: ["Latin"], es: ["Latin"], pt: ["Latin"], it: ["Latin"], nl: ["Latin"],
+  id: ["Latin"], ms: ["Latin"], sv: ["Latin"], pl: ["Latin"], tr: ["Latin"], vi: ["Latin"]
+};
+
+function scriptsOf(language) {
+  if (LANGUAGE_SCRIPTS[language]) return LANGUAGE_SCRIPTS[language];
+  const own = SCRIPTS.find(([, , lang]) => lang === language);
+  return own ? [own[0]] : null;
+}
+
+/**
+ * Settles on one language for an article. The page's declaration
+ * (`<html lang>`, og:locale, JSON-LD inLanguage) wins unless the
+ * text is plainly in a script that language isn't written in —
+ * Hindi sites that ship `lang="en"` templates are common.
+ */
+export function resolveLanguage(declaredTag, text) {
+  const declared = normalizeLanguage(declaredTag);
+  const detected = detectLanguage(text);
+  const scripts = declared && scriptsOf(declared);
+
+  const conflicting = scripts && detected.language && detected.confidence >= 0.6 &&
+    !scripts.includes(detected.script);
+
+  if (declared && !conflicting) {
+    return { code: declared, source: "declared", declared: declaredTag, script: detected.script };
+  }
+
+  if (detected.language) {
+    return {
+      code: detected.language,
+      source: "detected",
+      declared: declaredTag || null,
+      script: detected.script,
+      confidence: detected.confidence
+    };
+  }
+
+  return { code: null, source: null, declared: declaredTag || null, script: detected.script };
+}
+
+/* ============================================================
+   TEXT STATS
+============================================================ */
+
+export function countWords(text) {
+  let n = 0;
+  for (const { isWordLike } of wordSegmenter.segment(String(text || ""))) {
+    if (isWordLike) n++;
+  }
+  return n;
+}
+
+export function countCharacters(text) {
+  let n = 0;
+  for (const _ of graphemeSegmenter.segment(String(text || ""))) n++;
+  return n;
+}
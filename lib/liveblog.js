@@ -0,0 +1,169 @@
+import { readJsonLd, normalizeDate } from "./metadata.js";
+import { cleanText } from "./text.js";
+
+/* ============================================================
+   LIVE BLOGS
+   A page is a live blog when its JSON-LD has a LiveBlogPosting
+   or its markup repeats timestamped update cards. Updates come
+   from `liveBlogUpdate` when the publisher lists them there, and
+   from the cards otherwise. Must run before the extractor strips
+   <script> tags and chrome.
+============================================================ */
+
+const LIVE_TYPES = /^LiveBlogPosting$/;
+
+// Update cards across CMSes: schema.org microdata, the Guardian's
+// `block-…` blocks and the common liveblog plugin class names.
+const ENTRY_SELECTORS = [
+  '[itemscope][itemtype$="BlogPosting"]:not([itemtype$="LiveBlogPosting"])',
+  '[id^="block-"]',
+  ".liveblog-entry",
+  ".live-blog-entry",
+  ".live-blog-post",
+  ".live-blog__item",
+  ".liveblog__update",
+  ".live-update",
+  ".liveUpdate",
+  ".lb-post",
+  ".lb-item",
+  ".live_blog_item",
+  ".liveSec",
+  ".timeline-item"
+];
+
+const TIME_SELECTOR = "time[datetime], [data-timestamp], [itemprop='datePublished']";
+const HEADLINE_SELECTOR = "[itemprop='headline'], h2, h3, h4, .headline, .title";
+const AUTHOR_SELECTOR = "[itemprop='author'], [rel='author'], .author, .byline";
+
+const squash = s => String(s ?? "").replace(/\s+/g, " ").trim();
+const asArray = v => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+function authorName(author, resolve) {
+  const names = asArray(author)
+    .map(resolve)
+    .map(a => squash(typeof a === "string" ? a : a?.name))
+    .filter(Boolean);
+  return names.length ? names.join(", ") : null;
+}
+
+function fromJsonLd(update, resolve, baseUrl) {
+  if (!update || typeof update !== "object") return null;
+
+  const body = cleanText(String(update.articleBody || update.text || update.description || ""), {
+    keepParagraphs: true
+  });
+  const headline = squash(update.headline || update.name) || null;
+  if (!body && !headline) return null;
+
+  let url = null;
+  try {
+    url = update.url ? new URL(update.url, baseUrl).href : null;
+  } catch {}
+
+  return {
+    id: update["@id"] || url || null,
+    publishedAt: normalizeDate(update.datePublished),
+    updatedAt: normalizeDate(update.dateModified),
+    headline,
+    body,
+    author: authorName(update.author, resolve),
+    url
+  };
+}
+
+function entryTime($el) {
+  const $time = $el.find(TIME_SELECTOR).first();
+  return normalizeDate(
+    $time.attr("datetime") || $time.attr("data-timestamp") || $time.attr("content") || $time.text()
+  );
+}
+
+function fromMarkup($, baseUrl) {
+  for (const selector of ENTRY_SELECTORS) {
+    const entries = $(selector)
+      .toArray()
+      .map(el => {
+        const $el = $(el);
+        const publishedAt = entryTime($el);
+        if (!publishedAt) return null;
+
+        const $headline = $el.find(HEADLINE_SELECTOR).first();
+        const headline = squash($headline.text()) || null;
+        const author = squash($el.find(AUTHOR_SELECTOR).first().text()) || null;
+
+        const paragraphs = $el
+          .find("p, li, blockquote")
+          .toArray()
+          .map(p => squash($(p).text()))
+          .filter(text => text && text !== headline && text !== author);
+        const body = cleanText(paragraphs.join("\n\n"), { keepParagraphs: true });
+        if (!body && !headline) return null;
+
+        const id = $el.attr("id") || $el.attr("data-id") || null;
+        return {
+          id,
+          publishedAt,
+          updatedAt: null,
+          headline,
+          body,
+          author,
+          url: id ? `${baseUrl.replace(/#.*$/, "")}#${id}` : null
+        };
+      })
+      .filter(Boolean);
+
+    // One dated card is an article with a timestamp, not a live blog.
+    if (entries.length >= 2) return entries;
+  }
+
+  return [];
+}
+
+const newestFirst = (a, b) =>
+  (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0);
+
+/**
+ * `{ coverageStartTime, coverageEndTime, updates }` for a live blog
+ * page, newest update first, or null for an ordinary article.
+ */
+export function extractLiveBlog($, baseUrl) {
+  const { article: blog, resolve } = readJsonLd($, LIVE_TYPES);
+
+  let updates = blog
+    ? asArray(blog.liveBlogUpdate).map(resolve).map(u => fromJsonLd(u, resolve, baseUrl)).filter(Boolean)
+    : [];
+  if (!updates.length) updates = fromMarkup($, baseUrl);
+
+  if (!blog && !updates.length) return null;
+
+  return {
+    coverageStartTime: normalizeDate(blog?.coverageStartTime),
+    coverageEndTime: normalizeDate(blog?.coverageEndTime),
+    updates: updates.sort(newestFirst)
+  };
+}
+
+/**
+ * Updates from several pages of the same blog, deduplicated,
+ * newest first.
+ */
+export function mergeUpdates(lists) {
+  const seen = new Set();
+  return lists
+    .flat()
+    .filter(u => {
+      const key = u.id || `${u.publishedAt}|${u.headline}|${u.body.slice(0, 80)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort(newestFirst);
+}
+
+/**
+ * Updates published after `since` (ISO string), for polling clients.
+ */
+export function updatesSince(updates, since) {
+  const after = Date.parse(since);
+  return updates.filter(u => Date.parse(u.publishedAt) > after);
+}
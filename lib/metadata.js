@@ -0,0 +1,378 @@
+/* ============================================================
+   ARTICLE METADATA (JSON-LD → MICRODATA → OPEN GRAPH → META)
+   Every field reports the layer it was read from in `sources`.
+============================================================ */
+
+const ARTICLE_TYPES =
+  /^(NewsArticle|Article|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BackgroundNewsArticle|ReviewNewsArticle|BlogPosting|LiveBlogPosting|Report|ScholarlyArticle|TechArticle)$/;
+
+const squash = s => String(s ?? "").replace(/\s+/g, " ").trim();
+const asArray = v => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+function absolute(url, baseUrl) {
+  if (!url) return null;
+  try {
+    return new URL(String(url).trim(), baseUrl || undefined).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses anything date-like into ISO-8601 (UTC). Unix timestamps in
+ * seconds or milliseconds are accepted; unparseable values become null.
+ */
+export function normalizeDate(value) {
+  if (value == null || value === "") return null;
+
+  let input = typeof value === "string" ? value.trim() : value;
+
+  if (typeof input === "string" && /^\d{10}(\d{3})?$/.test(input)) {
+    input = Number(input);
+  } else if (typeof input === "string" && /^\d+$/.test(input)) {
+    // Any other run of digits (an ID, a bare year) would parse as a year.
+    return null;
+  }
+  if (typeof input === "number") {
+    input = input < 1e12 ? input * 1000 : input;
+  }
+  if (typeof input === "string") {
+    // "+0530" offsets are not accepted by Date.parse everywhere.
+    input = input.replace(/([+-]\d{2})(\d{2})$/, "$1:$2");
+  }
+
+  const date = new Date(input);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const s = squash(value).toLowerCase();
+  if (s === "true" || s === "free") return true;
+  if (s === "false" || s === "locked" || s === "metered") return false;
+  return null;
+}
+
+function splitKeywords(value) {
+  return [
+    ...new Set(
+      asArray(value)
+        .flatMap(v => String(v).split(","))
+        .map(squash)
+        .filter(Boolean)
+    )
+  ];
+}
+
+/* ============================================================
+   JSON-LD
+============================================================ */
+
+function parseJsonLd(raw) {
+  const text = raw
+    .replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, "")
+    .replace(/[\u0000-\u001f]+/g, " ")
+    .trim();
+  if (!text) return [];
+
+  try {
+    return asArray(JSON.parse(text));
+  } catch {
+    return [];
+  }
+}
+
+function typesOf(node) {
+  return asArray(node?.["@type"]).map(String);
+}
+
+/**
+ * First JSON-LD node whose @type matches `types` (article types by
+ * default), plus a resolver for `{ "@id": … }` references.
+ */
+export function readJsonLd($, types = ARTICLE_TYPES) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    for (const item of parseJsonLd($(el).contents().text())) {
+      nodes.push(...asArray(item?.["@graph"]), item);
+    }
+  });
+
+  const byId = new Map();
+  for (const node of nodes) {
+    if (node && node["@id"]) byId.set(node["@id"], node);
+  }
+
+  const resolve = v =>
+    v && typeof v === "object" && v["@id"] && Object.keys(v).length === 1
+      ? byId.get(v["@id"]) || v
+      : v;
+
+  const article = nodes.find(n => typesOf(n).some(t => types.test(t)));
+
+  return { article, resolve };
+}
+
+function jsonLdImage(value, resolve, baseUrl) {
+  for (const entry of asArray(value).map(resolve)) {
+    if (!entry) continue;
+    if (typeof entry === "string") {
+      const url = absolute(entry, baseUrl);
+      if (url) return { url, width: null, height: null };
+      continue;
+    }
+    const url = absolute(entry.url || entry.contentUrl, baseUrl);
+    if (url) {
+      return {
+        url,
+        width: Number(entry.width?.value ?? entry.width) || null,
+        height: Number(entry.height?.value ?? entry.height) || null
+      };
+    }
+  }
+  return null;
+}
+
+function jsonLdFields(ld, baseUrl) {
+  const { article, resolve } = ld;
+  if (!article) return {};
+
+  const authors = asArray(article.author)
+    .map(resolve)
+    .map(a =>
+      typeof a === "string"
+        ? { name: squash(a), url: null }
+        : { name: squash(a?.name), url: absolute(a?.url || asArray(a?.sameAs)[0], baseUrl) }
+    )
+    .filter(a => a.name);
+
+  const publisher = resolve(asArray(article.publisher)[0]) || {};
+  const logo = resolve(asArray(publisher.logo)[0]);
+  const mainEntity = resolve(article.mainEntityOfPage);
+
+  const freeFlags = [article.isAccessibleForFree, ...asArray(article.hasPart).map(p => resolve(p)?.isAccessibleForFree)]
+    .map(toBoolean)
+    .filter(v => v !== null);
+
+  return {
+    type: typesOf(article)[0],
+    headline: squash(article.headline || article.name),
+    description: squash(article.description),
+    authors: authors.length ? authors : null,
+    datePublished: normalizeDate(article.datePublished),
+    dateModified: normalizeDate(article.dateModified),
+    section: squash(asArray(article.articleSection)[0]),
+    keywords: splitKeywords(article.keywords),
+    publisherName: squash(publisher.name),
+    publisherLogo: absolute(typeof logo === "string" ? logo : logo?.url, baseUrl),
+    canonicalUrl: absolute(
+      typeof mainEntity === "string" ? mainEntity : mainEntity?.["@id"] || article.url,
+      baseUrl
+    ),
+    language: squash(article.inLanguage),
+    isAccessibleForFree: freeFlags.length ? !freeFlags.includes(false) : null,
+    image: jsonLdImage(article.image || article.thumbnailUrl, resolve, baseUrl)
+  };
+}
+
+/* ============================================================
+   MICRODATA
+============================================================ */
+
+function itempropValue($, $el) {
+  if (!$el.length) return "";
+  const tag = $el[0].tagName;
+
+  if ($el.attr("content")) return squash($el.attr("content"));
+  if ($el.attr("datetime")) return squash($el.attr("datetime"));
+  if (tag === "a" || tag === "link") return squash($el.attr("href"));
+  if (tag === "img" || tag === "source") return squash($el.attr("src"));
+  if (tag === "meta") return "";
+  return squash($el.text());
+}
+
+function microdataFields($, baseUrl) {
+  const $scope = $("[itemscope][itemtype]")
+    .filter((_, el) => {
+      const type = ($(el).attr("itemtype") || "").split("/").pop();
+      return ARTICLE_TYPES.test(type);
+    })
+    .first();
+  if (!$scope.length) return {};
+
+  // Properties of this item only, not of nested items further down.
+  const prop = name =>
+    $scope
+      .find(`[itemprop~="${name}"]`)
+      .filter((_, el) => $(el).parent().closest("[itemscope]")[0] === $scope[0]);
+
+  const authors = prop("author")
+    .map((_, el) => {
+      const $a = $(el);
+      if ($a.is("[itemscope]")) {
+        const name = itempropValue($, $a.find('[itemprop~="name"]').first()) || squash($a.text());
+        const url = $a.find('[itemprop~="url"]').first();
+        return { name, url: absolute(url.attr("href") || url.attr("content"), baseUrl) };
+      }
+      return {
+        name: $a.attr("content") ? itempropValue($, $a) : squash($a.text()),
+        url: absolute($a.attr("href"), baseUrl)
+      };
+    })
+    .get()
+    .filter(a => a.name);
+
+  const $publisher = prop("publisher").first();
+  const $logo = $publisher.find('[itemprop~="logo"]').first();
+  const $image = prop("image").first();
+  const imageUrl = $image.is("[itemscope]")
+    ? itempropValue($, $image.find('[itemprop~="url"]').first())
+    : itempropValue($, $image);
+
+  const free = toBoolean(itempropValue($, prop("isAccessibleForFree").first()));
+
+  return {
+    type: ($scope.attr("itemtype") || "").split("/").pop(),
+    headline: itempropValue($, prop("headline").first()),
+    description: itempropValue($, prop("description").first()),
+    authors: authors.length ? authors : null,
+    datePublished: normalizeDate(itempropValue($, prop("datePublished").first())),
+    dateModified: normalizeDate(itempropValue($, prop("dateModified").first())),
+    section: itempropValue($, prop("articleSection").first()),
+    keywords: splitKeywords(prop("keywords").map((_, el) => itempropValue($, $(el))).get()),
+    publisherName: itempropValue($, $publisher.find('[itemprop~="name"]').first()),
+    publisherLogo: absolute(
+      $logo.is("[itemscope]")
+        ? itempropValue($, $logo.find('[itemprop~="url"]').first())
+        : itempropValue($, $logo),
+      baseUrl
+    ),
+    isAccessibleForFree: free,
+    image: imageUrl ? { url: absolute(imageUrl, baseUrl), width: null, height: null } : null
+  };
+}
+
+/* ============================================================
+   OPEN GRAPH / META / HTML
+============================================================ */
+
+function metaFields($, baseUrl) {
+  const meta = selector => squash($(selector).first().attr("content"));
+  const metaAll = selector =>
+    $(selector)
+      .map((_, el) => squash($(el).attr("content")))
+      .get()
+      .filter(Boolean);
+
+  const ogImage = meta('meta[property="og:image:secure_url"]') || meta('meta[property="og:image"]');
+  const tier = toBoolean(meta('meta[property="article:content_tier"]'));
+
+  return {
+    og: {
+      headline: meta('meta[property="og:title"]'),
+      description: meta('meta[property="og:description"]'),
+      // article:author is often a profile URL rather than a name.
+      authors: metaAll('meta[property="article:author"]')
+        .filter(v => !/^https?:/.test(v))
+        .map(name => ({ name, url: null })),
+      datePublished: normalizeDate(meta('meta[property="article:published_time"]')),
+      dateModified: normalizeDate(
+        meta('meta[property="article:modified_time"]') || meta('meta[property="og:updated_time"]')
+      ),
+      section: meta('meta[property="article:section"]'),
+      keywords: splitKeywords(metaAll('meta[property="article:tag"]')),
+      publisherName: meta('meta[property="og:site_name"]'),
+      canonicalUrl: absolute(meta('meta[property="og:url"]'), baseUrl),
+      language: meta('meta[property="og:locale"]').replace("_", "-"),
+      isAccessibleForFree: tier,
+      image: ogImage
+        ? {
+            url: absolute(ogImage, baseUrl),
+            width: Number(meta('meta[property="og:image:width"]')) || null,
+            height: Number(meta('meta[property="og:image:height"]')) || null
+          }
+        : null
+    },
+    meta: {
+      headline: meta('meta[name="twitter:title"]'),
+      description: meta('meta[name="description"]') || meta('meta[name="twitter:description"]'),
+      authors: splitKeywords(meta('meta[name="author"]') || squash($('[rel="author"]').first().text()))
+        .map(name => ({ name, url: null })),
+      datePublished: normalizeDate(
+        meta('meta[name="publish-date"]') ||
+          meta('meta[name="pubdate"]') ||
+          meta('meta[name="date"]') ||
+          meta('meta[name="parsely-pub-date"]') ||
+          meta('meta[itemprop="datePublished"]')
+      ),
+      dateModified: normalizeDate(meta('meta[name="last-modified"]')),
+      keywords: splitKeywords(meta('meta[name="news_keywords"]') || meta('meta[name="keywords"]')),
+      publisherName: meta('meta[name="application-name"]'),
+      image: meta('meta[name="twitter:image"]')
+        ? { url: absolute(meta('meta[name="twitter:image"]'), baseUrl), width: null, height: null }
+        : null
+    },
+    html: {
+      headline: squash($("h1").first().text()) || squash($("title").text()),
+      datePublished: normalizeDate($("time[datetime]").first().attr("datetime")),
+      canonicalUrl: absolute($('link[rel="canonical"]').attr("href"), baseUrl),
+      language: squash($("html").attr("lang"))
+    }
+  };
+}
+
+/* ============================================================
+   MERGE
+============================================================ */
+
+const FIELDS = [
+  "headline", "description", "authors", "datePublished", "dateModified",
+  "section", "keywords", "publisherName", "publisherLogo", "canonicalUrl",
+  "language", "isAccessibleForFree", "image"
+];
+
+const isEmpty = v =>
+  v == null || v === "" || (Array.isArray(v) && v.length === 0);
+
+export function extractMetadata($, baseUrl) {
+  const { og, meta, html } = metaFields($, baseUrl);
+  const layers = [
+    ["json-ld", jsonLdFields(readJsonLd($), baseUrl)],
+    ["microdata", microdataFields($, baseUrl)],
+    ["opengraph", og],
+    ["meta", meta],
+    ["html", html]
+  ];
+
+  const merged = {};
+  const sources = {};
+
+  for (const field of FIELDS) {
+    merged[field] = null;
+    for (const [source, values] of layers) {
+      if (isEmpty(values[field])) continue;
+      merged[field] = values[field];
+      sources[field] = source;
+      break;
+    }
+  }
+
+  if (merged.keywords == null) merged.keywords = [];
+  if (merged.authors == null) merged.authors = [];
+
+  const ogTitle = og.headline;
+
+  return {
+    // Original flat fields, kept for existing clients.
+    title: ogTitle || squash($("title").text()) || squash($("h1").first().text()) || "",
+    author: merged.authors.map(a => a.name).join(", "),
+    publishDate: merged.datePublished || "",
+    siteName: og.publisherName || merged.publisherName || "",
+
+    type: layers[0][1].type || layers[1][1].type || null,
+    ...merged,
+    description: merged.description || "",
+    sources
+  };
+}
@@ -0,0 +1,520 @@
+import { ERROR_CODES } from "./errors.js";
+import { ROUTES } from "./routes.js";
+import { describeParameters, describeBody } from "./schema.js";
+
+/* ============================================================
+   OPENAPI 3 DOCUMENT
+   Parameters and request bodies come from each handler's exported
+   `schema` via lib/routes.js; response shapes are the components
+   below. Every success body is wrapped in the envelope from
+   lib/envelope.js, every failure in ErrorResponse.
+============================================================ */
+
+const VERSION = "1.0.0";
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = type => ({ type: [type, "null"] });
+
+// Success bodies are `{ success: true, requestId, ...payload }`.
+const enveloped = (properties, required = []) => ({
+  type: "object",
+  properties: {
+    success: { type: "boolean", const: true },
+    requestId: { type: "string" },
+    ...properties
+  },
+  required: ["success", "requestId", ...required]
+});
+
+const SCHEMAS = {
+  ErrorResponse: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", const: false },
+      requestId: { type: "string" },
+      error: {
+        type: "object",
+        properties: {
+          code: { type: "string", enum: Object.keys(ERROR_CODES) },
+          message: { type: "string" },
+          details: { type: "object" }
+        },
+        required: ["code", "message"]
+      }
+    },
+    required: ["success", "requestId", "error"]
+  },
+
+  NewsArticle: {
+    type: "object",
+    properties: {
+      title: { type: "string" },
+      link: { type: "string" },
+      publishedAt: nullable("string"),
+      source: { type: "string" },
+      category: { type: "string", description: "NEWS_SITES category (headline feeds)" },
+      resolvedUrl: { type: "string" },
+      fullText: { type: "string" },
+      metadata: { type: "object" },
+      leadImage: nullable("string"),
+      wordCount: { type: "integer" },
+      expandCached: { type: "boolean" },
+      expandError: { type: "string" },
+      expandErrorCode: { type: "string" }
+    },
+    required: ["title", "link", "source"]
+  },
+
+  Cluster: {
+    type: "object",
+    properties: {
+      headline: { type: "string" },
+      size: { type: "integer" },
+      sourceCount: { type: "integer" },
+      sources: { type: "array", items: { type: "string" } },
+      earliestPublishedAt: nullable("string"),
+      latestPublishedAt: nullable("string"),
+      articles: { type: "array", items: ref("NewsArticle") }
+    },
+    required: ["headline", "size", "articles"]
+  },
+
+  Summary: {
+    type: "object",
+    properties: {
+      method: { type: "string" },
+      sentences: { type: "array", items: { type: "string" } },
+      text: { type: "string" },
+      keyPhrases: { type: "array" }
+    },
+    required: ["method", "sentences", "text"]
+  },
+
+  Image: {
+    type: "object",
+    properties: {
+      src: { type: "string" },
+      alt: { type: "string" },
+      width: nullable("integer"),
+      height: nullable("integer"),
+      caption: nullable("string"),
+      credit: nullable("string"),
+      inArticle: { type: "boolean" }
+    },
+    required: ["src"]
+  },
+
+  Article: {
+    type: "object",
+    properties: {
+      originalUrl: { type: "string" },
+      resolvedUrl: { type: "string" },
+      resolution: { type: "object" },
+      profile: nullable("string"),
+      extractor: { type: "string" },
+      variant: { type: "string", enum: ["original", "amp", "print"] },
+      variants: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            variant: { type: "string" },
+            url: { type: "string" },
+            pages: { type: "array", items: { type: "string" } },
+            words: { type: "integer" },
+            error: { type: "string" },
+            used: { type: "boolean" }
+          },
+          required: ["variant", "url", "used"]
+        }
+      },
+      encoding: {
+        type: "object",
+        properties: {
+          charset: { type: "string" },
+          source: { type: "string", enum: ["bom", "header", "meta", "sniffed", "default", "string"] }
+        }
+      },
+      language: {
+        type: "object",
+        properties: {
+          code: nullable("string"),
+          source: { type: ["string", "null"], enum: ["declared", "detected", null] },
+          declared: nullable("string"),
+          script: nullable("string"),
+          confidence: { type: "number" }
+        }
+      },
+      metadata: { type: "object" },
+      fullText: { type: "string" },
+      leadImage: { oneOf: [ref("Image"), { type: "null" }] },
+      images: { type: "array", description: "Ranked, best lead candidate first", items: ref("Image") },
+      liveBlog: {
+        type: "object",
+        description: "Present when the page is a live blog",
+        properties: {
+          coverageStartTime: nullable("string"),
+          coverageEndTime: nullable("string"),
+          total: { type: "integer" },
+          latestAt: nullable("string")
+        }
+      },
+      liveUpdates: {
+        type: "array",
+        description: "Live-blog updates, newest first",
+        items: {
+          type: "object",
+          properties: {
+            id: nullable("string"),
+            publishedAt: nullable("string"),
+            updatedAt: nullable("string"),
+            headline: nullable("string"),
+            body: { type: "string" },
+            author: nullable("string"),
+            url: nullable("string")
+          },
+          required: ["publishedAt", "body"]
+        }
+      },
+      stats: {
+        type: "object",
+        properties: {
+          words: { type: "integer" },
+          chars: { type: "integer" },
+          images: { type: "integer" },
+          pages: { type: "integer" },
+          processingTimeMs: { type: "integer" }
+        }
+      },
+      format: { type: "string" },
+      content: { type: ["string", "array"] }
+    },
+    required: ["originalUrl", "resolvedUrl", "metadata", "fullText", "stats", "format", "content"]
+  },
+
+  SearchResponse: enveloped(
+    {
+      cached: { type: "boolean" },
+      query: { type: "string" },
+      total: { type: "integer" },
+      articles: { type: "array", items: ref("NewsArticle") },
+      expanded: { type: "integer" },
+      clusters: { type: "array", items: ref("Cluster") },
+      totalClusters: { type: "integer" }
+    },
+    ["cached", "query", "total", "articles"]
+  ),
+
+  HeadlinesResponse: enveloped(
+    {
+      cached: { type: "boolean" },
+      feed: { type: "string", enum: ["top", "topic", "geo"] },
+      topic: nullable("string"),
+      geo: nullable("string"),
+      category: { type: "string" },
+      total: { type: "integer" },
+      articles: { type: "array", items: ref("NewsArticle") },
+      expanded: { type: "integer" },
+      clusters: { type: "array", items: ref("Cluster") },
+      totalClusters: { type: "integer" }
+    },
+    ["cached", "feed", "topic", "geo", "category", "total", "articles"]
+  ),
+
+  ArticleResponse: {
+    allOf: [
+      enveloped({ cached: { type: "boolean" }, summary: ref("Summary") }, ["cached"]),
+      ref("Article")
+    ]
+  },
+
+  BatchItem: {
+    type: "object",
+    properties: {
+      index: { type: "integer" },
+      url: { type: "string" },
+      success: { type: "boolean" },
+      cached: { type: "boolean" },
+      error: {
+        type: "object",
+        properties: {
+          code: { type: "string", enum: Object.keys(ERROR_CODES) },
+          status: { type: "integer" },
+          message: { type: "string" },
+          details: { type: "object" }
+        },
+        required: ["code", "status", "message"]
+      }
+    },
+    required: ["index", "url", "success"]
+  },
+
+  BatchResponse: enveloped(
+    {
+      query: nullable("string"),
+      total: { type: "integer" },
+      succeeded: { type: "integer" },
+      failed: { type: "integer" },
+      elapsedMs: { type: "integer" },
+      items: { type: "array", items: ref("BatchItem") }
+    },
+    ["total", "succeeded", "failed", "items"]
+  ),
+
+  SummaryResponse: enveloped(
+    {
+      cached: { type: "boolean" },
+      originalUrl: { type: "string" },
+      resolvedUrl: { type: "string" },
+      title: nullable("string"),
+      summary: ref("Summary")
+    },
+    ["cached", "originalUrl", "resolvedUrl", "summary"]
+  ),
+
+  DigestResponse: enveloped(
+    {
+      cached: { type: "boolean" },
+      query: { type: "string" },
+      window: nullable("string"),
+      generatedAt: { type: "string", format: "date-time" },
+      digest: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            rank: { type: "integer" },
+            text: { type: "string" },
+            score: { type: "number" },
+            source: { type: "object" },
+            alsoReportedBy: { type: "array", items: { type: "string" } }
+          },
+          required: ["rank", "text", "source"]
+        }
+      },
+      articles: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            link: { type: "string" },
+            source: { type: "string" },
+            publishedAt: nullable("string"),
+            used: { type: "boolean" },
+            error: {
+              type: ["object", "null"],
+              properties: { code: { type: "string" }, message: { type: "string" } }
+            }
+          },
+          required: ["title", "link", "used", "error"]
+        }
+      }
+    },
+    ["cached", "query", "digest", "articles"]
+  ),
+
+  SourceReport: {
+    type: "object",
+    properties: {
+      source: { type: "string" },
+      category: { type: "string" },
+      region: { type: "string" },
+      searchUrl: { type: "string" },
+      status: { type: "string" },
+      httpStatus: { type: "integer" },
+      error: { type: "string" },
+      results: { type: "integer" },
+      elapsedMs: { type: "integer" }
+    },
+    required: ["source", "status", "results"]
+  },
+
+  SourcesSearchResponse: enveloped(
+    {
+      cached: { type: "boolean" },
+      query: { type: "string" },
+      filters: { type: "object" },
+      total: { type: "integer" },
+      articles: { type: "array", items: { type: "object" } },
+      sources: { type: "array", items: ref("SourceReport") },
+      statusCounts: { type: "object", additionalProperties: { type: "integer" } }
+    },
+    ["cached", "query", "total", "articles", "sources"]
+  ),
+
+  HealthResponse: enveloped(
+    {
+      generatedAt: { type: "string", format: "date-time" },
+      summary: { type: "object", additionalProperties: { type: "integer" } },
+      broken: { type: "array", items: { type: "string" } },
+      sources: { type: "array", items: { type: "object" } },
+      publishers: { type: "array", items: { type: "object" } }
+    },
+    ["generatedAt", "summary", "sources", "publishers"]
+  ),
+
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      rateLimit: nullable("integer"),
+      dailyQuota: nullable("integer"),
+      origins: { type: "array", items: { type: "string" } },
+      createdAt: { type: "string", format: "date-time" },
+      revokedAt: nullable("string"),
+      configured: { type: "boolean" }
+    },
+    required: ["id", "name"]
+  },
+
+  KeyListResponse: enveloped({ keys: { type: "array", items: ref("ApiKey") } }, ["keys"]),
+
+  KeyResponse: enveloped({ key: ref("ApiKey") }, ["key"]),
+
+  IssuedKeyResponse: enveloped(
+    {
+      secret: { type: "string", description: "Shown once; only its hash is stored" },
+      key: ref("ApiKey")
+    },
+    ["secret", "key"]
+  ),
+
+  IndexResponse: enveloped(
+    {
+      name: { type: "string" },
+      version: { type: "string" },
+      docs: { type: "string" },
+      routes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            path: { type: "string" },
+            method: { type: "string" },
+            summary: { type: "string" },
+            parameters: { type: "array", items: { type: "string" } }
+          },
+          required: ["path", "method", "summary"]
+        }
+      }
+    },
+    ["routes"]
+  )
+};
+
+/* ============================================================
+   OPERATIONS
+============================================================ */
+
+const HEADERS = {
+  "X-Request-Id": { schema: { type: "string" }, description: "Echoed or generated request ID" }
+};
+
+const LIMIT_HEADERS = {
+  "X-RateLimit-Limit": { schema: { type: "integer" }, description: "Requests allowed per minute" },
+  "X-RateLimit-Remaining": { schema: { type: "integer" } },
+  "X-RateLimit-Reset": { schema: { type: "integer" }, description: "Unix time the minute window resets" },
+  "X-RateLimit-Quota-Limit": { schema: { type: "integer" }, description: "Requests allowed per UTC day" },
+  "X-RateLimit-Quota-Remaining": { schema: { type: "integer" } },
+  "X-RateLimit-Quota-Reset": { schema: { type: "integer" } }
+};
+
+const SECURITY_SCHEMES = {
+  apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+  apiKeyQuery: { type: "apiKey", in: "query", name: "api_key" },
+  bearer: { type: "http", scheme: "bearer", description: "An API key, or API_ADMIN_TOKEN for /api/admin" }
+};
+
+// Keys are optional unless API_KEYS_REQUIRED is set, hence the `{}`.
+const KEY_SECURITY = [{ apiKeyHeader: [] }, { apiKeyQuery: [] }, { bearer: [] }, {}];
+const AUTH_ERRORS = {
+  key: ["UNAUTHORIZED", "FORBIDDEN", "RATE_LIMITED"],
+  admin: ["UNAUTHORIZED", "FORBIDDEN", "METHOD_NOT_ALLOWED"]
+};
+
+function errorResponses(codes) {
+  const byStatus = new Map();
+
+  for (const code of new Set([...codes, "INTERNAL"])) {
+    const { status } = ERROR_CODES[code];
+    if (!byStatus.has(status)) byStatus.set(status, []);
+    byStatus.get(status).push(code);
+  }
+
+  return Object.fromEntries(
+    [...byStatus.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([status, list]) => [
+        String(status),
+        {
+          description: list.join(", "),
+          headers: HEADERS,
+          content: { "application/json": { schema: ref("ErrorResponse") } }
+        }
+      ])
+  );
+}
+
+function operationId({ path, method }) {
+  const name = path.replace(/^\/api\/?/, "").replace(/[^a-z]+(.)?/gi, (_, c) => (c || "").toUpperCase()) || "index";
+  const shared = ROUTES.filter(r => r.path === path).length > 1;
+  return shared ? method.toLowerCase() + name[0].toUpperCase() + name.slice(1) : name;
+}
+
+function operation(route) {
+  const headers = route.auth === "key" ? { ...HEADERS, ...LIMIT_HEADERS } : HEADERS;
+
+  const op = {
+    summary: route.summary,
+    operationId: operationId(route),
+    parameters: describeParameters(route.schema.query),
+    responses: {
+      [route.status || 200]: {
+        description: "OK",
+        headers,
+        content: {
+          "application/json": { schema: route.response ? ref(route.response) : { type: "object" } }
+        }
+      },
+      ...(route.conditional ? { 304: { description: "Not modified (If-None-Match matched the ETag)" } } : {}),
+      ...errorResponses([...route.errors, ...(AUTH_ERRORS[route.auth] || [])])
+    }
+  };
+
+  if (route.auth === "key") op.security = KEY_SECURITY;
+  if (route.auth === "admin") op.security = [{ bearer: [] }];
+  if (!route.auth) op.security = [];
+
+  if (route.schema.body) {
+    op.requestBody = {
+      required: true,
+      content: { "application/json": { schema: describeBody(route.schema.body) } }
+    };
+  }
+
+  return op;
+}
+
+export function buildOpenApi({ serverUrl } = {}) {
+  const paths = {};
+  for (const route of ROUTES) {
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: operation(route) };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Reader API",
+      version: VERSION,
+      description: "Google News search, article extraction, summaries and digests."
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: { schemas: SCHEMAS, securitySchemes: SECURITY_SCHEMES }
+  };
+}
+
+export { VERSION as API_VERSION };
@@ -0,0 +1,158 @@
+/* ============================================================
+   ARTICLE PAGES & VARIANTS
+   Finds, on a fetched page, the link to the story's next page and
+   to its AMP and print versions. Must run before the extractor
+   strips <nav>/<footer>, where pagination controls usually live.
+   Only same-host http(s) links are returned.
+============================================================ */
+
+// Anchor text of a "next page" control, in the languages we scrape.
+const NEXT_TEXT =
+  /^(?:next(?: page)?|older|continue(?: reading)?|अगला(?: पेज| पृष्ठ)?|आगे|পরবর্তী|அடுத்து|次へ|次のページ|下一页|다음)\s*[›»→>]*$|^[›»→]$/iu;
+
+const PAGINATION_CONTAINER = /pagi|pager|page-?nav|pages/i;
+
+const PRINT_TEXT = /^\s*print(?:\s+(?:this|article|story|version))?\s*$/i;
+
+function sameHostUrl(href, baseUrl) {
+  if (!href || /^(?:javascript|mailto|tel):/i.test(href.trim()) || href.trim().startsWith("#")) return null;
+
+  try {
+    const url = new URL(href, baseUrl);
+    const base = new URL(baseUrl);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    if (url.host !== base.host) return null;
+    url.hash = "";
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+// Trailing slashes and hashes don't make a different page.
+export const pageKey = url => url.replace(/#.*$/, "").replace(/\/+(?=$|\?)/, "");
+
+/**
+ * URLs page N+1 of `url` would typically have: ?page=, ?pg=,
+ * /page/N/, WordPress-style /N/ and -page-N suffixes.
+ */
+export function successorUrls(url) {
+  const u = new URL(url);
+  const params = ["page", "pg", "pageno", "pagenum"];
+
+  const current = params.find(p => /^\d{1,3}$/.test(u.searchParams.get(p) || ""));
+  if (current) {
+    const next = new URL(u);
+    next.searchParams.set(current, Number(u.searchParams.get(current)) + 1);
+    return [next.href];
+  }
+
+  const out = params.map(p => {
+    const next = new URL(u);
+    next.searchParams.set(p, 2);
+    return next.href;
+  });
+
+  const path = u.pathname;
+  const numbered =
+    /^(.*?)(\/page\/|-page-)(\d{1,3})\/?$/.exec(path) ||
+    // Bare /N/ is only a page number when small and slash-terminated;
+    // /story/123 is an article ID.
+    /^(.*?)(\/)([1-9]|1\d|20)\/$/.exec(path);
+  const n = numbered ? Number(numbered[3]) : 1;
+  const stem = numbered ? numbered[1] : path.replace(/\/+$/, "");
+
+  for (const sep of numbered ? [numbered[2]] : ["/page/", "/", "-page-"]) {
+    const next = new URL(u);
+    next.pathname = `${stem}${sep}${n + 1}${path.endsWith("/") ? "/" : ""}`;
+    out.push(next.href);
+  }
+
+  return out;
+}
+
+export function nextPageUrl($, baseUrl) {
+  const declared = $('link[rel~="next"], a[rel~="next"]')
+    .toArray()
+    .map(el => sameHostUrl($(el).attr("href"), baseUrl))
+    .find(Boolean);
+  if (declared) return declared;
+
+  const anchors = new Map();
+  $("a[href]").each((_, el) => {
+    const url = sameHostUrl($(el).attr("href"), baseUrl);
+    if (url && !anchors.has(pageKey(url))) anchors.set(pageKey(url), { url, el });
+  });
+
+  // A successor URL only counts when the page actually links to it.
+  for (const candidate of successorUrls(baseUrl)) {
+    const hit = anchors.get(pageKey(candidate));
+    if (hit) return hit.url;
+  }
+
+  for (const { url, el } of anchors.values()) {
+    const $el = $(el);
+    if (!NEXT_TEXT.test($el.text().trim())) continue;
+
+    const container = $el.parents().toArray().some(parent =>
+      PAGINATION_CONTAINER.test(`${$(parent).attr("class") || ""} ${$(parent).attr("id") || ""}`)
+    );
+    if (container) return url;
+  }
+
+  return null;
+}
+
+export function ampUrl($, baseUrl) {
+  return sameHostUrl($('link[rel="amphtml"]').attr("href"), baseUrl) ||
+    // AMP often lives on a sibling host (amp.example.com).
+    crossHostAmp($('link[rel="amphtml"]').attr("href"), baseUrl);
+}
+
+// Registrable domain, roughly: example.com, example.co.in.
+function siteOf(host) {
+  const labels = host.split(".");
+  const short = labels.length > 2 && labels.at(-1).length === 2 && labels.at(-2).length <= 3;
+  return labels.slice(short ? -3 : -2).join(".");
+}
+
+function crossHostAmp(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, baseUrl);
+    const base = new URL(baseUrl);
+    return /^https?:$/.test(url.protocol) && siteOf(url.hostname) === siteOf(base.hostname)
+      ? url.href
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export function printUrl($, baseUrl) {
+  const alternate = sameHostUrl($('link[rel="alternate"][media="print"]').attr("href"), baseUrl);
+  if (alternate) return alternate;
+
+  for (const el of $("a[href]").toArray()) {
+    const $el = $(el);
+    const label = `${$el.attr("class") || ""} ${$el.attr("id") || ""} ${$el.attr("title") || ""}`;
+    if (!PRINT_TEXT.test($el.text()) && !/\bprint\b/i.test(label)) continue;
+
+    const url = sameHostUrl($el.attr("href"), baseUrl);
+    if (url && pageKey(url) !== pageKey(baseUrl)) return url;
+  }
+
+  return null;
+}
+
+/**
+ * `{ next, amp, print }` URLs (or null) for a freshly loaded page.
+ */
+export function discoverLinks($, baseUrl) {
+  const next = nextPageUrl($, baseUrl);
+  return {
+    next: next && pageKey(next) !== pageKey(baseUrl) ? next : null,
+    amp: ampUrl($, baseUrl),
+    print: printUrl($, baseUrl)
+  };
+}
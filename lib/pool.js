@@ -0,0 +1,45 @@
+/* ============================================================
+   BOUNDED CONCURRENCY POOL
+============================================================ */
+
+/**
+ * Runs `fn` over every item with at most `limit` calls in flight.
+ * Results keep the input order; `fn` is expected to handle its own errors.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Rejects with an error carrying `code: "ETIMEDOUT"` if `promise`
+ * does not settle within `ms`.
+ */
+export function withTimeout(promise, ms, label = "Operation") {
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.code = "ETIMEDOUT";
+      reject(err);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
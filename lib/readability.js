@@ -0,0 +1,192 @@
+/* ============================================================
+   READABILITY-STYLE CONTENT SCORING
+============================================================ */
+
+const POSITIVE_HINTS =
+  /article|body|content|entry|hentry|main|page|post|story|text|blog|prose/i;
+const NEGATIVE_HINTS =
+  /comment|meta|footer|footnote|related|recommend|promo|sponsor|social|share|sidebar|widget|newsletter|subscribe|teaser|byline|breadcrumb|tags?\b|masthead|outbrain|taboola|popular|trending|more-?stories|read-?more|also-?read/i;
+
+const PARAGRAPH_TAGS = "p, pre, blockquote, td";
+const TEXT_BLOCK_TAGS = "p, pre, blockquote, h2, h3, h4, h5, h6, li";
+
+const TAG_WEIGHT = {
+  article: 10,
+  main: 5,
+  section: 3,
+  div: 5,
+  blockquote: 3,
+  pre: 3,
+  td: 3,
+  form: -3,
+  ul: -3,
+  ol: -3,
+  li: -3,
+  dl: -3,
+  th: -5,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  address: -3
+};
+
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_CANDIDATE_CHARS = 250;
+
+const squash = s => s.replace(/\s+/g, " ").trim();
+
+function hintWeight($el) {
+  const hints = `${$el.attr("class") || ""} ${$el.attr("id") || ""}`;
+  let weight = 0;
+  if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+  if (POSITIVE_HINTS.test(hints)) weight += 25;
+  return weight;
+}
+
+export function linkDensity($, $el) {
+  const textLength = squash($el.text()).length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  $el.find("a").each((_, a) => {
+    linkLength += squash($(a).text()).length;
+  });
+
+  return linkLength / textLength;
+}
+
+/* ============================================================
+   CANDIDATE SCORING
+============================================================ */
+
+function scoreCandidates($) {
+  const scores = new Map();
+
+  const ensure = el => {
+    if (!scores.has(el)) {
+      const $el = $(el);
+      scores.set(el, (TAG_WEIGHT[el.tagName] || 0) + hintWeight($el));
+    }
+  };
+
+  $(PARAGRAPH_TAGS).each((_, el) => {
+    const text = squash($(el).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    const contentScore =
+      1 +
+      text.split(/[,،、，]/).length - 1 +
+      Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = el.parent;
+    for (let level = 0; level < 3 && ancestor && ancestor.type === "tag"; level++) {
+      if (ancestor.tagName === "body" || ancestor.tagName === "html") break;
+      ensure(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parent;
+    }
+  });
+
+  for (const [el, score] of scores) {
+    scores.set(el, score * (1 - linkDensity($, $(el))));
+  }
+
+  return scores;
+}
+
+/* ============================================================
+   SIBLING MERGE + TEXT COLLECTION
+============================================================ */
+
+function mergeSiblings($, top, scores) {
+  const topScore = scores.get(top);
+  const threshold = Math.max(10, topScore * 0.2);
+  const parent = top.parent;
+
+  if (!parent || parent.type !== "tag") return [top];
+
+  const topHints = $(top).attr("class") || "";
+
+  return $(parent)
+    .children()
+    .toArray()
+    .filter(sibling => {
+      if (sibling === top) return true;
+
+      let bonus = 0;
+      if (topHints && ($(sibling).attr("class") || "") === topHints) {
+        bonus += topScore * 0.2;
+      }
+      if ((scores.get(sibling) || 0) + bonus >= threshold) return true;
+
+      if (sibling.tagName === "p") {
+        const text = squash($(sibling).text());
+        const density = linkDensity($, $(sibling));
+        if (text.length > 80 && density < 0.25) return true;
+        if (text.length > 0 && density === 0 && /\.( |$)/.test(text)) return true;
+      }
+
+      return false;
+    });
+}
+
+function collectParagraphs($, nodes) {
+  const paragraphs = [];
+
+  for (const node of nodes) {
+    const $node = $(node);
+    const blocks = $node.is(TEXT_BLOCK_TAGS)
+      ? $node
+      : $node.find(TEXT_BLOCK_TAGS);
+
+    blocks.each((_, el) => {
+      const $el = $(el);
+      // Nested blocks (p inside blockquote, li inside li) are read once
+      // through their outermost block.
+      if ($el.parentsUntil(node).filter(TEXT_BLOCK_TAGS).length) return;
+
+      const text = squash($el.text());
+      if (!text) return;
+      if (linkDensity($, $el) > 0.5 && text.length < 200) return;
+
+      paragraphs.push(text);
+    });
+
+    if (!blocks.length) {
+      const text = squash($node.text());
+      if (text) paragraphs.push(text);
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Ranks candidate containers by paragraph content, comma count, class/id
+ * hints and link density, then merges qualifying siblings of the winner.
+ * Returns `null` when nothing on the page looks like article text.
+ */
+export function scoreContent($) {
+  const scores = scoreCandidates($);
+
+  let top = null;
+  for (const [el, score] of scores) {
+    if (!top || score > scores.get(top)) top = el;
+  }
+
+  if (!top) return null;
+
+  const nodes = mergeSiblings($, top, scores);
+  const paragraphs = collectParagraphs($, nodes);
+  const text = paragraphs.join("\n\n");
+
+  if (text.length < MIN_CANDIDATE_CHARS) return null;
+
+  return {
+    nodes,
+    paragraphs,
+    text,
+    score: Math.round(scores.get(top) * 100) / 100
+  };
+}
@@ -0,0 +1,299 @@
+/* ============================================================
+   UPSTREAM RESILIENCE
+   Jittered retries for idempotent fetches, a circuit breaker per
+   host, and rolling success / latency stats per publisher host
+   and per NEWS_SITES source. State is per instance: a cold start
+   begins with every circuit closed and no history.
+============================================================ */
+
+const WINDOW = 50;
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const COOLDOWN = Number(process.env.CIRCUIT_COOLDOWN_MS) || 30 * 1000;
+const MAX_COOLDOWN = 5 * 60 * 1000;
+
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ERR_SOCKET_CONNECTION_TIMEOUT"
+]);
+
+/**
+ * Network failures, timeouts, 408/429 and 5xx answers. Policy
+ * refusals and other 4xx answers are permanent.
+ */
+export function isTransient(err) {
+  if (err?.policy) return false;
+
+  const status = err?.response?.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  return TRANSIENT_CODES.has(err?.code);
+}
+
+/* ============================================================
+   RETRY
+============================================================ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Less time than this left before the deadline isn't worth a retry.
+const MIN_ATTEMPT = 1000;
+
+/**
+ * Runs `fn(attempt)` up to `retries + 1` times, waiting a random
+ * ("full jitter") delay of up to base·2^attempt between attempts.
+ * No retry starts unless it would have MIN_ATTEMPT before `deadline`
+ * (epoch ms); the last error is thrown instead.
+ */
+export async function retry(
+  fn,
+  { retries = 2, baseMs = 300, maxMs = 3000, shouldRetry = isTransient, deadline = Infinity } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+
+      const wait = Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+      if (deadline - Date.now() - wait < MIN_ATTEMPT) throw err;
+      await sleep(wait);
+    }
+  }
+}
+
+/* ============================================================
+   ROLLING STATS
+============================================================ */
+
+class RollingStats {
+  constructor() {
+    this.samples = [];
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+    this.lastStatus = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+  }
+
+  record({ ok, ms, status = null, error = null }) {
+    const at = Date.now();
+    this.samples.push({ ok, ms });
+    if (this.samples.length > WINDOW) this.samples.shift();
+
+    this.lastStatus = status;
+    if (ok) {
+      this.consecutiveFailures = 0;
+      this.lastSuccessAt = at;
+    } else {
+      this.consecutiveFailures++;
+      this.lastFailureAt = at;
+      this.lastError = error;
+    }
+  }
+
+  summary() {
+    const n = this.samples.length;
+    const latencies = this.samples
+      .filter(s => s.ok)
+      .map(s => s.ms)
+      .sort((a, b) => a - b);
+    const pick = p => latencies.length
+      ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))]
+      : null;
+    const iso = t => (t ? new Date(t).toISOString() : null);
+
+    return {
+      requests: n,
+      successRate: n ? Math.round((this.samples.filter(s => s.ok).length / n) * 1000) / 1000 : null,
+      p50LatencyMs: pick(0.5),
+      p95LatencyMs: pick(0.95),
+      consecutiveFailures: this.consecutiveFailures,
+      lastStatus: this.lastStatus,
+      lastError: this.lastError,
+      lastSuccessAt: iso(this.lastSuccessAt),
+      lastFailureAt: iso(this.lastFailureAt)
+    };
+  }
+}
+
+/* ============================================================
+   CIRCUIT BREAKER
+   closed → open after FAILURE_THRESHOLD consecutive transient
+   failures; open → half-open after the cooldown, which lets one
+   probe through. A failed probe reopens with a doubled cooldown;
+   only a successful one closes the circuit.
+============================================================ */
+
+export class CircuitBreaker {
+  constructor({ threshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN } = {}) {
+    this.threshold = threshold;
+    this.baseCooldown = cooldownMs;
+    this.cooldown = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  get retryAt() {
+    return this.state === "closed" ? null : this.openedAt + this.cooldown;
+  }
+
+  allow() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open" && Date.now() >= this.retryAt) {
+      this.state = "half-open";
+    }
+
+    if (this.state === "half-open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  success() {
+    this.state = "closed";
+    this.failures = 0;
+    this.cooldown = this.baseCooldown;
+    this.probing = false;
+  }
+
+  // The attempt ended without saying anything about the host (a
+  // deadline, a 404, a policy refusal): free the probe slot only.
+  release() {
+    this.probing = false;
+  }
+
+  failure() {
+    this.failures++;
+
+    if (this.state === "half-open") {
+      this.cooldown = Math.min(MAX_COOLDOWN, this.cooldown * 2);
+      this.trip();
+    } else if (this.state === "closed" && this.failures >= this.threshold) {
+      this.trip();
+    }
+  }
+
+  trip() {
+    this.state = "open";
+    this.openedAt = Date.now();
+    this.probing = false;
+  }
+
+  describe() {
+    const retryAt = this.retryAt;
+    return {
+      state: this.state,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null
+    };
+  }
+}
+
+/* ============================================================
+   REGISTRIES
+============================================================ */
+
+const PUBLISHERS = new Map();
+const SOURCES = new Map();
+
+function publisher(host) {
+  let entry = PUBLISHERS.get(host);
+  if (!entry) {
+    entry = { stats: new RollingStats(), breaker: new CircuitBreaker() };
+    PUBLISHERS.set(host, entry);
+  }
+  return entry;
+}
+
+export function circuitFor(host) {
+  return PUBLISHERS.get(host)?.breaker.describe() || { state: "closed", retryAt: null };
+}
+
+function circuitOpenError(host, breaker) {
+  const err = new Error(`Circuit open for ${host}; recent requests kept failing`);
+  err.code = "CIRCUIT_OPEN";
+  err.status = 503;
+  err.retryAfter = Math.max(1, Math.ceil((breaker.retryAt - Date.now()) / 1000));
+  return err;
+}
+
+/**
+ * Runs `fn` for `host` behind its circuit breaker with retries, and
+ * records the outcome. Only transient failures count against the
+ * circuit and only successes close it; a 404 says nothing about the
+ * host's health either way.
+ */
+export async function withResilience(host, fn, retryOptions = {}) {
+  const { stats, breaker } = publisher(host);
+
+  if (!breaker.allow()) {
+    throw circuitOpenError(host, breaker);
+  }
+
+  const started = Date.now();
+
+  try {
+    const result = await retry(fn, retryOptions);
+    breaker.success();
+    stats.record({ ok: true, ms: Date.now() - started, status: result?.status ?? null });
+    return result;
+  } catch (err) {
+    const transient = isTransient(err);
+    if (transient) breaker.failure();
+    else breaker.release();
+
+    stats.record({
+      ok: !transient,
+      ms: Date.now() - started,
+      status: err.response?.status ?? err.code ?? null,
+      error: err.message
+    });
+    throw err;
+  }
+}
+
+/**
+ * NEWS_SITES fan-out outcome for one source (see searchSite reports).
+ */
+export function recordSource(name, { ok, ms, status, error }) {
+  let stats = SOURCES.get(name);
+  if (!stats) {
+    stats = new RollingStats();
+    SOURCES.set(name, stats);
+  }
+  stats.record({ ok, ms, status, error });
+}
+
+/* ============================================================
+   HEALTH
+============================================================ */
+
+const BROKEN_AFTER = 3;
+
+export function healthStatus(summary, circuit) {
+  if (!summary || !summary.requests) return circuit?.state === "open" ? "broken" : "unknown";
+  if (circuit?.state === "open" || summary.consecutiveFailures >= BROKEN_AFTER) return "broken";
+  if (summary.requests >= 5 && summary.successRate < 0.8) return "degraded";
+  return "healthy";
+}
+
+export function sourceHealth(name) {
+  return SOURCES.get(name)?.summary() || null;
+}
+
+export function publisherHealth() {
+  return [...PUBLISHERS.entries()].map(([host, { stats, breaker }]) => {
+    const summary = stats.summary();
+    const circuit = breaker.describe();
+    return { host, status: healthStatus(summary, circuit), circuit, ...summary };
+  });
+}
@@ -0,0 +1,155 @@
+import { schema as search } from "../api/search.js";
+import { schema as headlines } from "../api/headlines.js";
+import { schema as scrape } from "../api/scrape.js";
+import { schema as scrapeBatch } from "../api/scrape/batch.js";
+import { schema as summarize } from "../api/summarize.js";
+import { schema as digest } from "../api/digest.js";
+import { schema as sourcesSearch } from "../api/sources/search.js";
+import { schema as healthSources } from "../api/health/sources.js";
+import { schemas as adminKeys } from "../api/admin/keys.js";
+
+/* ============================================================
+   ROUTE REGISTRY
+   One entry per public endpoint. The schema is the same object
+   the handler validates with, so the description can't drift.
+   `response` names a component in lib/openapi.js; `errors` lists
+   the taxonomy codes (lib/errors.js) the route can answer with.
+   `auth` is "key" for routes behind lib/auth's authorize() and
+   "admin" for the admin token.
+============================================================ */
+
+// Anything that fetches a publisher page can fail in these ways.
+const FETCH_ERRORS = [
+  "BLOCKED_URL",
+  "NOT_HTML",
+  "RESPONSE_TOO_LARGE",
+  "UPSTREAM_4XX",
+  "UPSTREAM_5XX",
+  "UPSTREAM_NETWORK",
+  "UPSTREAM_RATE_LIMITED",
+  "UPSTREAM_UNAVAILABLE",
+  "UPSTREAM_TIMEOUT",
+  "DEADLINE_EXCEEDED"
+];
+
+export const ROUTES = [
+  {
+    path: "/api/search",
+    method: "GET",
+    summary: "Search Google News",
+    schema: search,
+    response: "SearchResponse",
+    auth: "key",
+    conditional: true,
+    errors: ["INVALID_PARAM", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/headlines",
+    method: "GET",
+    summary: "Google News top stories by topic or location",
+    schema: headlines,
+    response: "HeadlinesResponse",
+    auth: "key",
+    conditional: true,
+    errors: ["INVALID_PARAM", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/scrape",
+    method: "GET",
+    summary: "Extract one article",
+    schema: scrape,
+    response: "ArticleResponse",
+    auth: "key",
+    conditional: true,
+    errors: ["INVALID_PARAM", "PAYWALLED", "EXTRACTION_EMPTY", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/scrape/batch",
+    method: "POST",
+    summary: "Extract many articles",
+    schema: scrapeBatch,
+    response: "BatchResponse",
+    auth: "key",
+    errors: ["INVALID_PARAM", "METHOD_NOT_ALLOWED", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/summarize",
+    method: "GET",
+    summary: "Summarize one article",
+    schema: summarize,
+    response: "SummaryResponse",
+    auth: "key",
+    errors: ["INVALID_PARAM", "PAYWALLED", "EXTRACTION_EMPTY", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/digest",
+    method: "GET",
+    summary: "Multi-source digest for a query",
+    schema: digest,
+    response: "DigestResponse",
+    auth: "key",
+    errors: ["INVALID_PARAM", ...FETCH_ERRORS]
+  },
+  {
+    path: "/api/sources/search",
+    method: "GET",
+    summary: "Search NEWS_SITES directly",
+    schema: sourcesSearch,
+    response: "SourcesSearchResponse",
+    auth: "key",
+    errors: ["INVALID_PARAM", "NOT_FOUND"]
+  },
+  {
+    path: "/api/health/sources",
+    method: "GET",
+    summary: "Source and publisher health",
+    schema: healthSources,
+    response: "HealthResponse",
+    auth: "key",
+    errors: ["INVALID_PARAM"]
+  },
+  {
+    path: "/api/admin/keys",
+    method: "GET",
+    summary: "List API keys",
+    schema: adminKeys.GET,
+    response: "KeyListResponse",
+    auth: "admin",
+    errors: []
+  },
+  {
+    path: "/api/admin/keys",
+    method: "POST",
+    summary: "Issue an API key",
+    schema: adminKeys.POST,
+    response: "IssuedKeyResponse",
+    status: 201,
+    auth: "admin",
+    errors: ["INVALID_PARAM"]
+  },
+  {
+    path: "/api/admin/keys",
+    method: "DELETE",
+    summary: "Revoke an API key",
+    schema: adminKeys.DELETE,
+    response: "KeyResponse",
+    auth: "admin",
+    errors: ["INVALID_PARAM", "NOT_FOUND", "FORBIDDEN"]
+  },
+  {
+    path: "/api",
+    method: "GET",
+    summary: "List the API's routes",
+    schema: {},
+    response: "IndexResponse",
+    errors: []
+  },
+  {
+    path: "/api/openapi.json",
+    method: "GET",
+    summary: "This OpenAPI document",
+    schema: {},
+    response: null,
+    errors: []
+  }
+];
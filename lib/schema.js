@@ -0,0 +1,253 @@
+import { apiError } from "./errors.js";
+
+/* ============================================================
+   PARAMETER SCHEMAS
+   Each route declares `schema = { query: {...}, body: {...} }`
+   built from the field helpers below. `validate` coerces raw
+   query strings / JSON into typed values, applies defaults and
+   reports every problem at once; `describeParameters` and
+   `describeBody` turn the same declaration into OpenAPI-style
+   parameter objects and JSON Schema.
+============================================================ */
+
+const REGION_NAMES = new Intl.DisplayNames(["en"], { type: "region", fallback: "none" });
+const LANGUAGE_NAMES = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+export const field = {
+  string: (opts = {}) => ({ type: "string", ...opts }),
+  integer: (opts = {}) => ({ type: "integer", ...opts }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+  enum: (values, opts = {}) => ({ type: "enum", values, ...opts }),
+  url: (opts = {}) => ({ type: "url", ...opts }),
+  datetime: (opts = {}) => ({ type: "datetime", ...opts }),
+  lang: (opts = {}) => ({ type: "lang", ...opts }),
+  country: (opts = {}) => ({ type: "country", ...opts }),
+  array: (items, opts = {}) => ({ type: "array", items, ...opts })
+};
+
+// Shared by every route that reads through the cache.
+export const CACHE_PARAMS = {
+  nocache: field.boolean({ description: "Bypass the cache entirely" }),
+  refresh: field.boolean({ description: "Skip the cached copy but store the fresh result" })
+};
+
+/* ============================================================
+   COERCION
+============================================================ */
+
+const TRUE = new Set(["1", "true", "yes", "on"]);
+const FALSE = new Set(["0", "false", "no", "off", ""]);
+
+function coerce(spec, raw) {
+  // Repeated query keys (?q=a&q=b) arrive as arrays.
+  if (Array.isArray(raw) && spec.type !== "array") raw = raw[raw.length - 1];
+
+  switch (spec.type) {
+    case "string": {
+      if (typeof raw !== "string") throw new TypeError("must be a string");
+      const value = raw.trim();
+      if (spec.minLength && value.length < spec.minLength) throw new TypeError(`must be at least ${spec.minLength} characters`);
+      if (spec.maxLength && value.length > spec.maxLength) throw new TypeError(`must be at most ${spec.maxLength} characters`);
+      if (spec.pattern && !spec.pattern.test(value)) throw new TypeError(`must match ${spec.pattern.source}`);
+      return value;
+    }
+
+    case "integer": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n) || String(raw).trim() === "") throw new TypeError("must be an integer");
+      if (spec.min != null && n < spec.min) throw new TypeError(`must be >= ${spec.min}`);
+      if (spec.max != null && n > spec.max) throw new TypeError(`must be <= ${spec.max}`);
+      return n;
+    }
+
+    case "boolean": {
+      if (typeof raw === "boolean") return raw;
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE.has(s)) return true;
+      if (FALSE.has(s)) return false;
+      throw new TypeError("must be true or false");
+    }
+
+    case "enum": {
+      const s = String(raw).trim();
+      const found = spec.ignoreCase
+        ? spec.values.find(v => v.toLowerCase() === s.toLowerCase())
+        : spec.values.find(v => v === s);
+      if (found === undefined) throw new TypeError(`must be one of: ${spec.values.join(", ")}`);
+      return found;
+    }
+
+    case "url": {
+      let url;
+      try {
+        url = new URL(String(raw).trim());
+      } catch {
+        throw new TypeError("must be an absolute URL");
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") throw new TypeError("must be an http(s) URL");
+      return url.href;
+    }
+
+    case "datetime": {
+      const s = String(raw).trim();
+      // Unix seconds or milliseconds, or anything Date can parse.
+      const time = /^\d{10}(\d{3})?$/.test(s)
+        ? Number(s) * (s.length === 10 ? 1000 : 1)
+        : Date.parse(s);
+      if (!Number.isFinite(time)) throw new TypeError("must be an ISO 8601 timestamp");
+      return new Date(time).toISOString();
+    }
+
+    case "lang": {
+      const s = String(raw).trim().toLowerCase();
+      if (!/^[a-z]{2,3}$/.test(s) || !LANGUAGE_NAMES.of(s)) throw new TypeError("must be an ISO 639 language code");
+      return s;
+    }
+
+    case "country": {
+      const s = String(raw).trim().toUpperCase();
+      const name = /^[A-Z]{2}$/.test(s) && REGION_NAMES.of(s);
+      if (!name || name === "Unknown Region") throw new TypeError("must be an ISO 3166-1 alpha-2 country code");
+      return s;
+    }
+
+    case "array": {
+      if (!Array.isArray(raw)) throw new TypeError("must be an array");
+      if (spec.minItems && raw.length < spec.minItems) throw new TypeError(`must have at least ${spec.minItems} items`);
+      if (spec.maxItems && raw.length > spec.maxItems) throw new TypeError(`must have at most ${spec.maxItems} items`);
+      return raw.map((item, i) => {
+        try {
+          return coerce(spec.items, item);
+        } catch (problem) {
+          throw new TypeError(`item ${i} ${problem.message}`);
+        }
+      });
+    }
+
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Typed, defaulted copy of `input` per `schema`. Unknown keys are
+ * ignored. Throws INVALID_PARAM listing every bad parameter.
+ */
+export function validate(schema, input, location = "query") {
+  const values = {};
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(schema || {})) {
+    const raw = input?.[name];
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (spec.required) {
+        errors.push({ param: name, in: location, message: `${name} is required` });
+      } else if (spec.default !== undefined) {
+        values[name] = spec.default;
+      }
+      continue;
+    }
+
+    try {
+      values[name] = coerce(spec, raw);
+    } catch (problem) {
+      errors.push({ param: name, in: location, message: `${name} ${problem.message}` });
+    }
+  }
+
+  if (errors.length) {
+    throw apiError(
+      "INVALID_PARAM",
+      errors.length === 1 ? errors[0].message : `${errors.length} invalid parameters`,
+      { errors }
+    );
+  }
+
+  return values;
+}
+
+/* ============================================================
+   DESCRIPTION
+============================================================ */
+
+function jsonSchema(spec) {
+  const out = {};
+
+  switch (spec.type) {
+    case "integer":
+      out.type = "integer";
+      if (spec.min != null) out.minimum = spec.min;
+      if (spec.max != null) out.maximum = spec.max;
+      break;
+    case "boolean":
+      out.type = "boolean";
+      break;
+    case "enum":
+      out.type = "string";
+      out.enum = spec.values;
+      break;
+    case "url":
+      out.type = "string";
+      out.format = "uri";
+      break;
+    case "datetime":
+      out.type = "string";
+      out.format = "date-time";
+      break;
+    case "lang":
+      out.type = "string";
+      out.pattern = "^[a-z]{2,3}$";
+      break;
+    case "country":
+      out.type = "string";
+      out.pattern = "^[A-Z]{2}$";
+      break;
+    case "array":
+      out.type = "array";
+      out.items = jsonSchema(spec.items);
+      if (spec.minItems) out.minItems = spec.minItems;
+      if (spec.maxItems) out.maxItems = spec.maxItems;
+      break;
+    default:
+      out.type = "string";
+      if (spec.minLength) out.minLength = spec.minLength;
+      if (spec.maxLength) out.maxLength = spec.maxLength;
+      if (spec.pattern) out.pattern = spec.pattern.source;
+  }
+
+  if (spec.default !== undefined) out.default = spec.default;
+  if (spec.example !== undefined) out.example = spec.example;
+  return out;
+}
+
+/**
+ * `[{ name, in, required, description, schema }]` for a query schema.
+ */
+export function describeParameters(schema, location = "query") {
+  return Object.entries(schema || {}).map(([name, spec]) => ({
+    name,
+    in: location,
+    required: Boolean(spec.required),
+    ...(spec.description ? { description: spec.description } : {}),
+    schema: jsonSchema(spec)
+  }));
+}
+
+/**
+ * JSON Schema object for a request body schema.
+ */
+export function describeBody(schema) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, spec] of Object.entries(schema || {})) {
+    properties[name] = {
+      ...jsonSchema(spec),
+      ...(spec.description ? { description: spec.description } : {})
+    };
+    if (spec.required) required.push(name);
+  }
+
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
@@ -0,0 +1,515 @@
+import * as cheerio from "cheerio";
+import { createHash } from "crypto";
+import { findSiteByUrl } from "./sources.js";
+import { scoreContent } from "./readability.js";
+import { extractBlocks, renderBlocks } from "./blocks.js";
+import { extractMetadata } from "./metadata.js";
+import { mapWithConcurrency, withTimeout } from "./pool.js";
+import { cache, isCached } from "./cache/index.js";
+import {
+  readValidators,
+  conditionalHeaders,
+  acceptNotModified
+} from "./conditional.js";
+import { resolveArticleUrl } from "./google_resolver.js";
+import { summarizeText } from "./summarize.js";
+import { assertHtmlResponse } from "./url_policy.js";
+import { policyGet } from "./fetcher.js";
+import { apiError, toApiError } from "./errors.js";
+import { decodeHtml } from "./charset.js";
+import { cleanText } from "./text.js";
+import { resolveLanguage, countWords, countCharacters } from "./language.js";
+import { discoverLinks, pageKey } from "./pages.js";
+import { extractLiveBlog, mergeUpdates } from "./liveblog.js";
+import { extractImages, logoSources, rankImages, presentImages } from "./images.js";
+import { field } from "./schema.js";
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+export const hash = text =>
+  createHash("md5").update(text).digest("hex").slice(0, 16);
+
+/* ============================================================
+   CONTENT EXTRACTOR
+============================================================ */
+
+export class FullContentExtractor {
+  constructor($, { profile = null, baseUrl } = {}) {
+    this.$ = $;
+    this.profile = profile;
+    this.baseUrl = baseUrl;
+  }
+
+  extractText(mode = "legacy") {
+    return this.extractContent(mode).text;
+  }
+
+  /**
+   * Returns the article text together with the DOM node(s) it was read
+   * from, so structured output can walk the same container.
+   */
+  extractContent(mode = "legacy") {
+    if (this.content) return this.content;
+
+    const $ = this.$;
+    const profile = this.profile || {};
+
+    // JSON-LD lives in <script> tags, which are stripped below.
+    this.extractMetadata();
+
+    [
+      "script","style","noscript","header","footer","nav","aside",
+      "form","button",".ads",".advertisement",".promo",".share",
+      ".comment",".sidebar",".popup",
+      ...(profile.remove || [])
+    ].forEach(s => $(s).remove());
+
+    this.content = this.findContent(mode);
+    return this.content;
+  }
+
+  findContent(mode) {
+    const $ = this.$;
+    const profile = this.profile || {};
+
+    if (profile.body) {
+      const el = $(profile.body).first();
+      const text = el.text().trim();
+      if (text) return { text, nodes: el.toArray() };
+    }
+
+    if (mode === "scored") {
+      const scored = scoreContent($);
+      if (scored) return { text: scored.text, nodes: scored.nodes };
+    }
+
+    const selectors = [
+      "article",
+      "main",
+      "[role='main']",
+      ".article-content",
+      ".story-content",
+      ".entry-content",
+      ".post-content",
+      ".article-body"
+    ];
+
+    for (const s of selectors) {
+      const el = $(s);
+      if (el.length && el.text().length > 300) {
+        return { text: el.text().trim(), nodes: el.toArray() };
+      }
+    }
+
+    const paragraphs = [];
+    const nodes = [];
+    $("p").each((_, el) => {
+      const t = $(el).text().trim();
+      if (t.length > 30) {
+        paragraphs.push(t);
+        nodes.push(el);
+      }
+    });
+
+    return { text: paragraphs.join(" "), nodes };
+  }
+
+  extractMetadata() {
+    if (!this.metadata) {
+      this.metadata = extractMetadata(this.$, this.baseUrl);
+    }
+    return this.metadata;
+  }
+}
+
+/* ============================================================
+   SCRAPE PIPELINE
+   resolve → fetch → extract, shared by every route that needs
+   article bodies. Results are cached per URL and extractor.
+============================================================ */
+
+export const EXTRACTORS = ["legacy", "scored"];
+
+// original: the fetched page (plus its continuation pages);
+// amp / print: that version when the page links one and it yields an
+// article; best: whichever of the three extracts the most text.
+export const VARIANTS = ["original", "amp", "print", "best"];
+
+export const MAX_PAGES = 10;
+export const DEFAULT_PAGES = Math.min(MAX_PAGES, Number(process.env.SCRAPE_MAX_PAGES) || 5);
+
+// Shared by the routes that scrape a single article.
+export const VARIANT_PARAMS = {
+  variant: field.enum(VARIANTS, {
+    default: "original",
+    description: "Page version to extract: original, amp, print, or best of them"
+  }),
+  pages: field.integer({
+    min: 1,
+    max: MAX_PAGES,
+    default: DEFAULT_PAGES,
+    description: "Follow up to this many pages of a multi-page story"
+  })
+};
+
+// Below this an "article" is navigation chrome or a teaser.
+const MIN_ARTICLE_WORDS = 20;
+const PAYWALL_TEASER_WORDS = 100;
+
+// "best" only leaves the original for clearly more text.
+const BETTER_BY = 1.1;
+
+const scrapeKey = (url, { mode, variant, pages }) =>
+  `${mode}:${variant}:${pages}:${hash(url)}`;
+
+export async function scrapeArticle(
+  url,
+  { mode = "legacy", variant = "original", pages = DEFAULT_PAGES, timeout = 15000, cacheMode } = {}
+) {
+  const startTime = Date.now();
+  const { value, meta } = await cache.wrap(
+    "scrape",
+    scrapeKey(url, { mode, variant, pages }),
+    previous => fetchArticle(url, { mode, variant, pages, timeout }, previous),
+    // Live blogs change by the minute; keep them only briefly.
+    { mode: cacheMode, routeFor: article => (article.liveBlog ? "liveblog" : null) }
+  );
+
+  // Upstream validators stay in the cache entry only.
+  const { validators, ...result } = value;
+
+  // A 304 renews the stored article as it was, timing included; the
+  // time spent is this request's.
+  if (meta.state === "revalidated") {
+    result.stats = { ...result.stats, processingTimeMs: Date.now() - startTime };
+  }
+
+  return { result, cached: isCached(meta), cache: meta };
+}
+
+/**
+ * Decodes and extracts one fetched page. Links to further pages and
+ * alternate versions, and live-blog updates, are read before the
+ * extractor strips the chrome and scripts they sit in.
+ */
+function readPage(response, url, { site, mode }) {
+  const encoding = decodeHtml(response.data, response.headers?.["content-type"]);
+  const $ = cheerio.load(encoding.text);
+  const links = discoverLinks($, url);
+  const liveBlog = extractLiveBlog($, url);
+
+  const extractor = new FullContentExtractor($, {
+    profile: site?.profile,
+    baseUrl: url
+  });
+  const metadata = extractor.extractMetadata();
+  const logos = logoSources($, url, metadata);
+
+  const content = extractor.extractContent(mode);
+  const text = cleanText(content.text, {
+    keepParagraphs: mode === "scored"
+  });
+
+  return {
+    url,
+    encoding,
+    links,
+    liveBlog,
+    text,
+    metadata,
+    blocks: extractBlocks($, content.nodes, url),
+    images: extractImages($, { baseUrl: url, nodes: content.nodes, logos, lead: metadata.image })
+  };
+}
+
+async function fetchPage(url, { site, mode, deadline }) {
+  const response = await policyGet(url, { responseType: "arraybuffer" }, { deadline });
+  assertHtmlResponse(response);
+  return readPage(response, url, { site, mode });
+}
+
+// One variant's pages joined into a single body.
+function stitch(variant, pages, mode) {
+  const text = pages.map(p => p.text).filter(Boolean).join(mode === "scored" ? "\n\n" : " ");
+  const blogs = pages.map(p => p.liveBlog).filter(Boolean);
+
+  return {
+    variant,
+    url: pages[0].url,
+    pages: pages.map(p => p.url),
+    text,
+    words: countWords(text),
+    blocks: pages.flatMap(p => p.blocks),
+    images: rankImages(pages.flatMap(p => p.images)),
+    liveBlog: blogs.length
+      ? { ...blogs[0], updates: mergeUpdates(blogs.map(b => b.updates)) }
+      : null
+  };
+}
+
+/**
+ * Follows "next page" links from `first` until `maxPages`, the
+ * deadline, a repeated page or a failed fetch.
+ */
+async function followPages(first, { site, mode, maxPages, deadline }) {
+  const pages = [first];
+  const seenUrls = new Set([pageKey(first.url)]);
+  const seenTexts = new Set([hash(first.text)]);
+  let next = first.links.next;
+
+  while (next && pages.length < maxPages && !seenUrls.has(pageKey(next))) {
+    const remaining = deadline - Date.now();
+    if (remaining < 1000) break;
+    seenUrls.add(pageKey(next));
+
+    let page;
+    try {
+      page = await fetchPage(next, { site, mode, deadline });
+    } catch {
+      break;
+    }
+
+    if (!page.text || seenTexts.has(hash(page.text))) break;
+    seenTexts.add(hash(page.text));
+    pages.push(page);
+    next = page.links.next;
+  }
+
+  return stitch("original", pages, mode);
+}
+
+async function loadVariants(first, { wanted, site, mode, deadline }) {
+  const names = wanted === "best" ? ["amp", "print"] : [wanted];
+  const variants = [];
+
+  for (const name of names) {
+    const url = first.links[name];
+    if (!url || pageKey(url) === pageKey(first.url)) continue;
+
+    const remaining = deadline - Date.now();
+    if (remaining < 1000) {
+      variants.push({ variant: name, url, error: "DEADLINE_EXCEEDED" });
+      continue;
+    }
+
+    try {
+      const page = await fetchPage(url, { site, mode, deadline });
+      variants.push(stitch(name, [page], mode));
+    } catch (err) {
+      variants.push({ variant: name, url, error: toApiError(err).code });
+    }
+  }
+
+  return variants;
+}
+
+const usableVariant = v => !v.error && v.words >= MIN_ARTICLE_WORDS;
+
+function pickVariant(wanted, original, variants) {
+  const usable = variants.filter(usableVariant);
+
+  if (wanted === "best") {
+    return usable.reduce(
+      (best, v) => (v.words > best.words * BETTER_BY ? v : best),
+      original
+    );
+  }
+
+  return usable.find(v => v.variant === wanted) || original;
+}
+
+async function fetchArticle(url, { mode, variant, pages: maxPages, timeout }, previous) {
+  const startTime = Date.now();
+  const deadline = startTime + timeout;
+  const resolution = await resolveArticleUrl(url);
+  const resolvedUrl = resolution.url;
+  const known = previous?.resolvedUrl === resolvedUrl ? previous.validators : null;
+
+  const response = await policyGet(
+    resolvedUrl,
+    {
+      // Raw bytes: the charset is decided by decodeHtml, not axios.
+      responseType: "arraybuffer",
+      validateStatus: acceptNotModified,
+      headers: conditionalHeaders(known)
+    },
+    { deadline }
+  );
+
+  // Only the first page is revalidated; continuation pages of an
+  // unchanged story are assumed unchanged too.
+  if (response.status === 304 && known) {
+    return previous;
+  }
+
+  assertHtmlResponse(response);
+
+  const site = findSiteByUrl(resolvedUrl);
+  const first = readPage(response, resolvedUrl, { site, mode });
+  const { metadata, encoding } = first;
+
+  const variants = variant === "original"
+    ? []
+    : await loadVariants(first, { wanted: variant, site, mode, deadline });
+
+  // An explicitly requested AMP / print version that worked makes the
+  // original's continuation pages moot.
+  const settled = variant !== "best" && variants.some(v => usableVariant(v));
+  const original = settled
+    ? stitch("original", [first], mode)
+    : await followPages(first, { site, mode, maxPages, deadline });
+  const chosen = pickVariant(variant, original, variants);
+
+  const cleanedText = chosen.text;
+  const words = chosen.words;
+
+  if (metadata.isAccessibleForFree === false && words < PAYWALL_TEASER_WORDS) {
+    throw apiError("PAYWALLED", `Only a ${words}-word teaser is available without a subscription`, {
+      resolvedUrl
+    });
+  }
+
+  // A live blog's text can live entirely in its updates.
+  if (words < MIN_ARTICLE_WORDS && !chosen.liveBlog?.updates.length) {
+    throw apiError("EXTRACTION_EMPTY", `Extracted ${words} words from the page`, { resolvedUrl });
+  }
+
+  return {
+    originalUrl: url,
+    resolvedUrl,
+    resolution: {
+      strategy: resolution.strategy,
+      cached: resolution.cached
+    },
+    profile: site?.profile ? site.name : null,
+    extractor: mode,
+    variant: chosen.variant,
+    variants: [original, ...variants].map(v => ({
+      variant: v.variant,
+      url: v.url,
+      ...(v.error
+        ? { error: v.error }
+        : { pages: v.pages, words: v.words }),
+      used: v === chosen
+    })),
+    encoding: { charset: encoding.charset, source: encoding.source },
+    language: resolveLanguage(metadata.language, cleanedText),
+    metadata,
+    fullText: cleanedText,
+    blocks: chosen.blocks,
+    images: chosen.images,
+    ...(chosen.liveBlog && {
+      liveBlog: {
+        coverageStartTime: chosen.liveBlog.coverageStartTime,
+        coverageEndTime: chosen.liveBlog.coverageEndTime,
+        total: chosen.liveBlog.updates.length,
+        latestAt: chosen.liveBlog.updates[0]?.publishedAt ?? null
+      },
+      liveUpdates: chosen.liveBlog.updates
+    }),
+    stats: {
+      words,
+      chars: countCharacters(cleanedText),
+      images: chosen.images.length,
+      pages: chosen.pages.length,
+      processingTimeMs: Date.now() - startTime
+    },
+    validators: readValidators(response)
+  };
+}
+
+/**
+ * Extractive summary of a scraped article, cached next to the scrape
+ * result under the same URL hash.
+ */
+export async function summarizeArticle(
+  url,
+  {
+    mode = "legacy",
+    variant = "original",
+    pages = DEFAULT_PAGES,
+    method = "frequency",
+    sentences = 3,
+    timeout,
+    cacheMode
+  } = {}
+) {
+  const { result } = await scrapeArticle(url, { mode, variant, pages, timeout, cacheMode });
+  return { result, ...(await summarizeResult(url, result, { mode, variant, pages, method, sentences, cacheMode })) };
+}
+
+/**
+ * Summary of an article already scraped with the same options, for
+ * callers that hold the scrape result and must not fetch it again.
+ */
+export async function summarizeResult(
+  url,
+  result,
+  { mode = "legacy", variant = "original", pages = DEFAULT_PAGES, method = "frequency", sentences = 3, cacheMode } = {}
+) {
+  const { value: summary, meta } = await cache.wrap(
+    "summary",
+    `${method}:${sentences}:${scrapeKey(url, { mode, variant, pages })}`,
+    () => summarizeText(result.fullText, { method, sentences }),
+    { mode: cacheMode }
+  );
+
+  return { summary, cached: isCached(meta), cache: meta };
+}
+
+// Blocks and images are cached once per article and rendered /
+// filtered per request.
+export function presentArticle({ blocks, images, ...result }, format = "text", imageScope = "article") {
+  const shown = presentImages(images, imageScope);
+  return {
+    ...result,
+    ...shown,
+    stats: { ...result.stats, images: shown.images.length },
+    format,
+    content: renderBlocks(blocks, format)
+  };
+}
+
+/* ============================================================
+   SEARCH RESULT EXPANSION
+============================================================ */
+
+/**
+ * Scrapes the first `limit` articles and attaches their body, metadata
+ * and lead image. Failures are reported per article as `expandError`
+ * and `expandErrorCode` (see lib/errors.js) and never reject the
+ * whole list.
+ */
+export async function expandArticles(
+  articles,
+  { limit = 5, concurrency = 4, timeout = 12000, mode = "legacy", cacheMode } = {}
+) {
+  const head = articles.slice(0, limit);
+
+  const expanded = await mapWithConcurrency(head, concurrency, async article => {
+    try {
+      const { result, cached } = await withTimeout(
+        scrapeArticle(article.link, { mode, timeout, cacheMode }),
+        timeout,
+        "Scrape"
+      );
+
+      return {
+        ...article,
+        resolvedUrl: result.resolvedUrl,
+        fullText: result.fullText,
+        metadata: result.metadata,
+        leadImage: presentImages(result.images).leadImage?.src || null,
+        wordCount: result.stats.words,
+        expandCached: cached
+      };
+    } catch (err) {
+      const apiErr = toApiError(err);
+      return { ...article, expandError: apiErr.message, expandErrorCode: apiErr.code };
+    }
+  });
+
+  return [...expanded, ...articles.slice(limit)];
+}
@@ -0,0 +1,297 @@
+import * as cheerio from "cheerio";
+import NEWS_SITES from "../api/news_urls.js";
+import { mapWithConcurrency, withTimeout } from "./pool.js";
+import { politeGet } from "./fetcher.js";
+import { decodeHtml } from "./charset.js";
+import { recordSource } from "./resilience.js";
+
+/* ============================================================
+   REGISTRY SELECTION
+============================================================ */
+
+const norm = s => String(s || "").trim().toLowerCase();
+
+export const CATEGORIES = [...new Set(NEWS_SITES.map(site => site.category))];
+export const REGIONS = [...new Set(NEWS_SITES.map(site => site.region))];
+
+export function selectSites({ category, region, names } = {}) {
+  const wanted = names ? new Set(names.map(norm)) : null;
+
+  return NEWS_SITES.filter(site => {
+    if (category && norm(site.category) !== norm(category)) return false;
+    if (region && norm(site.region) !== norm(region)) return false;
+    if (wanted && !wanted.has(norm(site.name))) return false;
+    return true;
+  });
+}
+
+const bareHost = hostname => hostname.replace(/^www\./, "");
+
+const SITE_HOSTS = NEWS_SITES.map(site => {
+  try {
+    return { site, host: bareHost(new URL(site.url("x")).hostname) };
+  } catch {
+    return null;
+  }
+}).filter(Boolean);
+
+/**
+ * Registry entry whose search host matches `url`'s hostname (or a parent
+ * domain of it). The most specific host wins.
+ */
+export function findSiteByUrl(url) {
+  let host;
+  try {
+    host = bareHost(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  for (const entry of SITE_HOSTS) {
+    if (host !== entry.host && !host.endsWith(`.${entry.host}`)) continue;
+    if (!best || entry.host.length > best.host.length) best = entry;
+  }
+
+  return best ? best.site : null;
+}
+
+/* ============================================================
+   SEARCH PAGE LINK EXTRACTION
+============================================================ */
+
+const NON_ARTICLE_PATH =
+  /\/(tag|tags|topic|topics|author|authors|category|categories|section|page|search|login|signin|signup|register|subscribe|subscription|newsletter|about|contact|privacy|terms|careers|advertise|video-gallery|photos?)(\/|$)/i;
+
+function looksLikeArticle(link, pageUrl) {
+  if (!/^https?:$/.test(link.protocol)) return false;
+
+  const siteHost = bareHost(pageUrl.hostname);
+  const host = bareHost(link.hostname);
+  if (host !== siteHost && !host.endsWith(`.${siteHost}`) && !siteHost.endsWith(`.${host}`)) {
+    return false;
+  }
+
+  const path = link.pathname;
+  if (path === "/" || path === pageUrl.pathname) return false;
+  if (NON_ARTICLE_PATH.test(path)) return false;
+
+  const segments = path.split("/").filter(Boolean);
+  const last = segments[segments.length - 1] || "";
+
+  return (
+    last.split("-").length >= 4 ||
+    /\d{5,}/.test(path) ||
+    segments.length >= 3
+  );
+}
+
+function anchorTitle($, el) {
+  const $el = $(el);
+  const text = $el.text().replace(/\s+/g, " ").trim();
+  return (
+    text ||
+    ($el.attr("title") || "").trim() ||
+    ($el.find("img").attr("alt") || "").trim()
+  );
+}
+
+/**
+ * Generic heuristic: article links are same-site anchors with an
+ * article-shaped path and a headline-length label.
+ */
+export function extractSearchResults($, pageUrl) {
+  const base = new URL(pageUrl);
+  const byLink = new Map();
+
+  $("a[href]").each((_, el) => {
+    let link;
+    try {
+      link = new URL($(el).attr("href"), base);
+    } catch {
+      return;
+    }
+
+    link.hash = "";
+    if (!looksLikeArticle(link, base)) return;
+
+    const title = anchorTitle($, el);
+    if (title.length < 20 || title.split(" ").length < 4) return;
+
+    const existing = byLink.get(link.href);
+    if (!existing || existing.title.length < title.length) {
+      byLink.set(link.href, { title, link: link.href });
+    }
+  });
+
+  return [...byLink.values()];
+}
+
+const textOf = ($scope, selector) =>
+  selector ? $scope.find(selector).first().text().replace(/\s+/g, " ").trim() : "";
+
+/**
+ * Profile-driven extraction: one result per `profile.item` element.
+ */
+export function extractProfileResults($, pageUrl, profile) {
+  const byLink = new Map();
+
+  $(profile.item).each((_, el) => {
+    const $item = $(el);
+    const $link = $item.find(profile.link || "a[href]").filter("[href]").first();
+
+    let link;
+    try {
+      link = new URL($link.attr("href"), pageUrl);
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(link.protocol)) return;
+    link.hash = "";
+
+    const title = textOf($item, profile.title) || anchorTitle($, $link);
+    if (!title || byLink.has(link.href)) return;
+
+    // The date selector often matches a wrapper around the <time>.
+    const $date = profile.date ? $item.find(profile.date).first() : null;
+    const datetime = $date && ($date.attr("datetime") || $date.find("[datetime]").first().attr("datetime"));
+
+    byLink.set(link.href, {
+      title,
+      link: link.href,
+      publishedAt: $date
+        ? datetime || $date.text().replace(/\s+/g, " ").trim() || null
+        : null,
+      snippet: textOf($item, profile.snippet)
+    });
+  });
+
+  return [...byLink.values()];
+}
+
+/* ============================================================
+   PER-SOURCE FETCH
+============================================================ */
+
+const BLOCKED_STATUS = new Set([401, 403, 429, 451]);
+const BLOCKED_BODY =
+  /captcha|cf-browser-verification|attention required|access denied|are you a robot/i;
+
+function classifyError(err) {
+  if (err.code === "ROBOTS_DISALLOWED") {
+    return "disallowed";
+  }
+  if (err.code === "CIRCUIT_OPEN") {
+    return "unavailable";
+  }
+  if (err.code === "ETIMEDOUT" || err.code === "ECONNABORTED") {
+    return "timeout";
+  }
+  if (err.response && BLOCKED_STATUS.has(err.response.status)) {
+    return "blocked";
+  }
+  return "error";
+}
+
+export async function searchSite(site, q, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const searchUrl = site.url(encodeURIComponent(q));
+
+  const report = {
+    source: site.name,
+    category: site.category,
+    region: site.region,
+    searchUrl,
+    status: "ok",
+    results: 0,
+    elapsedMs: 0
+  };
+
+  let articles = [];
+
+  try {
+    const response = await withTimeout(
+      politeGet(searchUrl, {
+        timeout,
+        maxRedirects: 5,
+        responseType: "arraybuffer"
+      }),
+      timeout,
+      site.name
+    );
+
+    const { text: html } = decodeHtml(response.data, response.headers?.["content-type"]);
+    const $ = cheerio.load(html);
+    const finalUrl = response.request?.res?.responseUrl || searchUrl;
+
+    let found = site.profile?.item
+      ? extractProfileResults($, finalUrl, site.profile)
+      : [];
+    if (!found.length) found = extractSearchResults($, finalUrl);
+
+    articles = found.map(a => ({
+      ...a,
+      source: site.name,
+      category: site.category,
+      region: site.region
+    }));
+
+    if (!articles.length) {
+      report.status = BLOCKED_BODY.test($("title").text() + html.slice(0, 4000))
+        ? "blocked"
+        : "empty";
+    }
+  } catch (err) {
+    report.status = classifyError(err);
+    report.httpStatus = err.response?.status;
+    report.error = err.message;
+  }
+
+  report.results = articles.length;
+  report.elapsedMs = Date.now() - startTime;
+
+  // "empty" is a valid answer for an obscure query; the rest mean the
+  // source did not work for us.
+  recordSource(site.name, {
+    ok: report.status === "ok" || report.status === "empty",
+    ms: report.elapsedMs,
+    status: report.status,
+    error: report.error
+  });
+
+  return { report, articles };
+}
+
+/* ============================================================
+   FAN-OUT
+============================================================ */
+
+export async function searchSources(
+  q,
+  { category, region, maxSources = 25, concurrency = 6, timeout = 8000, limit = 50 } = {}
+) {
+  const sites = selectSites({ category, region }).slice(0, maxSources);
+
+  const outcomes = await mapWithConcurrency(sites, concurrency, site =>
+    searchSite(site, q, { timeout })
+  );
+
+  // Round-robin merge so the first few sources don't fill the whole limit.
+  const seen = new Set();
+  const articles = [];
+  const depth = Math.max(0, ...outcomes.map(o => o.articles.length));
+
+  for (let i = 0; i < depth; i++) {
+    for (const { articles: found } of outcomes) {
+      const article = found[i];
+      if (!article || seen.has(article.link)) continue;
+      seen.add(article.link);
+      articles.push(article);
+    }
+  }
+
+  return {
+    sources: outcomes.map(o => o.report),
+    articles: articles.slice(0, limit)
+  };
+}
@@ -0,0 +1,178 @@
+import summarizer from "node-summarizer";
+import { STOPWORDS } from "./cluster.js";
+import { countWords } from "./language.js";
+
+const { SummarizerManager } = summarizer;
+
+/* ============================================================
+   SENTENCES
+============================================================ */
+
+const ABBREVIATIONS =
+  /\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|Gen|Col|Lt|Capt|Sgt|Gov|Sen|Rep|Rs|No|vs|etc|Inc|Ltd|Co|Corp|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|i\.e|e\.g|U\.S|U\.K)\.$/i;
+
+/**
+ * Splits text into sentences on paragraph breaks, ., !, ?, the
+ * Devanagari danda and CJK full stops (which need no following
+ * space), without breaking on common abbreviations or initials.
+ */
+export function splitSentences(text) {
+  return String(text || "")
+    .split(/\n{2,}/)
+    .flatMap(splitParagraph);
+}
+
+function splitParagraph(paragraph) {
+  const parts = paragraph
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?।])["'”’)]*\s+(?=["'“‘(]?[\p{Lu}\p{N}\p{Lo}])|(?<=[。！？][」』）]*)(?![」』）])(?=\S)/u);
+
+  const sentences = [];
+  for (const part of parts) {
+    const prev = sentences[sentences.length - 1];
+    if (prev && (ABBREVIATIONS.test(prev) || /\b\p{Lu}\.$/u.test(prev))) {
+      sentences[sentences.length - 1] = `${prev} ${part}`;
+    } else {
+      sentences.push(part);
+    }
+  }
+
+  return sentences.map(s => s.trim()).filter(s => s.length > 1);
+}
+
+/* ============================================================
+   KEY PHRASES (RAKE)
+============================================================ */
+
+/**
+ * Rapid Automatic Keyword Extraction: candidate phrases are runs of
+ * content words between stopwords/punctuation, scored by word
+ * degree / frequency.
+ */
+export function keyPhrases(text, { limit = 10 } = {}) {
+  const candidates = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N} \t'-]+/u)
+    .flatMap(chunk => {
+      const phrases = [];
+      let current = [];
+      for (const word of chunk.split(/\s+/).filter(Boolean)) {
+        if (STOPWORDS.has(word) || /^\d+$/.test(word) || word.length < 2) {
+          if (current.length) phrases.push(current);
+          current = [];
+        } else {
+          current.push(word);
+        }
+      }
+      if (current.length) phrases.push(current);
+      return phrases;
+    })
+    .filter(words => words.length <= 4);
+
+  const freq = new Map();
+  const degree = new Map();
+
+  for (const words of candidates) {
+    for (const w of words) {
+      freq.set(w, (freq.get(w) || 0) + 1);
+      degree.set(w, (degree.get(w) || 0) + words.length);
+    }
+  }
+
+  const scored = new Map();
+  for (const words of candidates) {
+    const phrase = words.join(" ");
+    if (scored.has(phrase)) continue;
+    const score = words.reduce((sum, w) => sum + degree.get(w) / freq.get(w), 0);
+    const occurrences = candidates.filter(c => c.join(" ") === phrase).length;
+    scored.set(phrase, score * Math.log2(1 + occurrences));
+  }
+
+  return [...scored.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([phrase, score]) => ({ phrase, score: Math.round(score * 100) / 100 }));
+}
+
+/* ============================================================
+   EXTRACTIVE SUMMARY
+============================================================ */
+
+export const SUMMARY_METHODS = ["frequency", "textrank"];
+
+// Share of a sentence's word pairs found in the library's output for
+// it to count as picked.
+const MATCH_THRESHOLD = 0.5;
+
+const wordPairs = text => {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(1).map((w, i) => `${words[i]} ${w}`);
+};
+
+/**
+ * Maps the library's summary back onto our sentences. It splits the
+ * text its own way ("Dr." ends a sentence for it), so its output is
+ * matched by overlapping word pairs rather than exact text. Sentences
+ * it clearly picked come first; the rest are filled by overlap, then
+ * position, so exactly `count` sentences come back in text order.
+ */
+function pickSentences(all, summary, count) {
+  const summaryPairs = new Set(wordPairs(summary));
+
+  const ranked = all
+    .map((sentence, index) => {
+      const pairs = wordPairs(sentence);
+      const found = pairs.filter(p => summaryPairs.has(p)).length;
+      // Unspaced scripts have no word pairs; whole-sentence hits still count.
+      const score = summary.includes(sentence) ? 1 : pairs.length ? found / pairs.length : 0;
+      return { sentence, index, score };
+    })
+    .sort((a, b) => {
+      const picked = (b.score >= MATCH_THRESHOLD) - (a.score >= MATCH_THRESHOLD);
+      return picked || b.score - a.score || a.index - b.index;
+    });
+
+  return ranked
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(r => r.sentence);
+}
+
+/**
+ * N-sentence extractive summary via node-summarizer. Selected sentences
+ * are returned in their original order. Never calls out to a network
+ * service.
+ */
+export async function summarizeText(text, { method = "frequency", sentences = 3 } = {}) {
+  // Fragments (captions, datelines, list items) make poor summary lines.
+  const all = splitSentences(text).filter(s => countWords(s) >= 5);
+
+  if (all.length <= sentences) {
+    return {
+      method,
+      sentences: all,
+      text: all.join(" "),
+      keyPhrases: keyPhrases(text)
+    };
+  }
+
+  const manager = new SummarizerManager(all.join(" "), sentences);
+  const output =
+    method === "textrank"
+      ? await manager.getSummaryByRank()
+      : manager.getSummaryByFrequency();
+
+  // The library signals failure by returning Error objects, not throwing.
+  const summary = output instanceof Error || typeof output?.summary !== "string"
+    ? ""
+    : output.summary;
+
+  const picked = pickSentences(all, summary, sentences);
+
+  return {
+    method,
+    sentences: picked,
+    text: picked.join(" "),
+    keyPhrases: keyPhrases(text)
+  };
+}
@@ -0,0 +1,24 @@
+/* ============================================================
+   TEXT CLEANER
+   Shared by the article extractor and the live-blog reader; kept
+   free of imports so either can use it without a cycle.
+============================================================ */
+
+// \b is ASCII-only, so word edges are spelled out for any script.
+const BOILERPLATE =
+  /(?<![\p{L}\p{M}])(?:ADVERTISEMENT|Subscribe|Related Articles|विज्ञापन|広告)(?![\p{L}\p{M}])/giu;
+
+export function cleanText(text, { keepParagraphs = false } = {}) {
+  if (keepParagraphs) {
+    return text
+      .split(/\n{2,}/)
+      .map(p => cleanText(p))
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  return text
+    .replace(BOILERPLATE, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,226 @@
+import dns from "dns";
+import net from "net";
+import { findSiteByUrl } from "./sources.js";
+
+/* ============================================================
+   OUTBOUND URL POLICY
+   Every user-supplied URL we fetch goes through here: scheme,
+   port and domain rules are checked up front and on every
+   redirect hop, and each connection's DNS answer is checked
+   against private / loopback / link-local / metadata ranges at
+   connect time, so a rebinding DNS record cannot slip through.
+
+   SCRAPE_ALLOWED_DOMAINS  comma list; "news_sites" = NEWS_SITES hosts
+   SCRAPE_DENIED_DOMAINS   comma list
+   SCRAPE_ALLOWED_PORTS    default "80,443"
+   SCRAPE_MAX_BYTES        default 5 MB
+   SCRAPE_ALLOW_PRIVATE    "true" for local development only
+============================================================ */
+
+const DEFAULT_PORTS = [80, 443];
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/i;
+
+const list = value =>
+  String(value || "")
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+export function policyFromEnv(env = process.env) {
+  const ports = list(env.SCRAPE_ALLOWED_PORTS).map(Number).filter(Number.isInteger);
+
+  return {
+    allowedDomains: list(env.SCRAPE_ALLOWED_DOMAINS),
+    deniedDomains: list(env.SCRAPE_DENIED_DOMAINS),
+    allowedPorts: ports.length ? ports : DEFAULT_PORTS,
+    maxBytes: Number(env.SCRAPE_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    allowPrivate: env.SCRAPE_ALLOW_PRIVATE === "true"
+  };
+}
+
+export function policyError(code, message, status = 403) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  err.policy = true;
+  return err;
+}
+
+export const isPolicyError = err => err?.policy === true;
+
+/* ============================================================
+   ADDRESS RANGES
+============================================================ */
+
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, incl. 169.254.169.254 metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+];
+
+const BLOCKED_V6 = [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7], // unique local, incl. fd00:ec2::254 metadata
+  ["fe80::", 10],
+  ["ff00::", 8]
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of BLOCKED_V4) blockList.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of BLOCKED_V6) blockList.addSubnet(address, prefix, "ipv6");
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address.
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockList.check(mapped[1], "ipv4");
+
+  return blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/* ============================================================
+   URL CHECKS
+============================================================ */
+
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Throws a policy error (with `code` and `status`) if `rawUrl` may not
+ * be fetched. DNS is checked later, per connection, by `guardedLookup`.
+ */
+export function assertUrlAllowed(rawUrl, policy = policyFromEnv()) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw policyError("URL_INVALID", "URL could not be parsed", 400);
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw policyError("URL_SCHEME_BLOCKED", `Scheme ${url.protocol} is not allowed`, 400);
+  }
+
+  if (url.username || url.password) {
+    throw policyError("URL_CREDENTIALS_BLOCKED", "URLs with credentials are not allowed", 400);
+  }
+
+  const port = Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+  if (!policy.allowedPorts.includes(port)) {
+    throw policyError("URL_PORT_BLOCKED", `Port ${port} is not allowed`);
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+
+  if (policy.deniedDomains.some(d => matchesDomain(host, d))) {
+    throw policyError("URL_DOMAIN_BLOCKED", `Domain ${host} is denied`);
+  }
+
+  if (policy.allowedDomains.length) {
+    const allowed = policy.allowedDomains.some(d =>
+      d === "news_sites" ? findSiteByUrl(url.href) : matchesDomain(host, d)
+    );
+    if (!allowed) {
+      throw policyError("URL_DOMAIN_BLOCKED", `Domain ${host} is not on the allow list`);
+    }
+  }
+
+  // Literal IPs never reach the DNS lookup hook.
+  if (net.isIP(host) && !policy.allowPrivate && isBlockedAddress(host)) {
+    throw policyError("URL_ADDRESS_BLOCKED", `Address ${host} is not routable from here`);
+  }
+
+  return url;
+}
+
+/**
+ * dns.lookup replacement for the HTTP agent: fails the connection if
+ * any address the name resolves to is in a blocked range.
+ */
+export function guardedLookup(policy) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+
+      const blocked = !policy.allowPrivate && addresses.find(a => isBlockedAddress(a.address));
+      if (blocked) {
+        return callback(
+          policyError("URL_ADDRESS_BLOCKED", `${hostname} resolves to a blocked address (${blocked.address})`)
+        );
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/* ============================================================
+   AXIOS INTEGRATION
+============================================================ */
+
+/**
+ * axios config fragment enforcing the policy: DNS guard, per-hop URL
+ * checks and a response size cap.
+ */
+export function policyRequestConfig(policy = policyFromEnv()) {
+  return {
+    lookup: guardedLookup(policy),
+    maxRedirects: MAX_REDIRECTS,
+    maxContentLength: policy.maxBytes,
+    beforeRedirect: options => {
+      assertUrlAllowed(options.href, policy);
+    }
+  };
+}
+
+/**
+ * Maps the errors axios raises for policy violations back to policy
+ * errors; everything else is returned unchanged.
+ */
+export function policyErrorFrom(err, policy = policyFromEnv()) {
+  // axios and follow-redirects each wrap the original error once.
+  for (let e = err; e; e = e.cause) {
+    if (isPolicyError(e)) return e;
+  }
+
+  if (/maxContentLength/.test(err.message || "")) {
+    return policyError(
+      "RESPONSE_TOO_LARGE",
+      `Response exceeds ${policy.maxBytes} bytes`,
+      413
+    );
+  }
+
+  return err;
+}
+
+export function assertHtmlResponse(response) {
+  const type = response.headers?.["content-type"];
+  if (type && !HTML_TYPES.test(type)) {
+    throw policyError(
+      "CONTENT_TYPE_BLOCKED",
+      `Content-Type ${String(type).split(";")[0]} is not an HTML page`,
+      415
+    );
+  }
+}
@@ -0,0 +1,178 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mockRes } from "./helpers.js";
+
+delete process.env.API_KEY_BACKEND;
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_REQUIRED;
+delete process.env.API_ANON_RATE_LIMIT;
+delete process.env.API_ANON_DAILY_QUOTA;
+
+const { authorize, cacheScope, issueKey, revokeKey, keyStore } = await import("../lib/auth/index.js");
+const { MemoryKeyStore } = await import("../lib/auth/memory.js");
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+async function attempt(headers = {}) {
+  const req = { method: "GET", headers, query: {} };
+  const res = mockRes();
+  try {
+    await authorize(req, res);
+    return { req, res, err: null };
+  } catch (err) {
+    return { req, res, err };
+  }
+}
+
+const withKey = secret => ({ "x-api-key": secret });
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/* ============================================================
+   RATE LIMIT AND DAILY QUOTA
+============================================================ */
+
+test("the in-memory store backs keys and counters", () => {
+  assert.ok(keyStore instanceof MemoryKeyStore);
+});
+
+test("requests turned away by the minute limit don't use up the daily quota", async () => {
+  const { secret, key } = await issueKey({ name: "burst", rateLimit: 2, dailyQuota: 100 });
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await attempt(withKey(secret))).err, null);
+  }
+
+  for (let i = 0; i < 3; i++) {
+    const { res, err } = await attempt(withKey(secret));
+    assert.equal(err.code, "RATE_LIMITED");
+    assert.match(err.message, /per minute/);
+    assert.ok(err.retryAfter >= 1 && err.retryAfter <= 60);
+    assert.equal(res.headers["x-ratelimit-remaining"], "0");
+    assert.equal(res.headers["x-ratelimit-quota-remaining"], "98");
+  }
+
+  const quota = await keyStore.increment(`quota:key:${key.id}:${today()}`, 1000, 0);
+  assert.equal(quota.count, 2);
+});
+
+test("a new minute window lets requests through and counts them", async () => {
+  const { secret, key } = await issueKey({ name: "window", rateLimit: 1, dailyQuota: 100 });
+
+  assert.equal((await attempt(withKey(secret))).err, null);
+  assert.equal((await attempt(withKey(secret))).err.code, "RATE_LIMITED");
+
+  // Close the current minute window.
+  keyStore.counters.get(`rate:key:${key.id}`).resetAt = Date.now() - 1;
+
+  const { res, err } = await attempt(withKey(secret));
+  assert.equal(err, null);
+  assert.equal(res.headers["x-ratelimit-remaining"], "0");
+  assert.equal(res.headers["x-ratelimit-quota-remaining"], "98");
+});
+
+test("the daily quota is enforced once it is used up", async () => {
+  const { secret } = await issueKey({ name: "daily", rateLimit: 100, dailyQuota: 2 });
+
+  await attempt(withKey(secret));
+  await attempt(withKey(secret));
+
+  const { res, err } = await attempt(withKey(secret));
+  assert.equal(err.code, "RATE_LIMITED");
+  assert.match(err.message, /Daily quota of 2/);
+  assert.equal(res.headers["x-ratelimit-quota-remaining"], "0");
+  assert.equal(err.details.limit, 2);
+  assert.ok(err.retryAfter <= 24 * 60 * 60);
+});
+
+test("anonymous callers aren't limited unless API_ANON_* is set", async () => {
+  const caller = { "x-real-ip": "203.0.113.5" };
+
+  for (let i = 0; i < 30; i++) {
+    const { res, err } = await attempt(caller);
+    assert.equal(err, null);
+    assert.equal(res.headers["x-ratelimit-limit"], undefined);
+  }
+  assert.equal(keyStore.counters.has("rate:ip:203.0.113.5"), false);
+});
+
+test("anonymous callers are counted per client IP", async t => {
+  process.env.API_ANON_RATE_LIMIT = "1";
+  process.env.API_ANON_DAILY_QUOTA = "100";
+  t.after(() => {
+    delete process.env.API_ANON_RATE_LIMIT;
+    delete process.env.API_ANON_DAILY_QUOTA;
+  });
+
+  const first = { "x-real-ip": "203.0.113.7" };
+  const second = { "x-real-ip": "203.0.113.8" };
+
+  assert.equal((await attempt(first)).err, null);
+  assert.equal((await attempt(first)).err.code, "RATE_LIMITED");
+  assert.equal((await attempt(second)).err, null);
+
+  const quota = await keyStore.increment(`quota:ip:203.0.113.7:${today()}`, 1000, 0);
+  assert.equal(quota.count, 1);
+});
+
+test("a client can't pick its IP with X-Forwarded-For", async t => {
+  process.env.API_ANON_RATE_LIMIT = "1";
+  t.after(() => delete process.env.API_ANON_RATE_LIMIT);
+
+  // The platform appends the address it saw; earlier entries are the client's.
+  assert.equal((await attempt({ "x-forwarded-for": "198.51.100.1, 203.0.113.9" })).err, null);
+  const spoofed = await attempt({ "x-forwarded-for": "198.51.100.2, 203.0.113.9" });
+  assert.equal(spoofed.err.code, "RATE_LIMITED");
+
+  const real = await attempt({ "x-forwarded-for": "198.51.100.3", "x-real-ip": "203.0.113.10" });
+  assert.equal(real.err, null);
+  assert.equal(keyStore.counters.has("rate:ip:198.51.100.3"), false);
+});
+
+/* ============================================================
+   IDENTIFICATION
+============================================================ */
+
+test("unknown and revoked keys are rejected", async () => {
+  assert.equal((await attempt(withKey("rk_not-a-key"))).err.code, "UNAUTHORIZED");
+
+  const { secret, key } = await issueKey({ name: "revoked" });
+  assert.equal((await attempt({ authorization: `Bearer ${secret}` })).err, null);
+
+  await revokeKey(key.id);
+  const { err } = await attempt(withKey(secret));
+  assert.equal(err.code, "UNAUTHORIZED");
+  assert.match(err.message, /revoked/);
+});
+
+test("keyed responses may only be cached privately", async t => {
+  const { secret } = await issueKey({ name: "cache" });
+
+  assert.equal(cacheScope((await attempt()).req), "public");
+  assert.equal(cacheScope((await attempt(withKey(secret))).req), "private");
+
+  process.env.API_KEYS_REQUIRED = "true";
+  t.after(() => delete process.env.API_KEYS_REQUIRED);
+  assert.equal(cacheScope({ headers: {}, query: {} }), "private");
+});
+
+test("keys are required when API_KEYS_REQUIRED is set", async t => {
+  process.env.API_KEYS_REQUIRED = "true";
+  t.after(() => delete process.env.API_KEYS_REQUIRED);
+
+  assert.equal((await attempt()).err.code, "UNAUTHORIZED");
+});
+
+test("a key limited to origins refuses other browser origins", async () => {
+  const { secret } = await issueKey({ name: "web", origins: ["https://app.example"] });
+
+  const allowed = await attempt({ ...withKey(secret), origin: "https://app.example" });
+  assert.equal(allowed.err, null);
+  assert.equal(allowed.res.headers["access-control-allow-origin"], "https://app.example");
+
+  const refused = await attempt({ ...withKey(secret), origin: "https://evil.example" });
+  assert.equal(refused.err.code, "FORBIDDEN");
+  assert.equal(refused.res.headers["access-control-allow-origin"], undefined);
+});
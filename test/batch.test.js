@@ -0,0 +1,130 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { call, serve, html, sendHtml } from "./helpers.js";
+
+const paragraphs = Array.from(
+  { length: 8 },
+  (_, i) => `<p>Paragraph ${i} of the story carries enough ordinary words to be read as real article text by the extractor.</p>`
+).join("\n");
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/a": sendHtml(html(`<article><h1>Story A</h1>${paragraphs}</article>`)),
+  "/b": sendHtml(html(`<article><h1>Story B</h1>${paragraphs}</article>`)),
+  "/gone": (req, res) => res.writeHead(404).end("gone"),
+  "/slow": (req, res) => setTimeout(() => sendHtml(html(`<article>${paragraphs}</article>`))(req, res), 1500)
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: batch } = await import("../api/scrape/batch.js");
+
+const at = path => `${upstream.base}${path}`;
+const post = (body, query = {}) => call(batch, query, { method: "POST", body });
+
+/* ============================================================
+   ITEMS
+============================================================ */
+
+test("each URL reports on its own; failures use the error envelope shape", async () => {
+  const res = await post({ urls: [at("/a"), at("/gone")] });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    [res.body.total, res.body.succeeded, res.body.failed],
+    [2, 1, 1]
+  );
+
+  const [ok, failed] = res.body.items;
+  assert.deepEqual([ok.index, ok.url, ok.success], [0, at("/a"), true]);
+  assert.equal(typeof ok.content, "string");
+
+  assert.deepEqual(Object.keys(failed), ["index", "url", "success", "error"]);
+  assert.deepEqual([failed.index, failed.success], [1, false]);
+  assert.equal(failed.error.code, "UPSTREAM_4XX");
+  assert.equal(typeof failed.error.status, "number");
+  assert.equal(typeof failed.error.message, "string");
+});
+
+test("duplicate URLs are scraped once, in first-seen order", async () => {
+  const res = await post({ urls: [at("/b"), at("/a"), at("/b")] }, { nocache: "1" });
+
+  assert.deepEqual(res.body.items.map(i => i.url), [at("/b"), at("/a")]);
+  assert.deepEqual(res.body.items.map(i => i.index), [0, 1]);
+});
+
+test("more than MAX_URLS urls, an empty list or a non-JSON body are refused", async () => {
+  const many = Array.from({ length: 51 }, (_, i) => at(`/a?n=${i}`));
+
+  const tooMany = await post({ urls: many });
+  assert.equal(tooMany.statusCode, 400);
+  assert.equal(tooMany.body.error.details.errors[0].param, "urls");
+
+  const none = await post({});
+  assert.equal(none.statusCode, 400);
+  assert.equal(none.body.error.details.param, "urls");
+
+  const garbled = await post("{not json");
+  assert.equal(garbled.statusCode, 400);
+  assert.equal(garbled.body.error.details.param, "body");
+
+  const get = await call(batch, {});
+  assert.equal(get.statusCode, 405);
+  assert.equal(get.headers.allow, "POST, OPTIONS");
+});
+
+/* ============================================================
+   DEADLINE
+============================================================ */
+
+test("URLs not started before the batch deadline fail with DEADLINE_EXCEEDED", async () => {
+  const hits = () => upstream.requests.filter(url => url === "/b").length;
+  const before = hits();
+  const res = await post(
+    { urls: [at("/slow"), at("/b")], concurrency: 1, timeout: 1000, deadline: 1000 },
+    { nocache: "1" }
+  );
+
+  assert.equal(res.statusCode, 200);
+  const [slow, late] = res.body.items;
+  assert.equal(slow.success, false);
+  assert.notEqual(slow.error.code, "DEADLINE_EXCEEDED");
+  assert.equal(late.success, false);
+  assert.equal(late.error.code, "DEADLINE_EXCEEDED");
+  assert.equal(late.error.message, "Batch deadline reached before this URL started");
+  assert.equal(hits(), before);
+});
+
+/* ============================================================
+   NDJSON STREAM
+============================================================ */
+
+test("stream=ndjson writes one item per line, then a summary", async () => {
+  const res = await post({ urls: [at("/a"), at("/gone")] }, { stream: "ndjson" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["content-type"], "application/x-ndjson; charset=utf-8");
+  assert.equal(res.headers["cache-control"], "no-cache");
+  assert.equal(res.ended, true);
+
+  const text = res.chunks.join("");
+  assert.ok(text.endsWith("\n"));
+  const lines = text.trimEnd().split("\n").map(line => JSON.parse(line));
+
+  assert.deepEqual(lines.map(l => l.type), ["item", "item", "summary"]);
+  assert.deepEqual(lines.slice(0, 2).map(l => l.index).sort(), [0, 1]);
+  assert.equal(lines.find(l => l.index === 1).error.code, "UPSTREAM_4XX");
+
+  const summary = lines.at(-1);
+  assert.equal(summary.success, true);
+  assert.equal(summary.requestId, res.headers["x-request-id"]);
+  assert.deepEqual([summary.total, summary.succeeded, summary.failed], [2, 1, 1]);
+  assert.equal("items" in summary, false);
+
+  // The body flag streams too.
+  const flagged = await post({ urls: [at("/a")], stream: true });
+  assert.equal(flagged.headers["content-type"], "application/x-ndjson; charset=utf-8");
+});
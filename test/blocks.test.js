@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+
+const { extractBlocks, renderBlocks } = await import("../lib/blocks.js");
+
+const BASE = "https://news.example/india/story.html";
+
+const blocksOf = body => {
+  const $ = cheerio.load(`<article>${body}</article>`);
+  return extractBlocks($, $("article").toArray(), BASE);
+};
+
+/* ============================================================
+   EXTRACTION
+============================================================ */
+
+test("article markup becomes typed blocks, minus repeats and link lists", () => {
+  const blocks = blocksOf(`
+    <h2>What happened</h2>
+    <p>Rain lashed the city.</p>
+    <p>Rain lashed the city.</p>
+    <ul><li>Schools shut</li><li>Trains late</li></ul>
+    <blockquote>We are ready.</blockquote>
+    <figure><img src="/img/rain.jpg" alt="Rain"><figcaption>Marine Drive</figcaption></figure>
+    <p><a href="/a">Related</a> <a href="/b">More</a></p>
+    Loose text after the figure.`);
+
+  assert.deepEqual(blocks, [
+    { type: "heading", level: 2, text: "What happened" },
+    { type: "paragraph", text: "Rain lashed the city." },
+    { type: "list", ordered: false, items: ["Schools shut", "Trains late"] },
+    { type: "blockquote", text: "We are ready." },
+    { type: "figure", src: "https://news.example/img/rain.jpg", alt: "Rain", caption: "Marine Drive" },
+    { type: "paragraph", text: "Loose text after the figure." }
+  ]);
+});
+
+test("scripts, embeds and non-http images never become blocks", () => {
+  const blocks = blocksOf(`
+    <p>Before.</p>
+    <script>alert("x")</script>
+    <iframe src="https://evil.example/"></iframe>
+    <img src="javascript:alert(1)" alt="js">
+    <img src="data:image/png;base64,AAAA" alt="inline">
+    <img src="ftp://news.example/a.jpg" alt="ftp">
+    <p>After.</p>`);
+
+  assert.deepEqual(blocks.map(b => b.type), ["paragraph", "paragraph"]);
+  assert.doesNotMatch(JSON.stringify(blocks), /alert|evil/);
+});
+
+/* ============================================================
+   HTML
+============================================================ */
+
+test("html output only carries whitelisted tags and escaped text", () => {
+  const blocks = blocksOf(`
+    <p onclick="steal()">Tom &amp; Jerry &lt;script&gt;alert(1)&lt;/script&gt;</p>
+    <h3 class="x" style="color:red">Head <b>line</b></h3>
+    <figure><img src="/a.jpg" alt='"><script>alert(1)</script>' onerror="alert(1)">
+      <figcaption><a href="javascript:alert(1)">Caption</a></figcaption></figure>`);
+  const out = renderBlocks(blocks, "html");
+
+  assert.equal(
+    out,
+    [
+      "<p>Tom &amp; Jerry &lt;script&gt;alert(1)&lt;/script&gt;</p>",
+      "<h3>Head line</h3>",
+      '<figure><img src="https://news.example/a.jpg" alt="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">' +
+        "<figcaption>Caption</figcaption></figure>"
+    ].join("\n")
+  );
+  assert.doesNotMatch(out, /<script|onerror|onclick|style=|javascript:/i);
+});
+
+test("hand-built blocks with unsafe URLs or tags are neutralised", () => {
+  const out = renderBlocks(
+    [
+      { type: "image", src: "javascript:alert(1)", alt: "x" },
+      { type: "figure", src: "data:text/html,<script>alert(1)</script>", alt: "y", caption: "z" },
+      { type: "image", src: 'https://news.example/a.jpg" onerror="alert(1)', alt: "ok" },
+      { type: "heading", level: "1><script", text: "h" },
+      { type: "paragraph", text: "<img src=x onerror=alert(1)>" }
+    ],
+    "html"
+  );
+
+  assert.doesNotMatch(out, /javascript:|data:|<script|"\s*onerror|<img src=x/i);
+  assert.match(out, /<img src="https:\/\/news\.example\/a\.jpg%22%20onerror=%22alert\(1\)" alt="ok">/);
+  assert.match(out, /&lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+/* ============================================================
+   MARKDOWN
+============================================================ */
+
+test("markdown escapes inline syntax in text and alt", () => {
+  const out = renderBlocks(
+    [
+      { type: "paragraph", text: "Use *stars*, _underscores_, `code`, [links](x) and <b>tags</b> \\ too" },
+      { type: "image", src: "https://news.example/a b(1).jpg", alt: "a ] ( b" },
+      { type: "image", src: "https://news.example/a).jpg", alt: "" }
+    ],
+    "markdown"
+  );
+
+  assert.equal(
+    out,
+    "Use \\*stars\\*, \\_underscores\\_, \\`code\\`, \\[links\\](x) and \\<b\\>tags\\</b\\> \\\\ too\n\n" +
+      "![a \\] ( b](https://news.example/a%20b%281%29.jpg)\n\n" +
+      "![](https://news.example/a%29.jpg)"
+  );
+});
+
+test("text that opens a line can't start a block of its own", () => {
+  const out = renderBlocks(
+    [
+      { type: "paragraph", text: "# 1 trending story" },
+      { type: "paragraph", text: "- not a list" },
+      { type: "paragraph", text: "+ nor this" },
+      { type: "paragraph", text: "=== not a heading underline" },
+      { type: "paragraph", text: "2026. A year of change" },
+      { type: "paragraph", text: "1) first point" },
+      { type: "list", ordered: true, items: ["# tag", "3. nested?"] },
+      { type: "blockquote", text: "- quoted list?" },
+      { type: "paragraph", text: "Rs 2,000 - or more - #Budget2026" }
+    ],
+    "markdown"
+  );
+
+  assert.deepEqual(out.split("\n\n"), [
+    "\\# 1 trending story",
+    "\\- not a list",
+    "\\+ nor this",
+    "\\=== not a heading underline",
+    "2026\\. A year of change",
+    "1\\) first point",
+    "1. \\# tag\n2. 3\\. nested?",
+    "> \\- quoted list?",
+    "Rs 2,000 - or more - #Budget2026"
+  ]);
+});
+
+test("text and blocks formats render what was extracted", () => {
+  const blocks = blocksOf("<h2>Head</h2><ol><li>One</li><li>Two</li></ol><figure><img src='/a.jpg'><figcaption>Cap</figcaption></figure>");
+
+  assert.equal(renderBlocks(blocks), "Head\n\n1. One\n2. Two\n\nCap");
+  assert.equal(renderBlocks(blocks, "blocks"), blocks);
+});
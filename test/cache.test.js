@@ -0,0 +1,458 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { setTimeout as sleep } from "timers/promises";
+import { mockRes } from "./helpers.js";
+
+delete process.env.CACHE_BACKEND;
+
+const { MemoryStore } = await import("../lib/cache/memory.js");
+const { FileStore } = await import("../lib/cache/fs.js");
+const { RedisStore } = await import("../lib/cache/redis.js");
+const { Cache, routePolicy, cacheModeFromQuery, isCached, setCacheHeaders } = await import(
+  "../lib/cache/index.js"
+);
+
+/* ============================================================
+   RESP STAND-IN
+   Just the commands RedisStore sends: AUTH, SELECT, GET,
+   SET … PX, DEL. Records every command it receives.
+============================================================ */
+
+function parseCommands(buffer) {
+  const commands = [];
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    const start = pos;
+    const readLine = () => {
+      const end = buffer.indexOf("\r\n", pos);
+      if (end === -1) return null;
+      const line = buffer.toString("utf8", pos, end);
+      pos = end + 2;
+      return line;
+    };
+
+    const header = readLine();
+    if (header === null) return { commands, rest: buffer.subarray(start) };
+
+    const args = [];
+    for (let i = 0; i < Number(header.slice(1)); i++) {
+      const size = readLine();
+      if (size === null || buffer.length < pos + Number(size.slice(1)) + 2) {
+        return { commands, rest: buffer.subarray(start) };
+      }
+      args.push(buffer.toString("utf8", pos, pos + Number(size.slice(1))));
+      pos += Number(size.slice(1)) + 2;
+    }
+    commands.push(args);
+  }
+
+  return { commands, rest: Buffer.alloc(0) };
+}
+
+function respServer({ password } = {}) {
+  const data = new Map();
+  const received = [];
+  const sockets = new Set();
+
+  const bulk = value => (value == null ? "$-1\r\n" : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+  const reply = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case "AUTH":
+        return args[args.length - 1] === password ? "+OK\r\n" : "-WRONGPASS invalid password\r\n";
+      case "SELECT":
+        return "+OK\r\n";
+      case "GET": {
+        const item = data.get(args[0]);
+        if (item && Date.now() > item.expiresAt) data.delete(args[0]);
+        return bulk(data.get(args[0])?.value);
+      }
+      case "SET": {
+        const px = args.findIndex(a => a.toUpperCase() === "PX");
+        data.set(args[0], { value: args[1], expiresAt: px === -1 ? Infinity : Date.now() + Number(args[px + 1]) });
+        return "+OK\r\n";
+      }
+      case "DEL":
+        return `:${data.delete(args[0]) ? 1 : 0}\r\n`;
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on("data", chunk => {
+      const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      for (const command of commands) {
+        received.push(command);
+        socket.write(reply(command));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        port: server.address().port,
+        data,
+        received,
+        close: () =>
+          new Promise(done => {
+            for (const socket of sockets) socket.destroy();
+            server.close(done);
+          })
+      })
+    );
+  });
+}
+
+/* ============================================================
+   STORE CONTRACT
+   Every backend: null for unknown keys, JSON round trip,
+   expiry after `lifetimeMs`, delete.
+============================================================ */
+
+const ENTRY = { value: { title: "Monsoon", tags: ["kerala", "rain"], count: 2 }, storedAt: 1, ttl: 1000, swr: 0 };
+
+async function storeContract(store) {
+  assert.equal(await store.get("missing"), null);
+
+  await store.set("search:a", ENTRY, 60 * 1000);
+  assert.deepEqual(await store.get("search:a"), ENTRY);
+
+  await store.set("search:a", { ...ENTRY, storedAt: 2 }, 60 * 1000);
+  assert.equal((await store.get("search:a")).storedAt, 2);
+
+  await store.set("search:short", ENTRY, 30);
+  await sleep(60);
+  assert.equal(await store.get("search:short"), null);
+
+  await store.delete("search:a");
+  assert.equal(await store.get("search:a"), null);
+  await store.delete("search:a");
+}
+
+test("MemoryStore follows the store contract", async () => {
+  await storeContract(new MemoryStore());
+});
+
+test("MemoryStore evicts least recently used entries by size", async () => {
+  const one = Buffer.byteLength(JSON.stringify(ENTRY));
+  const store = new MemoryStore({ maxBytes: one * 2 });
+
+  await store.set("a", ENTRY, 60 * 1000);
+  await store.set("b", ENTRY, 60 * 1000);
+  await store.get("a");
+  await store.set("c", ENTRY, 60 * 1000);
+
+  assert.deepEqual(await store.get("a"), ENTRY);
+  assert.equal(await store.get("b"), null);
+  assert.deepEqual(await store.get("c"), ENTRY);
+  assert.equal(store.bytes, one * 2);
+
+  await store.set("huge", { value: "x".repeat(one * 3) }, 60 * 1000);
+  assert.equal(await store.get("huge"), null);
+  assert.equal(store.bytes, one * 2);
+});
+
+test("FileStore follows the store contract", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "reader-cache-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const store = new FileStore({ dir });
+  await storeContract(store);
+
+  // Another instance on the same directory sees the same entries.
+  await store.set("search:b", ENTRY, 60 * 1000);
+  assert.deepEqual(await new FileStore({ dir }).get("search:b"), ENTRY);
+});
+
+test("FileStore skips oversized entries and prunes the oldest files", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "reader-cache-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const store = new FileStore({ dir, maxBytes: 1024 });
+  await store.set("huge", { value: "x".repeat(2048) }, 60 * 1000);
+  assert.equal(await store.get("huge"), null);
+
+  for (const key of ["a", "b", "c", "d", "e"]) {
+    await store.set(key, { value: "y".repeat(300) }, 60 * 1000);
+    await sleep(5);
+  }
+  await store.prune();
+
+  const files = (await fs.readdir(dir)).filter(n => n.endsWith(".json"));
+  assert.equal(files.length, 2);
+  assert.equal(await store.get("a"), null);
+  assert.ok(await store.get("e"));
+});
+
+test("FileStore reports a directory it can't create from get and set", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "reader-cache-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  // A path below a regular file can never become a directory.
+  const file = path.join(dir, "not-a-dir");
+  await fs.writeFile(file, "");
+  const store = new FileStore({ dir: path.join(file, "cache") });
+  await sleep(5);
+
+  await assert.rejects(store.get("search:a"), { code: "ENOTDIR" });
+  await assert.rejects(store.set("search:a", ENTRY, 60 * 1000), { code: "ENOTDIR" });
+
+  // The cache itself carries on uncached.
+  const logged = t.mock.method(console, "error", () => {});
+  const cache = new Cache(store);
+  assert.equal(await cache.get("search", "a"), null);
+  await cache.set("search", "a", { articles: [] });
+  assert.equal(logged.mock.callCount(), 2);
+});
+
+test("RedisStore follows the store contract against a RESP server", async t => {
+  const server = await respServer();
+  t.after(() => server.close());
+
+  const store = new RedisStore({ url: `redis://127.0.0.1:${server.port}` });
+  t.after(() => store.socket?.destroy());
+  await storeContract(store);
+
+  assert.ok(server.received.some(([name]) => name === "SET"));
+  assert.ok(server.received.every(([, key]) => key.startsWith("reader:")));
+});
+
+test("RedisStore authenticates and selects the database from the URL", async t => {
+  const server = await respServer({ password: "s3cret" });
+  t.after(() => server.close());
+
+  const store = new RedisStore({ url: `redis://:s3cret@127.0.0.1:${server.port}/2`, prefix: "test:" });
+  t.after(() => store.socket?.destroy());
+  await store.set("k", ENTRY, 60 * 1000);
+
+  assert.deepEqual(server.received.slice(0, 2), [["AUTH", "s3cret"], ["SELECT", "2"]]);
+  assert.deepEqual(JSON.parse(server.data.get("test:k").value), ENTRY);
+
+  const refused = new RedisStore({ url: `redis://:wrong@127.0.0.1:${server.port}` });
+  t.after(() => refused.socket?.destroy());
+  await assert.rejects(refused.get("k"), /WRONGPASS/);
+});
+
+test("Cache degrades to no cache when the backend is down", async t => {
+  const server = await respServer();
+  const port = server.port;
+  await server.close();
+
+  t.mock.method(console, "error", () => {});
+  const cache = new Cache(new RedisStore({ url: `redis://127.0.0.1:${port}` }));
+
+  let calls = 0;
+  const first = await cache.wrap("search", "q", async () => ++calls);
+  const second = await cache.wrap("search", "q", async () => ++calls);
+
+  assert.deepEqual([first.value, first.meta.state], [1, "miss"]);
+  assert.deepEqual([second.value, second.meta.state], [2, "miss"]);
+});
+
+/* ============================================================
+   READ-THROUGH POLICY
+============================================================ */
+
+const FAST = { ttl: 40, swr: 400 };
+
+test("wrap misses, then hits within the TTL", async () => {
+  const cache = new Cache(new MemoryStore());
+  let calls = 0;
+  const producer = async () => ({ n: ++calls });
+
+  const miss = await cache.wrap("search", "k", producer);
+  assert.equal(miss.meta.state, "miss");
+  assert.equal(isCached(miss.meta), false);
+
+  const hit = await cache.wrap("search", "k", producer);
+  assert.equal(hit.meta.state, "hit");
+  assert.equal(isCached(hit.meta), true);
+  assert.deepEqual(hit.value, { n: 1 });
+  assert.equal(calls, 1);
+  assert.deepEqual(
+    [hit.meta.ttl, hit.meta.swr],
+    [routePolicy("search").ttl / 1000, routePolicy("search").swr / 1000]
+  );
+});
+
+test("wrap serves stale copies while refreshing in the background", async () => {
+  const cache = new Cache(new MemoryStore());
+  let calls = 0;
+  const seen = [];
+  const producer = async previous => {
+    seen.push(previous);
+    await sleep(20);
+    return { n: ++calls };
+  };
+
+  await cache.wrap("search", "k", producer, FAST);
+  await sleep(60);
+
+  const stale = await cache.wrap("search", "k", producer, FAST);
+  assert.equal(stale.meta.state, "stale");
+  assert.equal(isCached(stale.meta), true);
+  assert.deepEqual(stale.value, { n: 1 });
+
+  // A second stale read joins the refresh already running.
+  await cache.wrap("search", "k", producer, FAST);
+  await sleep(40);
+
+  const fresh = await cache.wrap("search", "k", producer, FAST);
+  assert.equal(fresh.meta.state, "hit");
+  assert.deepEqual(fresh.value, { n: 2 });
+  assert.equal(calls, 2);
+  assert.deepEqual(seen, [null, { n: 1 }]);
+});
+
+test("wrap blocks on the producer once the stale window has passed", async () => {
+  const cache = new Cache(new MemoryStore());
+  let calls = 0;
+  const policy = { ttl: 20, swr: 20 };
+
+  await cache.wrap("search", "k", async () => ++calls, policy);
+  await sleep(60);
+
+  const expired = await cache.wrap("search", "k", async () => ++calls, policy);
+  assert.deepEqual([expired.value, expired.meta.state], [2, "miss"]);
+});
+
+test("concurrent misses share one producer call", async () => {
+  const cache = new Cache(new MemoryStore());
+  let calls = 0;
+  const producer = async () => {
+    await sleep(20);
+    return ++calls;
+  };
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.wrap("search", "k", producer)));
+  assert.deepEqual(results.map(r => r.value), [1, 1, 1]);
+  assert.equal(calls, 1);
+});
+
+test("refresh skips the cached copy but stores the new one", async () => {
+  const cache = new Cache(new MemoryStore());
+  await cache.wrap("search", "k", async () => "old");
+
+  let previous;
+  const refreshed = await cache.wrap(
+    "search",
+    "k",
+    async prev => {
+      previous = prev;
+      return "new";
+    },
+    { mode: "refresh" }
+  );
+
+  assert.equal(previous, "old");
+  assert.deepEqual([refreshed.value, refreshed.meta.state], ["new", "refresh"]);
+  assert.equal(await cache.get("search", "k"), "new");
+});
+
+test("nocache bypasses the cache entirely", async () => {
+  const cache = new Cache(new MemoryStore());
+  await cache.wrap("search", "k", async () => "cached");
+
+  let previous;
+  const bypass = await cache.wrap(
+    "search",
+    "k",
+    async prev => {
+      previous = prev;
+      return "live";
+    },
+    { mode: "nocache" }
+  );
+
+  assert.equal(previous, null);
+  assert.deepEqual([bypass.value, bypass.meta.state], ["live", "bypass"]);
+  assert.equal(await cache.get("search", "k"), "cached");
+});
+
+test("returning the previous value revalidates and renews the entry", async () => {
+  const cache = new Cache(new MemoryStore());
+  const page = { etag: '"v1"', text: "unchanged" };
+  // 304 Not Modified: the producer hands back what it was given.
+  const notModified = async previous => previous;
+
+  await cache.wrap("scrape", "k", async () => page, FAST);
+  await sleep(60);
+
+  const revalidated = await cache.wrap("scrape", "k", notModified, { ...FAST, mode: "refresh" });
+  assert.equal(revalidated.meta.state, "revalidated");
+  assert.deepEqual(revalidated.value, page);
+
+  const hit = await cache.wrap("scrape", "k", async () => assert.fail("entry was not renewed"), FAST);
+  assert.equal(hit.meta.state, "hit");
+
+  // The same happens behind a stale read.
+  await sleep(60);
+  assert.equal((await cache.wrap("scrape", "k", notModified, FAST)).meta.state, "stale");
+  await sleep(10);
+  assert.equal((await cache.wrap("scrape", "k", notModified, FAST)).meta.state, "hit");
+});
+
+test("routeFor stores a value under another route's policy", async () => {
+  const cache = new Cache(new MemoryStore());
+  const routeFor = value => (value.live ? "liveblog" : null);
+
+  const live = await cache.wrap("scrape", "live", async () => ({ live: true }), { routeFor });
+  assert.equal(live.meta.ttl, routePolicy("liveblog").ttl / 1000);
+
+  const article = await cache.wrap("scrape", "article", async () => ({ live: false }), { routeFor });
+  assert.equal(article.meta.ttl, routePolicy("scrape").ttl / 1000);
+});
+
+test("producer failures are not cached", async () => {
+  const cache = new Cache(new MemoryStore());
+  await assert.rejects(cache.wrap("search", "k", async () => {
+    throw new Error("upstream down");
+  }), /upstream down/);
+
+  const retry = await cache.wrap("search", "k", async () => "ok");
+  assert.deepEqual([retry.value, retry.meta.state], ["ok", "miss"]);
+});
+
+/* ============================================================
+   HTTP HELPERS
+============================================================ */
+
+test("cache mode comes from nocache / refresh", () => {
+  assert.equal(cacheModeFromQuery({}), "default");
+  assert.equal(cacheModeFromQuery({ refresh: "1" }), "refresh");
+  assert.equal(cacheModeFromQuery({ refresh: true, nocache: "true" }), "nocache");
+  assert.equal(cacheModeFromQuery({ nocache: "false" }), "default");
+});
+
+test("cache headers reflect the cache state", () => {
+  const hit = mockRes();
+  setCacheHeaders(hit, { state: "hit", age: 30, ttl: 300, swr: 600 });
+  assert.equal(hit.headers["x-cache"], "HIT");
+  assert.equal(hit.headers["cache-control"], "public, max-age=270, stale-while-revalidate=600");
+  assert.equal(hit.headers.age, "30");
+
+  const stale = mockRes();
+  setCacheHeaders(stale, { state: "stale", age: 400, ttl: 300, swr: 0 });
+  assert.equal(stale.headers["cache-control"], "public, max-age=0");
+
+  const bypass = mockRes();
+  setCacheHeaders(bypass, { state: "bypass", age: 0, ttl: 300, swr: 600 });
+  assert.equal(bypass.headers["x-cache"], "BYPASS");
+  assert.equal(bypass.headers["cache-control"], "no-store");
+
+  const keyed = mockRes();
+  setCacheHeaders(keyed, { state: "hit", age: 30, ttl: 300, swr: 600 }, "private");
+  assert.equal(keyed.headers["cache-control"], "private, max-age=270, stale-while-revalidate=600");
+});
@@ -0,0 +1,126 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { call, serve, html } from "./helpers.js";
+
+const { detectCharset, declaredCharset, headerCharset, decodeHtml, decodeIscii } = await import("../lib/charset.js");
+
+/* ============================================================
+   BYTES
+   Node can't encode to legacy charsets, so pages are built from
+   latin1 strings whose code units are the intended bytes.
+============================================================ */
+
+const bytes = latin1 => Buffer.from(latin1, "latin1");
+
+// "Café prices rise 5€ — “officials”" in Windows-1252.
+const CP1252_TEXT = "Caf\xe9 prices rise 5\x80 \x97 \x93officials\x94";
+const CP1252_DECODED = "Café prices rise 5€ — “officials”";
+
+// "नमस्ते भारत" in ISCII.
+const ISCII_TEXT = "\xc6\xcc\xd7\xe8\xc2\xe1 \xcb\xda\xcf\xc2";
+
+/* ============================================================
+   DETECTION ORDER
+============================================================ */
+
+test("a byte-order mark beats every declaration", () => {
+  const page = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), bytes('<meta charset="windows-1252">')]);
+  assert.deepEqual(detectCharset(page, "text/html; charset=shift_jis"), { charset: "utf-8", source: "bom" });
+});
+
+test("the Content-Type charset beats <meta charset>", () => {
+  const page = bytes(`<meta charset="utf-8"><p>${CP1252_TEXT}</p>`);
+
+  assert.deepEqual(detectCharset(page, "text/html; charset=windows-1252"), {
+    charset: "windows-1252",
+    source: "header"
+  });
+  assert.match(decodeHtml(page, "text/html; charset=windows-1252").text, new RegExp(CP1252_DECODED));
+});
+
+test("an unknown header label falls through to the page's declaration", () => {
+  const page = bytes(`<meta charset="windows-1252"><p>${CP1252_TEXT}</p>`);
+
+  assert.equal(headerCharset("text/html; charset=klingon"), null);
+  assert.deepEqual(detectCharset(page, "text/html; charset=klingon"), { charset: "windows-1252", source: "meta" });
+});
+
+test("http-equiv and XML declarations are read; a UTF-16 meta is not trusted", () => {
+  assert.equal(declaredCharset(bytes('<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS">')), "shift_jis");
+  assert.equal(declaredCharset(bytes('<?xml version="1.0" encoding="EUC-KR"?><html>')), "euc-kr");
+  assert.equal(declaredCharset(bytes('<meta charset="latin1">')), "windows-1252");
+  assert.equal(declaredCharset(bytes('<meta charset="utf-16">')), null);
+
+  // Only the first 4 KB are scanned.
+  assert.equal(declaredCharset(bytes(`${" ".repeat(5000)}<meta charset="euc-jp">`)), null);
+});
+
+test("undeclared pages are UTF-8 when valid, Windows-1252 otherwise", () => {
+  assert.deepEqual(detectCharset(Buffer.from("<p>नमस्ते</p>"), "text/html"), { charset: "utf-8", source: "default" });
+  assert.deepEqual(detectCharset(bytes(`<p>${CP1252_TEXT}</p>`)), { charset: "windows-1252", source: "sniffed" });
+});
+
+/* ============================================================
+   DECODING
+============================================================ */
+
+test("legacy CJK encodings decode through TextDecoder", () => {
+  // "日本語" in Shift_JIS and "한국" in EUC-KR.
+  const sjis = Buffer.from([0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea]);
+  const euckr = Buffer.from([0xc7, 0xd1, 0xb1, 0xb9]);
+
+  assert.equal(decodeHtml(sjis, "text/html; charset=Shift_JIS").text, "日本語");
+  assert.equal(decodeHtml(euckr, "text/html; charset=euc-kr").text, "한국");
+});
+
+test("ISCII Devanagari is mapped by hand", () => {
+  assert.equal(decodeIscii(bytes(ISCII_TEXT)), "नमस्ते भारत");
+
+  const decoded = decodeHtml(bytes(`<p>${ISCII_TEXT}</p>`), "text/html; charset=x-iscii-dev");
+  assert.deepEqual(decoded, { text: "<p>नमस्ते भारत</p>", charset: "x-iscii-de", source: "header" });
+});
+
+test("strings and empty bodies pass through", () => {
+  assert.deepEqual(decodeHtml("<p>ok</p>"), { text: "<p>ok</p>", charset: "utf-8", source: "string" });
+  assert.deepEqual(decodeHtml(null), { text: "", charset: "utf-8", source: "default" });
+});
+
+/* ============================================================
+   SCRAPE
+============================================================ */
+
+const paragraphs = Array.from(
+  { length: 6 },
+  (_, i) => `<p>Paragraph ${i}: ${CP1252_TEXT} and enough ordinary words to be read as real article text.</p>`
+).join("\n");
+
+const sendBytes = (body, contentType) => (req, res) => {
+  res.setHeader("Content-Type", contentType);
+  res.end(bytes(body));
+};
+
+const page = head => html(`<article><h1>Caf\xe9 prices</h1>${paragraphs}</article>`, head);
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/header": sendBytes(page('<meta charset="utf-8">'), "text/html; charset=windows-1252"),
+  "/meta": sendBytes(page('<meta charset="windows-1252">'), "text/html")
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: scrape } = await import("../api/scrape.js");
+
+test("scraped Windows-1252 pages come out as Unicode text", async () => {
+  for (const [path, source] of [["/header", "header"], ["/meta", "meta"]]) {
+    const res = await call(scrape, { url: `${upstream.base}${path}`, nocache: "1" });
+
+    assert.equal(res.statusCode, 200, path);
+    assert.deepEqual(res.body.encoding, { charset: "windows-1252", source });
+    assert.ok(res.body.fullText.includes(CP1252_DECODED), path);
+    assert.equal(res.body.metadata.title, "Test");
+  }
+});
@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { call } from "./helpers.js";
+
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+delete process.env.CACHE_BACKEND;
+delete process.env.API_KEYS_REQUIRED;
+
+const { clusterArticles, normalizeTitle, tokenize } = await import("../lib/cluster.js");
+const { default: search } = await import("../api/search.js");
+
+/* ============================================================
+   ARTICLES
+   Two stories told by several outlets, and one loner.
+============================================================ */
+
+const item = (title, source, publishedAt) => ({ title: `${title} - ${source}`, source, publishedAt });
+
+const ARTICLES = [
+  item("RBI keeps repo rate unchanged at 6.5%", "The Hindu", "Wed, 08 Oct 2026 05:00:00 GMT"),
+  item("Chandrayaan-4 launch date announced by ISRO", "NDTV", "Wed, 08 Oct 2026 06:00:00 GMT"),
+  item("LIVE Updates: RBI keeps repo rate unchanged, Governor cites inflation", "Mint", "Wed, 08 Oct 2026 05:30:00 GMT"),
+  item("RBI keeps repo rate unchanged for fifth time", "Business Standard", "Wed, 08 Oct 2026 04:45:00 GMT"),
+  item("ISRO announces Chandrayaan-4 launch date", "The Hindu", "Wed, 08 Oct 2026 07:00:00 GMT"),
+  item("Monsoon withdraws from Rajasthan", "Down To Earth", "Tue, 07 Oct 2026 10:00:00 GMT")
+];
+
+/* ============================================================
+   NORMALIZATION
+============================================================ */
+
+test("titles lose the outlet suffix, format tags and punctuation", () => {
+  assert.equal(normalizeTitle("LIVE Updates: RBI keeps rate unchanged - Mint", "Mint"), "rbi keeps rate unchanged");
+  assert.equal(normalizeTitle("Watch video: Floods in Assam | India Today"), "floods in assam");
+  assert.deepEqual(tokenize("The RBI said it will hold rates"), ["rbi", "hold", "rates"]);
+});
+
+/* ============================================================
+   GROUPING
+============================================================ */
+
+test("copies of a story are grouped and larger stories come first", () => {
+  const clusters = clusterArticles(ARTICLES);
+
+  assert.deepEqual(clusters.map(c => c.size), [3, 2, 1]);
+  assert.deepEqual(clusters[0].sources, ["The Hindu", "Mint", "Business Standard"]);
+  assert.equal(clusters[0].sourceCount, 3);
+  assert.deepEqual(clusters[1].articles.map(a => a.source), ["NDTV", "The Hindu"]);
+  assert.equal(clusters[2].headline, "Monsoon withdraws from Rajasthan");
+});
+
+test("a cluster spans its members' publication times", () => {
+  const [rbi] = clusterArticles(ARTICLES);
+
+  assert.equal(rbi.earliestPublishedAt, "2026-10-08T04:45:00.000Z");
+  assert.equal(rbi.latestPublishedAt, "2026-10-08T05:30:00.000Z");
+});
+
+test("the most central member headlines the cluster, without its outlet", () => {
+  const [rbi, isro] = clusterArticles(ARTICLES);
+
+  assert.equal(rbi.headline, "RBI keeps repo rate unchanged at 6.5%");
+  // Two members are equally central; the earlier one in the feed wins.
+  assert.equal(isro.headline, "Chandrayaan-4 launch date announced by ISRO");
+});
+
+test("article bodies can join stories whose titles differ", () => {
+  const body = "Heavy rain flooded low-lying areas of Chennai on Tuesday as the Adyar river overflowed. " +
+    "The Greater Chennai Corporation opened relief camps and schools in the city stayed shut. ";
+  const articles = [
+    { ...item("Chennai under water", "The Hindu"), fullText: body.repeat(3) },
+    { ...item("Adyar overflows after record downpour", "DT Next"), fullText: `${body.repeat(2)}More rain is forecast.` }
+  ];
+
+  assert.equal(clusterArticles(articles).length, 1);
+  assert.equal(clusterArticles(articles.map(({ fullText, ...a }) => a)).length, 2);
+});
+
+test("the threshold controls how alike members must be", () => {
+  assert.equal(clusterArticles(ARTICLES, { threshold: 0.99 }).length, ARTICLES.length);
+  assert.equal(clusterArticles(ARTICLES, { threshold: 0 }).length, 1);
+  assert.deepEqual(clusterArticles([]), []);
+});
+
+/* ============================================================
+   SEARCH
+============================================================ */
+
+const escape = s => s.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Google News</title>
+${ARTICLES.map(
+  (a, i) => `<item><title>${escape(a.title)}</title><link>https://news.google.com/rss/articles/CBMiOpaque${i}</link>` +
+    `<pubDate>${a.publishedAt}</pubDate></item>`
+).join("\n")}
+</channel></rss>`;
+
+axios.defaults.adapter = async config => {
+  if (new URL(config.url).pathname === "/robots.txt") {
+    const response = { data: "", status: 404, statusText: "Not Found", headers: {}, config, request: {} };
+    throw new axios.AxiosError("Not Found", "ERR_BAD_REQUEST", config, {}, response);
+  }
+  return { data: FEED, status: 200, statusText: "OK", headers: { "content-type": "application/rss+xml" }, config, request: {} };
+};
+
+test("search clusters its results only when asked", async () => {
+  const plain = await call(search, { q: "rbi", nocache: "1" });
+  assert.equal(plain.statusCode, 200);
+  assert.equal("clusters" in plain.body, false);
+
+  const grouped = await call(search, { q: "rbi", cluster: "true", nocache: "1" });
+  assert.equal(grouped.body.totalClusters, 3);
+  assert.deepEqual(grouped.body.clusters.map(c => c.size), [3, 2, 1]);
+  assert.equal(grouped.body.articles.length, ARTICLES.length);
+});
@@ -0,0 +1,168 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { call, mockRes, serve, html } from "./helpers.js";
+
+const { readValidators, conditionalHeaders, acceptNotModified, sendJson } = await import("../lib/conditional.js");
+
+/* ============================================================
+   VALIDATORS
+============================================================ */
+
+test("validators are read from a response and replayed as conditional headers", () => {
+  const validators = readValidators({ headers: { etag: 'W/"v1"', "last-modified": "Mon, 19 Oct 2026 05:00:00 GMT" } });
+
+  assert.deepEqual(validators, { etag: 'W/"v1"', lastModified: "Mon, 19 Oct 2026 05:00:00 GMT" });
+  assert.deepEqual(conditionalHeaders(validators), {
+    "If-None-Match": 'W/"v1"',
+    "If-Modified-Since": "Mon, 19 Oct 2026 05:00:00 GMT"
+  });
+
+  assert.equal(readValidators({ headers: {} }), null);
+  assert.deepEqual(conditionalHeaders(null), {});
+  assert.deepEqual([200, 304, 404, 500].map(acceptNotModified), [true, true, false, false]);
+});
+
+test("sendJson answers a matching If-None-Match with an empty 304", () => {
+  const send = ifNoneMatch => {
+    const res = mockRes();
+    sendJson({ headers: { "if-none-match": ifNoneMatch } }, res, { ok: true }, "abc");
+    return res;
+  };
+
+  for (const header of ['"abc"', 'W/"abc"', '"x", "abc"', "*"]) {
+    const res = send(header);
+    assert.equal(res.statusCode, 304, header);
+    assert.equal(res.body, undefined);
+    assert.equal(res.headers.etag, '"abc"');
+  }
+
+  const changed = send('"old"');
+  assert.equal(changed.statusCode, 200);
+  assert.deepEqual(changed.body, { ok: true });
+});
+
+/* ============================================================
+   PUBLISHER REVALIDATION
+   /etag and /dated answer conditional requests with 304; their
+   first, full answer is slowed down so its timing stands out.
+============================================================ */
+
+const paragraphs = Array.from(
+  { length: 8 },
+  (_, i) => `<p>Paragraph ${i} of the story carries enough ordinary words to be read as real article text by the extractor.</p>`
+).join("\n");
+const PAGE = html(`<article><h1>Story</h1>${paragraphs}</article>`);
+const LAST_MODIFIED = "Mon, 19 Oct 2026 05:00:00 GMT";
+
+const conditional = [];
+
+const revalidating = (validator, matches) => (req, res) => {
+  conditional.push({ url: req.url, ...req.headers });
+  if (matches(req.headers)) return res.writeHead(304).end();
+
+  setTimeout(() => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", ...validator });
+    res.end(PAGE);
+  }, 300);
+};
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/etag": revalidating({ ETag: '"page-v1"' }, h => h["if-none-match"] === '"page-v1"'),
+  "/dated": revalidating({ "Last-Modified": LAST_MODIFIED }, h => h["if-modified-since"] === LAST_MODIFIED)
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+delete process.env.CACHE_BACKEND;
+delete process.env.API_KEYS_REQUIRED;
+
+const { default: scrape } = await import("../api/scrape.js");
+const { default: headlines } = await import("../api/headlines.js");
+
+const sent = path => conditional.filter(h => h.url === path);
+
+for (const [path, header, value] of [
+  ["/etag", "if-none-match", '"page-v1"'],
+  ["/dated", "if-modified-since", LAST_MODIFIED]
+]) {
+  test(`a refresh replays ${header} and a 304 renews the stored article`, async () => {
+    const url = `${upstream.base}${path}`;
+
+    const first = await call(scrape, { url });
+    assert.equal(first.headers["x-cache"], "MISS");
+    assert.equal(sent(path)[0][header], undefined);
+
+    const refreshed = await call(scrape, { url, refresh: "1" });
+    assert.equal(refreshed.statusCode, 200);
+    assert.equal(refreshed.headers["x-cache"], "REVALIDATED");
+    assert.equal(sent(path)[1][header], value);
+    assert.equal(refreshed.body.fullText, first.body.fullText);
+
+    // The renewed entry serves hits without another request.
+    const hit = await call(scrape, { url });
+    assert.equal(hit.headers["x-cache"], "HIT");
+    assert.equal(sent(path).length, 2);
+  });
+}
+
+test("a revalidated article reports this request's processing time, under the same ETag", async () => {
+  const url = `${upstream.base}/etag?story=timing`;
+
+  const stored = await call(scrape, { url });
+  const revalidated = await call(scrape, { url, refresh: "1" });
+
+  assert.equal(stored.headers["x-cache"], "MISS");
+  assert.ok(stored.body.stats.processingTimeMs >= 300);
+  assert.equal(revalidated.headers["x-cache"], "REVALIDATED");
+  assert.ok(revalidated.body.stats.processingTimeMs < 300, String(revalidated.body.stats.processingTimeMs));
+
+  assert.equal(revalidated.headers.etag, stored.headers.etag);
+});
+
+test("nocache sends no validators", async () => {
+  const before = sent("/etag").length;
+  await call(scrape, { url: `${upstream.base}/etag`, nocache: "1" });
+
+  assert.equal(sent("/etag").length, before + 1);
+  assert.equal(sent("/etag").at(-1)["if-none-match"], undefined);
+});
+
+/* ============================================================
+   FEED REVALIDATION
+============================================================ */
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Google News</title>
+  <item><title>Monsoon reaches Kerala - The Hindu</title><link>https://news.google.com/rss/articles/CBMiOpaque1</link></item>
+</channel></rss>`;
+
+test("feeds are revalidated with their ETag and a 304 keeps the stored articles", async () => {
+  const seen = [];
+  const adapter = axios.defaults.adapter;
+  axios.defaults.adapter = async config => {
+    const url = new URL(config.url);
+    const response = { data: "", status: 404, statusText: "", headers: {}, config, request: {} };
+    if (url.pathname === "/robots.txt") throw new axios.AxiosError("Not Found", "ERR_BAD_REQUEST", config, {}, response);
+
+    seen.push(config.headers["If-None-Match"] ?? null);
+    return config.headers["If-None-Match"] === '"feed-v1"'
+      ? { ...response, status: 304 }
+      : { ...response, data: FEED, status: 200, headers: { "content-type": "application/rss+xml", etag: '"feed-v1"' } };
+  };
+
+  try {
+    const first = await call(headlines, { topic: "science" });
+    const refreshed = await call(headlines, { topic: "science", refresh: "1" });
+
+    assert.deepEqual(seen, [null, '"feed-v1"']);
+    assert.equal(refreshed.headers["x-cache"], "REVALIDATED");
+    assert.deepEqual(refreshed.body.articles, first.body.articles);
+    assert.equal("validators" in refreshed.body, false);
+  } finally {
+    axios.defaults.adapter = adapter;
+  }
+});
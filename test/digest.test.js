@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { call } from "./helpers.js";
+
+const { WINDOW_PATTERN, buildDigest } = await import("../lib/digest.js");
+const { default: digest } = await import("../api/digest.js");
+
+test("windows are a positive number of hours or days", () => {
+  for (const window of ["1h", "12h", "1d", "7d", "30d", "720h"]) {
+    assert.ok(WINDOW_PATTERN.test(window), window);
+  }
+  for (const window of ["0h", "0d", "00h", "012h", "h", "7", "7w", "-1d", "1.5d", " 7d"]) {
+    assert.ok(!WINDOW_PATTERN.test(window), window);
+  }
+});
+
+test("a zero-length window is an invalid parameter", async () => {
+  const res = await call(digest, { q: "monsoon", window: "0h" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, "INVALID_PARAM");
+  assert.deepEqual(res.body.error.details.errors.map(e => e.param), ["window"]);
+});
+
+test("sentences are measured in words even where spaces don't separate them", () => {
+  // Thai puts spaces between phrases only; each sentence is three
+  // space-separated chunks but fifteen or so words.
+  const fullText = [
+    "กรมอุตุนิยมวิทยาประกาศเตือนฝนตกหนัก ในพื้นที่ภาคใต้ของประเทศไทย ตลอดสัปดาห์นี้",
+    "ประชาชนที่อาศัยอยู่ริมแม่น้ำ ควรติดตามข่าวสารอย่างใกล้ชิด และเตรียมพร้อมอพยพ",
+    "เจ้าหน้าที่ท้องถิ่นได้จัดเตรียมศูนย์พักพิงชั่วคราว ไว้ในโรงเรียนหลายแห่ง แล้ว",
+    "ชาวประมงได้รับคำแนะนำ ให้งดออกเรือ จนกว่าคลื่นลมจะสงบลง"
+  ].join("\n\n");
+
+  const digest = buildDigest([{ fullText, source: "Thai PBS", title: "ฝนตกหนัก", link: "https://example.com/th" }], {
+    sentences: 3
+  });
+  assert.equal(digest.length, 3);
+  assert.ok(digest.every(item => item.source.outlet === "Thai PBS"));
+});
@@ -0,0 +1,156 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mockRes, call, serve } from "./helpers.js";
+
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+delete process.env.SCRAPE_ALLOW_PRIVATE;
+
+const { ERROR_CODES, apiError, invalidParam, toApiError } = await import("../lib/errors.js");
+const { sendError } = await import("../lib/envelope.js");
+const { policyError } = await import("../lib/url_policy.js");
+const { validate, field } = await import("../lib/schema.js");
+const { default: scrape } = await import("../api/scrape.js");
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function answer(err) {
+  const req = { headers: {} };
+  const res = mockRes();
+  sendError(req, res, err);
+  return res;
+}
+
+function assertEnvelope(res, code, status) {
+  assert.equal(res.statusCode, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.requestId, res.headers["x-request-id"]);
+  assert.equal(res.body.error.code, code);
+  assert.equal(typeof res.body.error.message, "string");
+  assert.deepEqual(
+    Object.keys(res.body).sort(),
+    ["error", "requestId", "success"]
+  );
+}
+
+const axiosError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers }
+  });
+
+const codeError = code => Object.assign(new Error(code), { code });
+
+/* ============================================================
+   TAXONOMY
+============================================================ */
+
+test("every taxonomy code answers with its status and the error envelope", () => {
+  for (const [code, spec] of Object.entries(ERROR_CODES)) {
+    const res = answer(apiError(code));
+    assertEnvelope(res, code, spec.status);
+    assert.equal(res.body.error.message, spec.message);
+    assert.equal("details" in res.body.error, false);
+  }
+});
+
+test("unknown codes become INTERNAL", () => {
+  const err = apiError("NO_SUCH_CODE", "boom");
+  assert.equal(err.code, "INTERNAL");
+  assertEnvelope(answer(err), "INTERNAL", 500);
+});
+
+test("details are passed through and Retry-After is set when known", () => {
+  const res = answer(invalidParam("limit", "limit must be at most 100", { max: 100 }));
+  assertEnvelope(res, "INVALID_PARAM", 400);
+  assert.deepEqual(res.body.error.details, { param: "limit", max: 100 });
+  assert.equal(res.headers["retry-after"], undefined);
+
+  const limited = answer(axiosError(429, { "retry-after": "7" }));
+  assertEnvelope(limited, "UPSTREAM_RATE_LIMITED", 503);
+  assert.equal(limited.headers["retry-after"], "7");
+});
+
+/* ============================================================
+   CLASSIFICATION
+============================================================ */
+
+const CASES = [
+  ["validation", () => validate({ limit: field.integer({ max: 10 }) }, { limit: "50" }), "INVALID_PARAM", 400],
+  ["policy refusal", () => policyError("PRIVATE_ADDRESS", "private"), "BLOCKED_URL", 403],
+  ["malformed URL", () => policyError("INVALID_URL", "bad url", 400), "BLOCKED_URL", 400],
+  ["robots.txt", () => policyError("ROBOTS_DISALLOWED", "robots"), "BLOCKED_URL", 403],
+  ["non-HTML", () => policyError("CONTENT_TYPE_BLOCKED", "pdf", 415), "NOT_HTML", 415],
+  ["too large", () => policyError("RESPONSE_TOO_LARGE", "big", 413), "RESPONSE_TOO_LARGE", 413],
+  ["open circuit", () => Object.assign(codeError("CIRCUIT_OPEN"), { retryAfter: 30 }), "UPSTREAM_UNAVAILABLE", 503],
+  ["timeout", () => codeError("ECONNABORTED"), "UPSTREAM_TIMEOUT", 504],
+  ["DNS failure", () => codeError("ENOTFOUND"), "UPSTREAM_NETWORK", 502],
+  ["upstream 402", () => axiosError(402), "PAYWALLED", 422],
+  ["upstream 404", () => axiosError(404), "UPSTREAM_4XX", 502],
+  ["upstream 500", () => axiosError(500), "UPSTREAM_5XX", 502],
+  ["anything else", () => new TypeError("x is undefined"), "INTERNAL", 500]
+];
+
+for (const [name, make, code, status] of CASES) {
+  test(`${name} maps to ${code} (${status})`, () => {
+    let err;
+    try {
+      const thrown = make();
+      if (thrown instanceof Error) err = thrown;
+    } catch (caught) {
+      err = caught;
+    }
+    assert.ok(err, "expected an error");
+
+    const apiErr = toApiError(err);
+    assert.equal(apiErr.code, code);
+    assert.equal(apiErr.status, status);
+    assert.equal(apiErr.api, true);
+    assertEnvelope(answer(err), code, status);
+  });
+}
+
+test("policy refusals keep their reason; upstream errors their status", () => {
+  assert.deepEqual(toApiError(policyError("PRIVATE_ADDRESS", "private")).details, { reason: "PRIVATE_ADDRESS" });
+  assert.deepEqual(toApiError(axiosError(404)).details, { upstreamStatus: 404 });
+  assert.equal(answer(Object.assign(codeError("CIRCUIT_OPEN"), { retryAfter: 30 })).headers["retry-after"], "30");
+});
+
+/* ============================================================
+   LOGGING
+   Client mistakes and refusals are expected traffic; only 5xx
+   answers reach the error log.
+============================================================ */
+
+test("scrape doesn't log refusals and invalid parameters", async t => {
+  const logged = t.mock.method(console, "error", () => {});
+
+  const blocked = await call(scrape, { url: "http://127.0.0.1/story" });
+  assert.equal(blocked.statusCode, 403);
+  assert.equal(blocked.body.error.code, "BLOCKED_URL");
+
+  const invalid = await call(scrape, { url: "https://example.com/story", sentences: "99" });
+  assert.equal(invalid.statusCode, 400);
+
+  assert.equal(logged.mock.callCount(), 0);
+});
+
+test("scrape logs upstream failures", async t => {
+  // Every path, robots.txt included, is a 404.
+  const upstream = await serve({});
+  t.after(() => upstream.close());
+
+  process.env.SCRAPE_ALLOW_PRIVATE = "true";
+  process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+  t.after(() => {
+    delete process.env.SCRAPE_ALLOW_PRIVATE;
+    delete process.env.SCRAPE_ALLOWED_PORTS;
+  });
+
+  const logged = t.mock.method(console, "error", () => {});
+
+  const gone = await call(scrape, { url: `${upstream.base}/gone`, nocache: "true" });
+  assert.equal(gone.statusCode, 502);
+  assert.equal(gone.body.error.code, "UPSTREAM_4XX");
+  assert.equal(logged.mock.callCount(), 1);
+});
@@ -0,0 +1,276 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { serve, html, sendHtml } from "./helpers.js";
+
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+
+const { politeGet, policyGet } = await import("../lib/fetcher.js");
+const { retry, withResilience, circuitFor } = await import("../lib/resilience.js");
+const { scrapeArticle } = await import("../lib/scraper.js");
+const { toApiError } = await import("../lib/errors.js");
+
+/* ============================================================
+   HELPERS
+   Each test gets its own server, hence its own host, circuit
+   breaker and robots.txt cache entry.
+============================================================ */
+
+const hits = (upstream, path) => upstream.requests.filter(url => url.split("?")[0] === path).length;
+
+async function publisher(t, routes = {}) {
+  const upstream = await serve({
+    "/robots.txt": (req, res) => res.writeHead(404).end(),
+    "/flaky": (req, res) => res.writeHead(500).end("try again"),
+    // Never answers; the client has to give up.
+    "/slow": () => {},
+    "/story": sendHtml(html(`<article><p>${"Monsoon rain. ".repeat(40)}</p></article>`)),
+    ...routes
+  });
+
+  process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+  t.after(() => {
+    upstream.server.closeAllConnections();
+    return upstream.close();
+  });
+  return upstream;
+}
+
+async function elapsed(promise) {
+  const started = Date.now();
+  const outcome = await promise.then(
+    value => ({ value }),
+    err => ({ err })
+  );
+  return { ...outcome, ms: Date.now() - started };
+}
+
+const transient = () => Object.assign(new Error("reset"), { code: "ECONNRESET" });
+
+/* ============================================================
+   RETRY
+============================================================ */
+
+test("retry keeps going while the deadline allows", async () => {
+  let calls = 0;
+  const { err } = await elapsed(
+    retry(
+      async () => {
+        calls++;
+        throw transient();
+      },
+      { baseMs: 5, deadline: Date.now() + 10 * 1000 }
+    )
+  );
+
+  assert.equal(err.code, "ECONNRESET");
+  assert.equal(calls, 3);
+});
+
+test("retry stops once too little of the deadline is left", async () => {
+  let calls = 0;
+  const { err } = await elapsed(
+    retry(
+      async () => {
+        calls++;
+        throw transient();
+      },
+      { baseMs: 5, deadline: Date.now() + 500 }
+    )
+  );
+
+  assert.equal(err.code, "ECONNRESET");
+  assert.equal(calls, 1);
+});
+
+/* ============================================================
+   CIRCUIT BREAKER
+============================================================ */
+
+const notFound = () => Object.assign(new Error("Request failed with status code 404"), { response: { status: 404 } });
+
+async function tripCircuit(host) {
+  for (let i = 0; i < 5; i++) {
+    await withResilience(host, async () => {
+      throw transient();
+    }, { retries: 0 }).catch(() => {});
+  }
+  assert.equal(circuitFor(host).state, "open");
+}
+
+test("errors that aren't transient neither trip nor close the circuit", async t => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const host = "breaker-permanent.example";
+
+  // A permanent error doesn't reset the count of transient ones.
+  for (let i = 0; i < 4; i++) {
+    await withResilience(host, async () => {
+      throw transient();
+    }, { retries: 0 }).catch(() => {});
+  }
+  await withResilience(host, async () => {
+    throw notFound();
+  }, { retries: 0 }).catch(() => {});
+  await withResilience(host, async () => {
+    throw transient();
+  }, { retries: 0 }).catch(() => {});
+  assert.equal(circuitFor(host).state, "open");
+
+  // Half-open: a probe that ends in a 404 or a missed deadline frees
+  // the probe slot but leaves the circuit half-open.
+  t.mock.timers.tick(31 * 1000);
+  const deadline = Object.assign(new Error("no time left"), { code: "DEADLINE_EXCEEDED" });
+  for (const err of [notFound(), deadline]) {
+    const { err: thrown } = await elapsed(withResilience(host, async () => {
+      throw err;
+    }, { retries: 0 }));
+    assert.equal(thrown, err);
+    assert.equal(circuitFor(host).state, "half-open");
+  }
+
+  // Only a real success closes it.
+  await withResilience(host, async () => ({ status: 200 }), { retries: 0 });
+  assert.equal(circuitFor(host).state, "closed");
+});
+
+test("a failed probe reopens the circuit", async t => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const host = "breaker-probe.example";
+
+  await tripCircuit(host);
+  t.mock.timers.tick(31 * 1000);
+
+  await withResilience(host, async () => {
+    throw transient();
+  }, { retries: 0 }).catch(() => {});
+  assert.equal(circuitFor(host).state, "open");
+
+  const { err } = await elapsed(withResilience(host, async () => ({ status: 200 })));
+  assert.equal(err.code, "CIRCUIT_OPEN");
+});
+
+/* ============================================================
+   POLITE GET
+============================================================ */
+
+test("transient failures are retried within the timeout", async t => {
+  const upstream = await publisher(t);
+
+  const { err } = await elapsed(politeGet(`${upstream.base}/flaky`, { timeout: 10 * 1000 }));
+  assert.equal(err.response.status, 500);
+  assert.equal(hits(upstream, "/flaky"), 3);
+});
+
+test("the timeout bounds all attempts together, not each one", async t => {
+  const upstream = await publisher(t);
+
+  const { err, ms } = await elapsed(politeGet(`${upstream.base}/slow`, { timeout: 1500 }));
+  assert.equal(toApiError(err).code, "UPSTREAM_TIMEOUT");
+  assert.equal(hits(upstream, "/slow"), 1);
+  assert.ok(ms < 2500, `took ${ms}ms`);
+});
+
+test("an explicit deadline caps a longer timeout", async t => {
+  const upstream = await publisher(t);
+
+  const { err, ms } = await elapsed(
+    policyGet(`${upstream.base}/slow`, { timeout: 10 * 1000 }, { deadline: Date.now() + 1200 })
+  );
+  assert.equal(toApiError(err).code, "UPSTREAM_TIMEOUT");
+  assert.ok(ms < 2200, `took ${ms}ms`);
+});
+
+test("a deadline that has already passed fails without a request", async t => {
+  const upstream = await publisher(t);
+
+  const { err } = await elapsed(politeGet(`${upstream.base}/story`, {}, { deadline: Date.now() - 1 }));
+  assert.equal(err.code, "DEADLINE_EXCEEDED");
+  assert.equal(hits(upstream, "/story"), 0);
+});
+
+/* ============================================================
+   ROBOTS.TXT
+============================================================ */
+
+test("a robots.txt that answers 5xx disallows the whole host for a while", async t => {
+  const upstream = await publisher(t, { "/robots.txt": (req, res) => res.writeHead(503).end() });
+
+  for (let i = 0; i < 2; i++) {
+    const { err } = await elapsed(politeGet(`${upstream.base}/story`));
+    assert.equal(err.code, "ROBOTS_DISALLOWED");
+  }
+  assert.equal(hits(upstream, "/robots.txt"), 1);
+  assert.equal(hits(upstream, "/story"), 0);
+});
+
+test("a robots.txt that can't be fetched allows everything", async t => {
+  const upstream = await publisher(t, { "/robots.txt": req => req.socket.destroy() });
+
+  const { value } = await elapsed(politeGet(`${upstream.base}/story`));
+  assert.equal(value.status, 200);
+  assert.equal(hits(upstream, "/story"), 1);
+});
+
+/* ============================================================
+   PACING
+============================================================ */
+
+test("requests to a host are spaced by its Crawl-delay", async t => {
+  const started = [];
+  const upstream = await publisher(t, {
+    "/robots.txt": (req, res) => res.writeHead(200, { "Content-Type": "text/plain" }).end("User-agent: *\nCrawl-delay: 1"),
+    "/paced": (req, res) => {
+      started.push(Date.now());
+      res.writeHead(200).end("ok");
+    }
+  });
+
+  await Promise.all([politeGet(`${upstream.base}/paced`), politeGet(`${upstream.base}/paced`)]);
+  assert.equal(started.length, 2);
+  assert.ok(started[1] - started[0] >= 950, `spaced ${started[1] - started[0]}ms`);
+});
+
+test("a 503 pauses the host for its Retry-After before the retry", async t => {
+  const upstream = await publisher(t, {
+    "/busy": (req, res) =>
+      hits(upstream, "/busy") === 1 ? res.writeHead(503, { "Retry-After": "1" }).end() : res.writeHead(200).end("ok")
+  });
+
+  const { value, ms } = await elapsed(politeGet(`${upstream.base}/busy`, { timeout: 10 * 1000 }));
+  assert.equal(value.status, 200);
+  assert.equal(hits(upstream, "/busy"), 2);
+  assert.ok(ms >= 950, `took ${ms}ms`);
+});
+
+test("a long Retry-After isn't waited out past the deadline", async t => {
+  const upstream = await publisher(t, {
+    "/busy": (req, res) => res.writeHead(429, { "Retry-After": "120" }).end()
+  });
+
+  const first = await elapsed(politeGet(`${upstream.base}/busy`, { timeout: 10 * 1000 }));
+  assert.equal(first.err.response.status, 429);
+  assert.equal(hits(upstream, "/busy"), 1);
+
+  const { err, ms } = await elapsed(politeGet(`${upstream.base}/story`, { timeout: 500 }));
+  assert.equal(err.code, "DEADLINE_EXCEEDED");
+  assert.equal(hits(upstream, "/story"), 0);
+  assert.ok(ms < 1500, `took ${ms}ms`);
+});
+
+/* ============================================================
+   SCRAPE
+============================================================ */
+
+test("a scrape gives up on a hanging page within its timeout", async t => {
+  const upstream = await publisher(t);
+
+  const { err, ms } = await elapsed(
+    scrapeArticle(`${upstream.base}/slow`, { timeout: 1500, cacheMode: "nocache" })
+  );
+  assert.equal(toApiError(err).code, "UPSTREAM_TIMEOUT");
+  assert.equal(hits(upstream, "/slow"), 1);
+  assert.ok(ms < 2500, `took ${ms}ms`);
+
+  const { value } = await elapsed(scrapeArticle(`${upstream.base}/story`, { timeout: 5000, cacheMode: "nocache" }));
+  assert.match(value.result.fullText, /Monsoon rain/);
+});
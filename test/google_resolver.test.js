@@ -0,0 +1,196 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { call, serve } from "./helpers.js";
+
+// Default outbound policy: private addresses and non-80/443 ports blocked.
+// Denying Google itself makes the online fallback fail fast, offline.
+delete process.env.SCRAPE_ALLOW_PRIVATE;
+delete process.env.SCRAPE_ALLOWED_PORTS;
+process.env.SCRAPE_DENIED_DOMAINS = "news.google.com";
+
+const { resolveArticleUrl, isGoogleNewsUrl, articleIdFromUrl, decodeArticleId } = await import(
+  "../lib/google_resolver.js"
+);
+const { default: scrape } = await import("../api/scrape.js");
+
+const upstream = await serve({ "*": (req, res) => res.end("internal") });
+after(() => upstream.close());
+
+test("only the news.google.com host counts as a Google News link", () => {
+  assert.equal(isGoogleNewsUrl("https://news.google.com/rss/articles/abc"), true);
+  assert.equal(isGoogleNewsUrl(`${upstream.base}/internal?news.google.com`), false);
+  assert.equal(isGoogleNewsUrl("https://news.google.com.evil.test/articles/abc"), false);
+  assert.equal(isGoogleNewsUrl("not a url"), false);
+});
+
+
+test("a URL that merely mentions news.google.com passes through unresolved", async () => {
+  const url = `${upstream.base}/internal?news.google.com`;
+  assert.deepEqual(await resolveArticleUrl(url), { url, strategy: "direct", cached: false });
+  assert.deepEqual(upstream.requests, []);
+});
+
+test("scrape refuses a loopback URL disguised as a Google link without contacting it", async () => {
+  const res = await call(scrape, { url: `${upstream.base}/internal?news.google.com`, nocache: "1" });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error.code, "BLOCKED_URL");
+  assert.deepEqual(upstream.requests, [], "neither /robots.txt nor the page may be requested");
+});
+
+/* ============================================================
+   ARTICLE IDS
+   Built the way Google encodes them: a protobuf message with a
+   varint field 1 (0x08), the publisher URL (or an opaque token) in
+   string field 4 (0x22) and, in older IDs, the AMP URL in string
+   field 26 (0xd2 0x01), all base64url without padding.
+============================================================ */
+
+const varint = n => {
+  const bytes = [];
+  while (n > 0x7f) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  return [...bytes, n];
+};
+
+const stringField = (key, value) => {
+  const bytes = Buffer.from(value, "utf8");
+  return [...key, ...varint(bytes.length), ...bytes];
+};
+
+const articleId = (kind, payload, amp) =>
+  Buffer.from([
+    0x08,
+    kind,
+    ...stringField([0x22], payload),
+    ...(amp ? stringField([0xd2, 0x01], amp) : [])
+  ]).toString("base64url");
+
+const PUBLISHER = "https://www.thehindu.com/news/national/monsoon-reaches-kerala/article67890.ece";
+const AMP = "https://www.thehindu.com/news/national/monsoon-reaches-kerala/article67890.ece/amp/";
+
+test("CBMi IDs carry the publisher URL", () => {
+  const id = articleId(0x13, PUBLISHER);
+  assert.match(id, /^CBMi/);
+  assert.equal(decodeArticleId(id), PUBLISHER);
+});
+
+test("CAIi IDs carry the publisher URL", () => {
+  const id = articleId(0x02, PUBLISHER);
+  assert.match(id, /^CAIi/);
+  assert.equal(decodeArticleId(id), PUBLISHER);
+});
+
+test("IDs with an AMP URL resolve to the canonical one", () => {
+  assert.equal(decodeArticleId(articleId(0x13, PUBLISHER, AMP)), PUBLISHER);
+  // Only the AMP URL present: better than nothing.
+  assert.equal(decodeArticleId(articleId(0x13, AMP)), AMP);
+});
+
+test("URLs longer than 127 bytes (two-byte lengths) decode", () => {
+  const long = `https://indianexpress.com/article/cities/delhi/${"a-very-long-slug-".repeat(10)}9012345/`;
+  assert.equal(decodeArticleId(articleId(0x13, long, `${long}lite/`)), long);
+});
+
+test("a truncated ID still yields the URL it contains", () => {
+  const id = articleId(0x13, PUBLISHER, AMP);
+  const truncated = Buffer.from(id, "base64url").subarray(0, 4 + PUBLISHER.length + 10).toString("base64url");
+  assert.equal(decodeArticleId(truncated), PUBLISHER);
+});
+
+test("opaque AU_yqL IDs decode to nothing", () => {
+  const id = articleId(0x13, "AU_yqLPq7nX1u8eJYyyvH0kq8G2QxB4Q0sGm6u3lHkW6yJ2O8oK8z0cUxVvWn");
+  assert.match(id, /^CBMi/);
+  assert.equal(decodeArticleId(id), null);
+  assert.equal(decodeArticleId(""), null);
+});
+
+test("article IDs are read from /rss/articles/, /articles/ and /read/ paths", () => {
+  const id = articleId(0x13, PUBLISHER);
+
+  assert.equal(articleIdFromUrl(`https://news.google.com/rss/articles/${id}?oc=5`), id);
+  assert.equal(articleIdFromUrl(`https://news.google.com/articles/${id}?hl=en-IN&gl=IN`), id);
+  assert.equal(articleIdFromUrl(`https://news.google.com/read/${id}`), id);
+  assert.equal(articleIdFromUrl(`https://news.google.com/stories/${id}`), null);
+  assert.equal(articleIdFromUrl(`https://example.com/rss/articles/${id}`), null);
+});
+
+test("decodable links resolve offline", async () => {
+  const url = `https://news.google.com/rss/articles/${articleId(0x13, PUBLISHER, AMP)}?oc=5`;
+  assert.deepEqual(await resolveArticleUrl(url), { url: PUBLISHER, strategy: "decoded", cached: false });
+  assert.deepEqual(await resolveArticleUrl(url), { url: PUBLISHER, strategy: "decoded", cached: true });
+});
+
+test("opaque links fall back to fetching the interstitial", async () => {
+  const url = `https://news.google.com/read/${articleId(0x13, "AU_yqLOpaqueTokenOnly0123456789abcdefghij")}`;
+  // The fetch is refused by SCRAPE_DENIED_DOMAINS, which proves it was tried.
+  assert.deepEqual(await resolveArticleUrl(url), { url, strategy: "unresolved", cached: false });
+});
+
+/* ============================================================
+   INTERSTITIAL
+   Google News answers with the page below; whatever it points at
+   must be an absolute publisher URL, never Google again.
+============================================================ */
+
+function interstitial(t, page) {
+  const denied = process.env.SCRAPE_DENIED_DOMAINS;
+  const adapter = axios.defaults.adapter;
+  delete process.env.SCRAPE_DENIED_DOMAINS;
+  axios.defaults.adapter = async config => {
+    const robots = new URL(config.url).pathname === "/robots.txt";
+    return {
+      data: robots ? "" : page,
+      status: robots ? 404 : 200,
+      statusText: "OK",
+      headers: { "content-type": "text/html" },
+      config,
+      request: {}
+    };
+  };
+  t.after(() => {
+    process.env.SCRAPE_DENIED_DOMAINS = denied;
+    axios.defaults.adapter = adapter;
+  });
+}
+
+let opaque = 0;
+const opaqueLink = () =>
+  `https://news.google.com/read/${articleId(0x13, `AU_yqLOpaqueInterstitialToken${opaque++}abcdefghijklmn`)}`;
+
+test("a relative meta refresh is resolved against the interstitial", async t => {
+  interstitial(t, `<meta http-equiv="refresh" content="0;URL='//www.thehindu.com/news/article67890.ece'">`);
+
+  assert.deepEqual(await resolveArticleUrl(opaqueLink()), {
+    url: "https://www.thehindu.com/news/article67890.ece",
+    strategy: "fetch-refresh",
+    cached: false
+  });
+});
+
+test("refreshes and links back to Google are skipped", async t => {
+  interstitial(
+    t,
+    `<meta http-equiv="refresh" content="0; url=/read/next?hl=en">
+    <a href="/topics/india">India</a>
+    <a href="https://accounts.google.co.in/signin">Sign in</a>
+    <a href="javascript:void(0)">Menu</a>
+    <a href="https://www.thehindu.com/business/google-antitrust-ruling/article1.ece">Read the story</a>`
+  );
+
+  assert.deepEqual(await resolveArticleUrl(opaqueLink()), {
+    url: "https://www.thehindu.com/business/google-antitrust-ruling/article1.ece",
+    strategy: "fetch-anchor",
+    cached: false
+  });
+});
+
+test("an interstitial that only links to Google stays unresolved", async t => {
+  interstitial(t, `<link rel="canonical" href="/read/same"><a href="https://www.google.com/">Google</a>`);
+
+  const url = opaqueLink();
+  assert.deepEqual(await resolveArticleUrl(url), { url, strategy: "unresolved", cached: false });
+});
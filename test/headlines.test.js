@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { call } from "./helpers.js";
+
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+delete process.env.CACHE_BACKEND;
+delete process.env.API_KEYS_REQUIRED;
+
+const { TOPICS, TOPIC_CATEGORIES } = await import("../lib/google_news.js");
+const { default: headlines } = await import("../api/headlines.js");
+const { default: search } = await import("../api/search.js");
+
+/* ============================================================
+   STUBBED GOOGLE NEWS
+   Every feed answers with the same two items; `fetched` records
+   the feed URLs in order.
+============================================================ */
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Google News</title>
+  <item>
+    <title>Monsoon reaches Kerala - The Hindu</title>
+    <link>https://news.google.com/rss/articles/CBMiOpaque1?oc=5</link>
+    <pubDate>Mon, 19 Oct 2026 05:30:00 GMT</pubDate>
+    <description>Monsoon reaches Kerala</description>
+    <source url="https://www.thehindu.com">The Hindu</source>
+  </item>
+  <item>
+    <title>Chip plant approved - Mint</title>
+    <link>https://news.google.com/rss/articles/CBMiOpaque2?oc=5</link>
+    <pubDate>Mon, 19 Oct 2026 04:00:00 GMT</pubDate>
+    <source url="https://www.livemint.com">Mint</source>
+  </item>
+</channel></rss>`;
+
+const fetched = [];
+
+axios.defaults.adapter = async config => {
+  const url = new URL(config.url);
+  if (url.pathname === "/robots.txt") {
+    const response = { data: "", status: 404, statusText: "Not Found", headers: {}, config, request: {} };
+    throw new axios.AxiosError("Not Found", "ERR_BAD_REQUEST", config, {}, response);
+  }
+
+  fetched.push(config.url);
+  return {
+    data: FEED,
+    status: 200,
+    statusText: "OK",
+    headers: { "content-type": "application/rss+xml", etag: '"feed-v1"' },
+    config,
+    request: {}
+  };
+};
+
+const feedPath = url => new URL(url).pathname;
+
+/* ============================================================
+   TOPICS AND LOCATIONS
+============================================================ */
+
+test("every topic reads its Google News section and carries its category", async () => {
+  for (const topic of TOPICS) {
+    const res = await call(headlines, { topic: topic.toLowerCase(), nocache: "1" });
+
+    assert.equal(res.statusCode, 200, topic);
+    assert.equal(feedPath(fetched.at(-1)), `/rss/headlines/section/topic/${topic}`);
+    assert.equal(res.body.feed, "topic");
+    assert.equal(res.body.topic, topic);
+    assert.equal(res.body.category, TOPIC_CATEGORIES[topic]);
+    assert.ok(res.body.articles.every(a => a.category === TOPIC_CATEGORIES[topic]), topic);
+  }
+
+  assert.equal(TOPIC_CATEGORIES.TECHNOLOGY, "technology");
+  assert.equal(TOPIC_CATEGORIES.NATION, "general");
+});
+
+test("location and top-story feeds are general news", async () => {
+  const geo = await call(headlines, { geo: "Navi Mumbai", country: "in", nocache: "1" });
+  assert.equal(geo.statusCode, 200);
+  assert.equal(feedPath(fetched.at(-1)), "/rss/headlines/section/geo/Navi%20Mumbai");
+  assert.match(fetched.at(-1), /[?&]gl=IN&ceid=IN:en$/);
+  assert.deepEqual([geo.body.feed, geo.body.geo, geo.body.category], ["geo", "Navi Mumbai", "general"]);
+
+  const top = await call(headlines, { lang: "hi", nocache: "1" });
+  assert.equal(feedPath(fetched.at(-1)), "/rss");
+  assert.match(fetched.at(-1), /hl=hi-IN/);
+  assert.deepEqual([top.body.feed, top.body.topic, top.body.category], ["top", null, "general"]);
+});
+
+test("topic and geo can't be combined, and unknown topics are refused", async () => {
+  const before = fetched.length;
+
+  const both = await call(headlines, { topic: "sports", geo: "Delhi" });
+  assert.equal(both.statusCode, 400);
+  assert.equal(both.body.error.details.param, "geo");
+
+  const unknown = await call(headlines, { topic: "weather" });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.error.details.errors[0].param, "topic");
+
+  assert.equal(fetched.length, before);
+});
+
+/* ============================================================
+   SHARED FEED READER
+   Headlines and search parse, normalize, cache and tag feeds the
+   same way.
+============================================================ */
+
+test("headlines and search normalize feed items the same way", async () => {
+  const top = await call(headlines, { nocache: "1" });
+  const found = await call(search, { q: "monsoon", nocache: "1" });
+
+  const strip = ({ category, ...article }) => article;
+  assert.deepEqual(top.body.articles.map(strip), found.body.articles);
+  const { source, ...article } = found.body.articles[0];
+  assert.deepEqual(article, {
+    title: "Monsoon reaches Kerala - The Hindu",
+    link: "https://news.google.com/rss/articles/CBMiOpaque1?oc=5",
+    publishedAt: "Mon, 19 Oct 2026 05:30:00 GMT",
+    description: "Monsoon reaches Kerala"
+  });
+  assert.equal(typeof source, "string");
+  assert.equal(top.body.total, 2);
+  assert.equal("validators" in top.body, false);
+});
+
+test("headline feeds are cached under their own key and honour limit", async () => {
+  const before = fetched.length;
+
+  const first = await call(headlines, { topic: "business", limit: "1" });
+  const second = await call(headlines, { topic: "business", limit: "1" });
+  const other = await call(headlines, { topic: "business", limit: "2" });
+
+  assert.equal(fetched.length - before, 2);
+  assert.equal(first.headers["x-cache"], "MISS");
+  assert.equal(second.headers["x-cache"], "HIT");
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.articles.length, 1);
+  assert.equal(other.body.articles.length, 2);
+  assert.ok(first.headers.etag);
+  assert.equal(second.headers.etag, first.headers.etag);
+});
@@ -0,0 +1,89 @@
+import http from "http";
+
+/* ============================================================
+   TEST HELPERS
+   A Vercel-style response double, a handler caller and a local
+   HTTP server standing in for publishers.
+============================================================ */
+
+export function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined, chunks: [], ended: false };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.getHeader = name => res.headers[name.toLowerCase()];
+  res.removeHeader = name => {
+    delete res.headers[name.toLowerCase()];
+  };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.send = body => {
+    res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.write = chunk => {
+    res.chunks.push(String(chunk));
+    return true;
+  };
+  res.end = chunk => {
+    if (chunk) res.chunks.push(String(chunk));
+    res.ended = true;
+    return res;
+  };
+  res.flushHeaders = () => {};
+  return res;
+}
+
+export async function call(handler, query = {}, req = {}) {
+  const res = mockRes();
+  await handler({ method: "GET", query, headers: {}, ...req }, res);
+  return res;
+}
+
+/**
+ * Serves `routes` (path → (req, res) handler, "*" for anything else)
+ * on a loopback port. Every request URL is recorded in `requests`.
+ */
+export function serve(routes) {
+  const requests = [];
+
+  return new Promise(resolve => {
+    const server = http
+      .createServer((req, res) => {
+        requests.push(req.url);
+        const route = routes[req.url.split("?")[0]] || routes["*"];
+        if (!route) {
+          res.statusCode = 404;
+          return res.end("not found");
+        }
+        route(req, res);
+      })
+      .listen(0, "127.0.0.1", () => {
+        const { port } = server.address();
+        resolve({
+          server,
+          port,
+          base: `http://127.0.0.1:${port}`,
+          requests,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+  });
+}
+
+export const html = (body, head = "") =>
+  `<!doctype html><html lang="en"><head><title>Test</title>${head}</head><body>${body}</body></html>`;
+
+export const sendHtml = page => (req, res) => {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.end(page);
+};
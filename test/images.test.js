@@ -0,0 +1,170 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { call, serve, html, sendHtml } from "./helpers.js";
+
+const { extractImages, logoSources, presentImages } = await import("../lib/images.js");
+
+/* ============================================================
+   PAGES
+============================================================ */
+
+const BASE = "https://news.example/india/story.html";
+
+const paragraphs = Array.from(
+  { length: 6 },
+  (_, i) => `<p>Paragraph ${i} of the story carries enough ordinary words to be read as real article text by the extractor.</p>`
+).join("\n");
+
+const PAGE = html(`
+  <header><a href="/"><img src="/static/site.png" width="180" height="60"></a></header>
+  <article>
+    <h1>Floods in Assam</h1>
+    <figure>
+      <img src="/img/flood-320.jpg" width="640" height="360" alt="Flooded village"
+        srcset="/img/flood-320.jpg 320w, /img/flood-1280.jpg 1280w, /img/flood-640.jpg 640w">
+      <figcaption>Villagers wade through water in Morigaon. <span class="credit">PTI</span></figcaption>
+    </figure>
+    ${paragraphs}
+    <figure>
+      <img data-src="//cdn.news.example/img/relief.jpg" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" width="800" height="450">
+      <figcaption>Relief camp in Nagaon (Photo: Special Arrangement)</figcaption>
+    </figure>
+    <img src="https://pixel.tracker.example/1x1.gif" width="1" height="1">
+    <img src="/img/icon.png" width="32" height="32">
+    <div class="author-box"><img src="/img/reporter.jpg" width="200" height="200"></div>
+    <div class="ad-slot"><img src="/creative/banner.jpg" width="728" height="300"></div>
+  </article>
+  <section class="more-stories"><img src="../more/related.jpg" width="400" height="225" alt="Related"></section>
+`);
+
+const extract = (page = PAGE, options = {}) => {
+  const $ = cheerio.load(page);
+  return extractImages($, {
+    baseUrl: BASE,
+    nodes: $("article").toArray(),
+    logos: logoSources($, BASE),
+    ...options
+  });
+};
+
+/* ============================================================
+   COLLECTION
+============================================================ */
+
+test("figures give the largest rendition with caption and credit", () => {
+  const [flood] = extract();
+
+  assert.equal(flood.src, "https://news.example/img/flood-1280.jpg");
+  assert.deepEqual([flood.width, flood.height], [1280, 720]);
+  assert.equal(flood.alt, "Flooded village");
+  assert.equal(flood.caption, "Villagers wade through water in Morigaon.");
+  assert.equal(flood.credit, "PTI");
+  assert.equal(flood.inArticle, true);
+});
+
+test("a credit written into the caption is split off", () => {
+  const relief = extract().find(img => img.src.endsWith("relief.jpg"));
+
+  assert.equal(relief.caption, "Relief camp in Nagaon");
+  assert.equal(relief.credit, "Special Arrangement");
+});
+
+test("pixels, icons, avatars, ads and the site logo are dropped", () => {
+  const sources = extract().map(img => img.src);
+
+  assert.deepEqual(sources.sort(), [
+    "https://cdn.news.example/img/relief.jpg",
+    "https://news.example/img/flood-1280.jpg",
+    "https://news.example/more/related.jpg"
+  ]);
+});
+
+test("the declared image leads even when the body doesn't show it", () => {
+  const lead = { url: "https://news.example/og/floods.jpg", width: 1200, height: 630 };
+  const images = extract(PAGE, { lead });
+
+  assert.equal(images[0].src, lead.url);
+  assert.equal(images[0].inArticle, true);
+  assert.ok(images[0].score > images[1].score);
+});
+
+/* ============================================================
+   URLS
+============================================================ */
+
+test("relative and protocol-relative sources are made absolute; others are refused", () => {
+  const page = html(`<article>
+    <img src="photo.jpg" width="400" height="300">
+    <img src="//static.news.example/a.jpg" width="400" height="300">
+    <img src="/b.jpg?w=400" width="400" height="300">
+    <img src="javascript:alert(1)" width="400" height="300">
+    <img src="ftp://news.example/c.jpg" width="400" height="300">
+    <img src="data:image/png;base64,iVBORw0KGgo=" width="400" height="300">
+  </article>`);
+
+  assert.deepEqual(extract(page).map(img => img.src).sort(), [
+    "https://news.example/b.jpg?w=400",
+    "https://news.example/india/photo.jpg",
+    "https://static.news.example/a.jpg"
+  ]);
+});
+
+/* ============================================================
+   SCOPES
+============================================================ */
+
+test("article scope keeps body images; all adds the rest", () => {
+  const images = extract();
+
+  const article = presentImages(images, "article");
+  assert.deepEqual(article.images.map(img => img.src), [
+    "https://news.example/img/flood-1280.jpg",
+    "https://cdn.news.example/img/relief.jpg"
+  ]);
+  assert.equal(article.leadImage.src, "https://news.example/img/flood-1280.jpg");
+  assert.equal("score" in article.leadImage, false);
+
+  const all = presentImages(images, "all");
+  assert.equal(all.images.length, 3);
+  assert.equal(all.images.at(-1).inArticle, false);
+
+  assert.deepEqual(presentImages([], "all"), { leadImage: null, images: [] });
+});
+
+/* ============================================================
+   SCRAPE
+============================================================ */
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/india/story.html": sendHtml(PAGE)
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: scrape } = await import("../api/scrape.js");
+
+test("scrape answers both scopes from one fetch", async () => {
+  const url = `${upstream.base}/india/story.html`;
+  const hits = () => upstream.requests.filter(path => path === "/india/story.html").length;
+
+  const article = await call(scrape, { url });
+  const all = await call(scrape, { url, images: "all" });
+
+  assert.equal(article.statusCode, 200);
+  assert.equal(article.body.leadImage.src, `${upstream.base}/img/flood-1280.jpg`);
+  assert.ok(article.body.images.every(img => img.inArticle));
+  assert.equal(article.body.stats.images, article.body.images.length);
+
+  assert.equal(all.headers["x-cache"], "HIT");
+  assert.ok(all.body.images.some(img => img.src === `${upstream.base}/more/related.jpg` && !img.inArticle));
+  assert.equal(hits(), 1);
+
+  const invalid = await call(scrape, { url, images: "none" });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error.details.errors[0].param, "images");
+});
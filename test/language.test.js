@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+const { detectLanguage, normalizeLanguage, resolveLanguage, countWords, countCharacters } = await import(
+  "../lib/language.js"
+);
+
+/* ============================================================
+   SAMPLES
+============================================================ */
+
+const HINDI = "प्रधानमंत्री ने आज दिल्ली में नई योजना की घोषणा की। यह योजना किसानों के लिए है और इससे उनकी आय बढ़ेगी।";
+const MARATHI = "मुख्यमंत्र्यांनी आज मुंबईत नवीन योजना जाहीर केली. ही योजना शेतकऱ्यांसाठी आहे आणि त्यामुळे त्यांचे उत्पन्न वाढणार आहे.";
+const URDU = "وزیر اعظم نے آج اسلام آباد میں نئی اسکیم کا اعلان کیا۔ یہ اسکیم کسانوں کے لیے ہے۔";
+const JAPANESE = "東京で新しい政策が発表されました。政府は来年から実施する予定です。";
+const CHINESE = "国务院今天在北京召开常务会议，部署进一步稳定经济的政策措施。";
+const ENGLISH = "The minister said on Monday that the new scheme for farmers was announced in Delhi and that it will start in April.";
+const FRENCH = "Le ministre a annoncé que la nouvelle loi est entrée en vigueur et qu'elle ne sera pas modifiée pour les entreprises dans les régions.";
+const UKRAINIAN = "Уряд ухвалив рішення і це важливо для країни, що він зробив та як він діє в цей час для людей і громад.";
+
+/* ============================================================
+   DETECTION
+============================================================ */
+
+test("the dominant script settles most languages", () => {
+  assert.deepEqual(
+    [HINDI, URDU, JAPANESE, CHINESE].map(text => detectLanguage(text).language),
+    ["hi", "ur", "ja", "zh"]
+  );
+  assert.equal(detectLanguage(JAPANESE).script, "Kana");
+  assert.ok(detectLanguage(HINDI).confidence > 0.9);
+});
+
+test("stopwords tell languages that share a script apart", () => {
+  assert.equal(detectLanguage(MARATHI).language, "mr");
+  assert.equal(detectLanguage(ENGLISH).language, "en");
+  assert.equal(detectLanguage(FRENCH).language, "fr");
+  assert.equal(detectLanguage(UKRAINIAN).language, "uk");
+});
+
+test("short or inconclusive text has no language", () => {
+  assert.deepEqual(detectLanguage("IPL 2026"), { language: null, script: null, confidence: 0 });
+
+  const names = detectLanguage("Virat Kohli Rohit Sharma Jasprit Bumrah Ravindra Jadeja Shubman Gill");
+  assert.equal(names.language, null);
+  assert.equal(names.script, "Latin");
+  assert.equal(names.confidence, 0);
+});
+
+/* ============================================================
+   DECLARED VS DETECTED
+============================================================ */
+
+test("declared tags are reduced to a known primary subtag", () => {
+  assert.equal(normalizeLanguage("en-IN"), "en");
+  assert.equal(normalizeLanguage("hi_IN"), "hi");
+  assert.equal(normalizeLanguage(" MR "), "mr");
+  assert.equal(normalizeLanguage("english"), null);
+  assert.equal(normalizeLanguage(""), null);
+});
+
+test("the declaration wins unless the text is in another script", () => {
+  assert.deepEqual(resolveLanguage("mr-IN", HINDI), {
+    code: "mr",
+    source: "declared",
+    declared: "mr-IN",
+    script: "Devanagari"
+  });
+
+  // A Hindi site on an English template.
+  const hindi = resolveLanguage("en", HINDI);
+  assert.equal(hindi.code, "hi");
+  assert.equal(hindi.source, "detected");
+  assert.equal(hindi.declared, "en");
+
+  // Unlisted languages are trusted whatever the text says.
+  assert.equal(resolveLanguage("sw", ENGLISH).code, "sw");
+});
+
+test("without a usable declaration the text decides", () => {
+  assert.equal(resolveLanguage("", FRENCH).code, "fr");
+  assert.equal(resolveLanguage("xx-YY", URDU).source, "detected");
+  assert.deepEqual(resolveLanguage(null, "IPL 2026"), { code: null, source: null, declared: null, script: null });
+});
+
+/* ============================================================
+   TEXT STATS
+============================================================ */
+
+test("words and characters are counted the way readers count them", () => {
+  assert.equal(countWords("Rain lashes Mumbai, again."), 4);
+  assert.equal(countWords(CHINESE) > 10, true);
+  assert.equal(countWords(""), 0);
+
+  // क्षे is one grapheme of four code points.
+  assert.equal(countCharacters("क्षे"), 1);
+  assert.equal(countCharacters("नमस्ते"), 3);
+});
@@ -0,0 +1,172 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { call, serve, html, sendHtml } from "./helpers.js";
+
+const { extractLiveBlog, mergeUpdates, updatesSince } = await import("../lib/liveblog.js");
+
+/* ============================================================
+   PAGES
+============================================================ */
+
+const BASE = "https://news.example/live/monsoon";
+
+const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+// Publishers list updates in any order; times carry offsets.
+const LIVE_LD = jsonLd({
+  "@context": "https://schema.org",
+  "@type": "LiveBlogPosting",
+  headline: "Monsoon live: rain lashes Kerala",
+  coverageStartTime: "2026-10-19T06:00:00+05:30",
+  coverageEndTime: "2026-10-19T23:00:00+05:30",
+  liveBlogUpdate: [
+    {
+      "@type": "BlogPosting",
+      "@id": "#update-2",
+      headline: "Schools shut in three districts",
+      articleBody: "Collectors in Idukki, Wayanad and Kozhikode declared a holiday.",
+      datePublished: "2026-10-19T09:15:00+0530",
+      author: { "@type": "Person", name: "Staff Reporter" }
+    },
+    {
+      "@type": "BlogPosting",
+      "@id": "#update-1",
+      headline: "Orange alert issued",
+      articleBody: "The weather office issued an orange alert for eight districts.",
+      datePublished: "2026-10-19T07:30:00+05:30"
+    },
+    {
+      "@type": "BlogPosting",
+      "@id": "#update-3",
+      headline: "Dam shutters opened",
+      articleBody: "ADVERTISEMENT\n\nShutters of the Idukki dam were raised by 40 cm.",
+      datePublished: "2026-10-19T11:45:00+05:30",
+      url: "/live/monsoon#update-3"
+    }
+  ]
+});
+
+const card = (id, time, headline, body) => `
+  <div class="liveblog-entry" id="${id}">
+    <time datetime="${time}">${time}</time>
+    <h3>${headline}</h3>
+    <p>${body}</p>
+  </div>`;
+
+const MARKUP_BLOG = html(
+  `<h1>Election results live</h1>
+  ${card("post-1", "2026-10-19T04:00:00Z", "Counting begins", "Postal ballots are counted first.")}
+  ${card("post-3", "2026-10-19T08:00:00Z", "Leads settle", "The ruling front leads in 70 seats.")}
+  ${card("post-2", "2026-10-19T06:00:00Z", "Early trends", "The opposition leads in the north.")}`
+);
+
+const extract = (page, url = BASE) => extractLiveBlog(cheerio.load(page), url);
+
+/* ============================================================
+   DETECTION
+============================================================ */
+
+test("a LiveBlogPosting is read from its JSON-LD updates", () => {
+  const blog = extract(html("<h1>Monsoon live</h1>", LIVE_LD));
+
+  assert.equal(blog.coverageStartTime, "2026-10-19T00:30:00.000Z");
+  assert.equal(blog.coverageEndTime, "2026-10-19T17:30:00.000Z");
+  assert.equal(blog.updates.length, 3);
+
+  const [latest, , earliest] = blog.updates;
+  assert.equal(latest.url, "https://news.example/live/monsoon#update-3");
+  assert.equal(latest.body, "Shutters of the Idukki dam were raised by 40 cm.");
+  assert.equal(earliest.author, null);
+  assert.equal(blog.updates[1].author, "Staff Reporter");
+  assert.equal(blog.updates[1].publishedAt, "2026-10-19T03:45:00.000Z");
+});
+
+test("timestamped update cards make a live blog without JSON-LD", () => {
+  const blog = extract(MARKUP_BLOG);
+
+  assert.equal(blog.coverageStartTime, null);
+  assert.deepEqual(
+    blog.updates.map(u => [u.id, u.headline, u.body]),
+    [
+      ["post-3", "Leads settle", "The ruling front leads in 70 seats."],
+      ["post-2", "Early trends", "The opposition leads in the north."],
+      ["post-1", "Counting begins", "Postal ballots are counted first."]
+    ]
+  );
+  assert.equal(blog.updates[0].url, `${BASE}#post-3`);
+});
+
+test("ordinary articles are not live blogs", () => {
+  const article = jsonLd({ "@type": "NewsArticle", headline: "Rain", datePublished: "2026-10-19T05:00:00Z" });
+  assert.equal(extract(html("<article><p>Rain fell.</p></article>", article)), null);
+
+  // One dated card is an article with a timestamp.
+  assert.equal(extract(html(card("only", "2026-10-19T04:00:00Z", "Rain", "Rain fell."))), null);
+
+  // Cards without a time don't count.
+  assert.equal(extract(html(`${card("a", "", "One", "x")}${card("b", "", "Two", "y")}`)), null);
+});
+
+/* ============================================================
+   ORDERING AND POLLING
+============================================================ */
+
+test("updates from several pages are merged newest first without duplicates", () => {
+  const first = extract(MARKUP_BLOG).updates;
+  const second = [
+    { ...first[0] },
+    { id: "post-4", publishedAt: "2026-10-19T09:00:00.000Z", headline: "Results declared", body: "Final tally." },
+    { id: null, publishedAt: "2026-10-19T05:00:00.000Z", headline: "Turnout", body: "Turnout was 71%." },
+    { id: null, publishedAt: "2026-10-19T05:00:00.000Z", headline: "Turnout", body: "Turnout was 71%." }
+  ];
+
+  assert.deepEqual(
+    mergeUpdates([first, second]).map(u => u.headline),
+    ["Results declared", "Leads settle", "Early trends", "Turnout", "Counting begins"]
+  );
+});
+
+test("since keeps only updates published strictly after it", () => {
+  const { updates } = extract(MARKUP_BLOG);
+
+  assert.deepEqual(updatesSince(updates, "2026-10-19T06:00:00.000Z").map(u => u.id), ["post-3"]);
+  assert.deepEqual(updatesSince(updates, "2026-10-19T03:00:00.000Z").map(u => u.id), ["post-3", "post-2", "post-1"]);
+  assert.deepEqual(updatesSince(updates, "2026-10-19T08:00:00.000Z"), []);
+});
+
+/* ============================================================
+   SCRAPE
+============================================================ */
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/live": sendHtml(MARKUP_BLOG)
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: scrape } = await import("../api/scrape.js");
+
+test("scrape returns live updates and filters them with since", async () => {
+  const url = `${upstream.base}/live`;
+
+  const all = await call(scrape, { url, nocache: "1" });
+  assert.equal(all.statusCode, 200);
+  assert.equal(all.body.liveBlog.total, 3);
+  assert.equal(all.body.liveBlog.latestAt, "2026-10-19T08:00:00.000Z");
+  assert.deepEqual(all.body.liveUpdates.map(u => u.id), ["post-3", "post-2", "post-1"]);
+
+  // Unix seconds for 2026-10-19T05:00:00Z.
+  const since = String(Date.parse("2026-10-19T05:00:00Z") / 1000);
+  const recent = await call(scrape, { url, since, nocache: "1" });
+  assert.deepEqual(recent.body.liveUpdates.map(u => u.id), ["post-3", "post-2"]);
+  assert.equal(recent.body.liveBlog.total, 3);
+
+  const invalid = await call(scrape, { url, since: "yesterday-ish" });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error.details.errors[0].param, "since");
+});
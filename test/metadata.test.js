@@ -0,0 +1,179 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { html } from "./helpers.js";
+
+const { extractMetadata, normalizeDate } = await import("../lib/metadata.js");
+
+const BASE = "https://news.example/india/budget-2026.html";
+
+const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+const metadataOf = (body, head = "") => extractMetadata(cheerio.load(html(body, head)), BASE);
+
+/* ============================================================
+   DATES
+============================================================ */
+
+test("normalizeDate reads ISO strings with any offset style", () => {
+  assert.equal(normalizeDate("2026-10-19T09:15:00+05:30"), "2026-10-19T03:45:00.000Z");
+  assert.equal(normalizeDate("2026-10-19T09:15:00+0530"), "2026-10-19T03:45:00.000Z");
+  assert.equal(normalizeDate(" 2026-10-19T03:45:00Z "), "2026-10-19T03:45:00.000Z");
+  assert.equal(normalizeDate("Mon, 19 Oct 2026 03:45:00 GMT"), "2026-10-19T03:45:00.000Z");
+});
+
+test("normalizeDate takes Unix seconds and milliseconds, as numbers or strings", () => {
+  const iso = "2026-10-19T03:45:00.000Z";
+  const ms = Date.parse(iso);
+
+  assert.equal(normalizeDate(ms / 1000), iso);
+  assert.equal(normalizeDate(ms), iso);
+  assert.equal(normalizeDate(String(ms / 1000)), iso);
+  assert.equal(normalizeDate(String(ms)), iso);
+});
+
+test("normalizeDate turns empty or unparseable values into null", () => {
+  for (const value of [null, undefined, "", "yesterday", "2026-13-45", "12345"]) {
+    assert.equal(normalizeDate(value), null, String(value));
+  }
+});
+
+/* ============================================================
+   JSON-LD
+============================================================ */
+
+const ARTICLE_LD = {
+  "@context": "https://schema.org",
+  "@graph": [
+    { "@type": "WebSite", "@id": "https://news.example/#site", name: "News Example" },
+    {
+      "@type": "Organization",
+      "@id": "https://news.example/#org",
+      name: "News Example Media",
+      logo: { "@type": "ImageObject", url: "/static/logo.png" }
+    },
+    { "@type": "Person", "@id": "#author-1", name: "Priya  Sharma", url: "/authors/priya" },
+    {
+      "@type": ["NewsArticle", "AnalysisNewsArticle"],
+      headline: "Budget 2026: what changes for taxpayers",
+      description: "The new slabs explained.",
+      author: [{ "@id": "#author-1" }, "Staff Reporter"],
+      publisher: { "@id": "https://news.example/#org" },
+      datePublished: "2026-02-01T11:00:00+0530",
+      dateModified: 1769929200,
+      articleSection: ["Economy", "India"],
+      keywords: "budget, tax, budget",
+      inLanguage: "en-IN",
+      mainEntityOfPage: { "@type": "WebPage", "@id": "https://news.example/india/budget-2026" },
+      isAccessibleForFree: "False",
+      image: [{ "@type": "ImageObject", url: "/img/budget.jpg", width: { value: 1200 }, height: "675" }]
+    }
+  ]
+};
+
+test("the article node is found in a @graph and its references resolved", () => {
+  const meta = metadataOf("<h1>Ignored</h1>", jsonLd(ARTICLE_LD));
+
+  assert.equal(meta.type, "NewsArticle");
+  assert.equal(meta.headline, "Budget 2026: what changes for taxpayers");
+  assert.deepEqual(meta.authors, [
+    { name: "Priya Sharma", url: "https://news.example/authors/priya" },
+    { name: "Staff Reporter", url: null }
+  ]);
+  assert.equal(meta.author, "Priya Sharma, Staff Reporter");
+  assert.equal(meta.publisherName, "News Example Media");
+  assert.equal(meta.publisherLogo, "https://news.example/static/logo.png");
+  assert.equal(meta.canonicalUrl, "https://news.example/india/budget-2026");
+});
+
+test("JSON-LD values are normalized", () => {
+  const meta = metadataOf("", jsonLd(ARTICLE_LD));
+
+  assert.equal(meta.datePublished, "2026-02-01T05:30:00.000Z");
+  assert.equal(meta.publishDate, meta.datePublished);
+  assert.equal(meta.dateModified, "2026-02-01T07:00:00.000Z");
+  assert.equal(meta.section, "Economy");
+  assert.deepEqual(meta.keywords, ["budget", "tax"]);
+  assert.equal(meta.language, "en-IN");
+  assert.equal(meta.isAccessibleForFree, false);
+  assert.deepEqual(meta.image, { url: "https://news.example/img/budget.jpg", width: 1200, height: 675 });
+  assert.equal(meta.sources.headline, "json-ld");
+});
+
+test("broken or non-article JSON-LD is skipped", () => {
+  const head = '<script type="application/ld+json">{ "@type": "NewsArticle", </script>' +
+    jsonLd({ "@type": "BreadcrumbList", name: "Home > India" });
+  const meta = metadataOf("<h1>From the page</h1>", head);
+
+  assert.equal(meta.type, null);
+  assert.equal(meta.headline, "From the page");
+  assert.equal(meta.sources.headline, "html");
+});
+
+/* ============================================================
+   OPEN GRAPH AND FALLBACKS
+============================================================ */
+
+const OG = `
+  <meta property="og:title" content="Budget 2026 | News Example">
+  <meta property="og:description" content="What the budget means for you.">
+  <meta property="og:site_name" content="News Example">
+  <meta property="og:url" content="/india/budget-2026">
+  <meta property="og:locale" content="hi_IN">
+  <meta property="og:image" content="http://news.example/img/og.jpg">
+  <meta property="og:image:secure_url" content="https://news.example/img/og.jpg">
+  <meta property="og:image:width" content="1200">
+  <meta property="og:image:height" content="630">
+  <meta property="article:published_time" content="2026-02-01T11:00:00+05:30">
+  <meta property="article:author" content="https://facebook.com/priya">
+  <meta property="article:author" content="Priya Sharma">
+  <meta property="article:tag" content="budget">
+  <meta property="article:tag" content="tax">
+  <meta property="article:content_tier" content="metered">`;
+
+test("Open Graph fills every field it carries", () => {
+  const meta = metadataOf("<h1>Budget</h1>", OG);
+
+  assert.equal(meta.title, "Budget 2026 | News Example");
+  assert.equal(meta.headline, "Budget 2026 | News Example");
+  assert.equal(meta.description, "What the budget means for you.");
+  assert.equal(meta.siteName, "News Example");
+  assert.equal(meta.canonicalUrl, "https://news.example/india/budget-2026");
+  assert.equal(meta.language, "hi-IN");
+  assert.deepEqual(meta.image, { url: "https://news.example/img/og.jpg", width: 1200, height: 630 });
+  assert.equal(meta.datePublished, "2026-02-01T05:30:00.000Z");
+  assert.deepEqual(meta.authors, [{ name: "Priya Sharma", url: null }]);
+  assert.deepEqual(meta.keywords, ["budget", "tax"]);
+  assert.equal(meta.isAccessibleForFree, false);
+  assert.equal(meta.sources.image, "opengraph");
+});
+
+test("JSON-LD outranks Open Graph field by field, and the rest falls back", () => {
+  const ld = jsonLd({ "@type": "NewsArticle", headline: "From JSON-LD", datePublished: "2026-02-01T06:00:00Z" });
+  const meta = metadataOf(
+    '<time datetime="2026-01-01T00:00:00Z">1 Jan</time>',
+    `${ld}${OG}<meta name="news_keywords" content="ignored"><link rel="canonical" href="/canonical">`
+  );
+
+  assert.equal(meta.headline, "From JSON-LD");
+  assert.equal(meta.datePublished, "2026-02-01T06:00:00.000Z");
+  assert.equal(meta.description, "What the budget means for you.");
+  assert.deepEqual(
+    [meta.sources.headline, meta.sources.datePublished, meta.sources.description, meta.sources.keywords],
+    ["json-ld", "json-ld", "opengraph", "opengraph"]
+  );
+  // The flat title keeps preferring og:title for existing clients.
+  assert.equal(meta.title, "Budget 2026 | News Example");
+});
+
+test("a bare page still yields a title, a date and empty lists", () => {
+  const meta = metadataOf('<h1>Floods in Assam</h1><time datetime="1769929200">Feb 1</time>', '<meta name="author" content="A. Kumar, B. Das">');
+
+  assert.equal(meta.title, "Test");
+  assert.equal(meta.headline, "Floods in Assam");
+  assert.equal(meta.datePublished, "2026-02-01T07:00:00.000Z");
+  assert.deepEqual(meta.authors.map(a => a.name), ["A. Kumar", "B. Das"]);
+  assert.deepEqual(meta.keywords, []);
+  assert.equal(meta.description, "");
+  assert.equal(meta.image, null);
+  assert.equal(meta.language, "en");
+});
@@ -0,0 +1,172 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { call, serve, html, sendHtml } from "./helpers.js";
+
+const { discoverLinks, successorUrls, pageKey } = await import("../lib/pages.js");
+
+/* ============================================================
+   LINK DISCOVERY
+============================================================ */
+
+const BASE = "https://news.example/story/budget-2026";
+const links = (body, head = "", url = BASE) => discoverLinks(cheerio.load(html(body, head)), url);
+
+test("a declared rel=next wins; off-host and script links are ignored", () => {
+  assert.equal(
+    links('<a rel="next" href="https://elsewhere.example/2">Next</a><a rel="next" href="?page=2">Next</a>').next,
+    `${BASE}?page=2`
+  );
+  assert.equal(links('<div class="pagination"><a href="javascript:next()">Next</a></div>').next, null);
+});
+
+test("a linked successor URL or a next control in a pager is the next page", () => {
+  assert.equal(links('<a href="/story/budget-2026/page/2">2</a>').next, `${BASE}/page/2`);
+  assert.equal(links('<nav class="pager"><a href="/story/budget-2026-part-b">अगला पेज »</a></nav>').next,
+    "https://news.example/story/budget-2026-part-b");
+
+  // "Next" outside a pager is a related story, not a continuation.
+  assert.equal(links('<a href="/story/other">Next</a>').next, null);
+  // A link back to the page itself is no successor.
+  assert.equal(links(`<a rel="next" href="${BASE}/#top">Next</a>`).next, null);
+});
+
+test("successor URLs count up from the current page", () => {
+  assert.deepEqual(successorUrls(`${BASE}?page=3`), [`${BASE}?page=4`]);
+  assert.ok(successorUrls("https://news.example/2026/10/story/page/2/").includes(
+    "https://news.example/2026/10/story/page/3/"
+  ));
+  // An article ID isn't a page number.
+  assert.ok(!successorUrls("https://news.example/story/123").includes("https://news.example/story/124"));
+  assert.equal(pageKey(`${BASE}/#comments`), BASE);
+});
+
+test("AMP and print versions are found, AMP also on a sibling host", () => {
+  const found = links(
+    '<a class="print-link" href="/print/budget-2026">Print</a>',
+    '<link rel="amphtml" href="https://amp.news.example/story/budget-2026">'
+  );
+  assert.equal(found.amp, "https://amp.news.example/story/budget-2026");
+  assert.equal(found.print, "https://news.example/print/budget-2026");
+
+  assert.equal(links("", '<link rel="amphtml" href="https://amp.other.example/x">').amp, null);
+});
+
+/* ============================================================
+   PUBLISHER
+   /story has three continuation pages; /loop's second page links
+   back to the first; /paged?page=2 repeats page 1 under a new URL.
+============================================================ */
+
+const words = (label, n = 30) => Array.from({ length: n }, (_, i) => `${label}${i}`).join(" ");
+const article = (label, extra = "") => html(`<article><h1>Budget</h1><p>${words(label)}.</p>${extra}</article>`);
+const next = href => `<div class="pagination"><a rel="next" href="${href}">Next</a></div>`;
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => res.writeHead(404).end(),
+  "/story": sendHtml(article("one", next("/story/2"))),
+  "/story/2": sendHtml(article("two", next("/story/3"))),
+  "/story/3": sendHtml(article("three", next("/story/4"))),
+  "/story/4": sendHtml(article("four")),
+  "/loop": sendHtml(article("first", next("/loop/2"))),
+  "/loop/2": sendHtml(article("second", next("/loop/"))),
+  "/paged": sendHtml(article("same", next("/paged?page=2"))),
+  "/versions": sendHtml(
+    html(
+      `<article><h1>Budget</h1><p>${words("orig")}.</p><a class="print" href="/versions/print">Print</a></article>`,
+      '<link rel="amphtml" href="/versions/amp">'
+    )
+  ),
+  "/versions/amp": sendHtml(article("amp", `<p>${words("ampmore", 40)}.</p>`)),
+  "/versions/print": sendHtml(html("<article><p>Print view</p></article>")),
+  "/broken": sendHtml(
+    html(`<article><h1>Budget</h1><p>${words("orig")}.</p></article>`, '<link rel="amphtml" href="/broken/amp">')
+  )
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: scrape } = await import("../api/scrape.js");
+
+const scrapeOf = (path, query = {}) => call(scrape, { url: `${upstream.base}${path}`, nocache: "1", ...query });
+const hits = path => upstream.requests.filter(url => url === path).length;
+
+/* ============================================================
+   MULTI-PAGE
+============================================================ */
+
+test("continuation pages are stitched up to the page cap", async () => {
+  const res = await scrapeOf("/story", { pages: "3" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.stats.pages, 3);
+  assert.deepEqual(res.body.variants[0].pages, ["/story", "/story/2", "/story/3"].map(p => `${upstream.base}${p}`));
+  assert.match(res.body.fullText, /one0[\s\S]*two0[\s\S]*three0/);
+  assert.doesNotMatch(res.body.fullText, /four0/);
+  assert.equal(hits("/story/4"), 0);
+
+  const single = await scrapeOf("/story", { pages: "1" });
+  assert.equal(single.body.stats.pages, 1);
+
+  const over = await scrapeOf("/story", { pages: "11" });
+  assert.equal(over.statusCode, 400);
+  assert.equal(over.body.error.details.errors[0].param, "pages");
+});
+
+test("a next link back to a seen page or to repeated text stops the walk", async () => {
+  const loop = await scrapeOf("/loop", { pages: "10" });
+  assert.equal(loop.body.stats.pages, 2);
+  assert.equal(hits("/loop/"), 0);
+
+  const repeated = await scrapeOf("/paged", { pages: "10" });
+  assert.equal(repeated.body.stats.pages, 1);
+  assert.equal(upstream.requests.filter(url => url.startsWith("/paged?page=")).length, 1);
+});
+
+/* ============================================================
+   VARIANTS
+============================================================ */
+
+test("a requested version is used when it yields an article", async () => {
+  const amp = await scrapeOf("/versions", { variant: "amp" });
+  assert.equal(amp.body.variant, "amp");
+  assert.match(amp.body.fullText, /ampmore0/);
+  assert.deepEqual(
+    amp.body.variants.map(v => [v.variant, v.used]),
+    [["original", false], ["amp", true]]
+  );
+
+  // The print view is too short to be the article.
+  const print = await scrapeOf("/versions", { variant: "print" });
+  assert.equal(print.body.variant, "original");
+  assert.equal(print.body.variants[1].variant, "print");
+  assert.ok(print.body.variants[1].words < 20);
+});
+
+test("best takes the version with clearly more text", async () => {
+  const best = await scrapeOf("/versions", { variant: "best" });
+
+  assert.equal(best.body.variant, "amp");
+  assert.deepEqual(best.body.variants.map(v => v.variant), ["original", "amp", "print"]);
+  assert.equal(best.body.variants.filter(v => v.used).length, 1);
+});
+
+test("a version that fails to load falls back to the original and reports why", async () => {
+  const res = await scrapeOf("/broken", { variant: "amp" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.variant, "original");
+  assert.deepEqual(res.body.variants[1], {
+    variant: "amp",
+    url: `${upstream.base}/broken/amp`,
+    error: "UPSTREAM_4XX",
+    used: false
+  });
+
+  // No version to try: the original alone.
+  const none = await scrapeOf("/story", { variant: "print", pages: "1" });
+  assert.deepEqual(none.body.variants.map(v => v.variant), ["original"]);
+});
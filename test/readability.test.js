@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import * as cheerio from "cheerio";
+import { FullContentExtractor } from "../lib/scraper.js";
+import { scoreContent } from "../lib/readability.js";
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), "utf8");
+
+function extract(name, mode) {
+  const $ = cheerio.load(fixture(name));
+  return new FullContentExtractor($, { baseUrl: "https://example.test/story" }).extractContent(mode);
+}
+
+const paragraphs = text => text.split(/\n{2,}/);
+
+test("story with teaser <article>s: legacy reads the teasers", () => {
+  const { text } = extract("story_with_teasers", "legacy");
+  assert.match(text, /Council passes record budget/);
+  assert.match(text, /Power cuts likely in east wards/);
+  assert.doesNotMatch(text, /Blue Line/);
+});
+
+test("story with teaser <article>s: scored reads the story only", () => {
+  const { text } = extract("story_with_teasers", "scored");
+  const body = paragraphs(text);
+
+  assert.equal(body.length, 5);
+  assert.match(body[0], /^The long-delayed extension of the Blue Line opened on Saturday morning/);
+  assert.match(body[4], /feeder bus routes would be redrawn over the coming month\.$/);
+  assert.doesNotMatch(text, /Council passes|Lake clean-up|heritage scheme|substations/);
+});
+
+test("main wrapping a comment thread: legacy includes the comments", () => {
+  const { text } = extract("main_with_comments", "legacy");
+  assert.match(text, /south-west monsoon reached the Kerala coast/);
+  assert.match(text, /rainwatcher/);
+  assert.match(text, /large pinch of salt/);
+});
+
+test("main wrapping a comment thread: scored stops at the article", () => {
+  const { text } = extract("main_with_comments", "scored");
+  const body = paragraphs(text);
+
+  assert.equal(body.length, 4);
+  assert.match(body[0], /^The south-west monsoon reached the Kerala coast on June 11/);
+  assert.match(body[3], /surplus rain in central India during August\.$/);
+  assert.doesNotMatch(text, /Reader responses|rainwatcher|farmer_ravi|pinch of salt/);
+});
+
+test("plain article: both extractors read the same story", () => {
+  const legacy = extract("plain_article", "legacy").text.replace(/\s+/g, " ");
+  const scored = extract("plain_article", "scored").text;
+
+  for (const text of [legacy, scored]) {
+    assert.match(text, /central library reopened on Friday/);
+    assert.match(text, /former students of the town's college\./);
+    assert.doesNotMatch(text, /Market prices rise|New bus routes/);
+  }
+  assert.equal(paragraphs(scored).length, 3);
+});
+
+test("scored extraction reports the nodes it read", () => {
+  const { nodes } = extract("story_with_teasers", "scored");
+  assert.equal(nodes.length, 1);
+  assert.equal(nodes[0].attribs.class, "story-body");
+});
+
+test("scoreContent gives up on pages without article text", () => {
+  const $ = cheerio.load("<html><body><ul><li><a href='/a'>Home</a></li></ul><p>Short.</p></body></html>");
+  assert.equal(scoreContent($), null);
+});
@@ -0,0 +1,197 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { call } from "./helpers.js";
+
+const { field, validate, describeParameters, describeBody } = await import("../lib/schema.js");
+const { default: search } = await import("../api/search.js");
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function problems(schema, input, location) {
+  try {
+    validate(schema, input, location);
+  } catch (err) {
+    assert.equal(err.code, "INVALID_PARAM");
+    assert.equal(err.status, 400);
+    return err;
+  }
+  assert.fail("expected INVALID_PARAM");
+}
+
+/* ============================================================
+   COERCION
+============================================================ */
+
+test("query strings are coerced to their declared types", () => {
+  const schema = {
+    q: field.string(),
+    limit: field.integer(),
+    expand: field.boolean(),
+    url: field.url(),
+    lang: field.lang(),
+    country: field.country(),
+    urls: field.array(field.url())
+  };
+
+  assert.deepEqual(
+    validate(schema, {
+      q: "  monsoon  ",
+      limit: " 25 ",
+      expand: "yes",
+      url: "https://example.com/a b",
+      lang: "HI",
+      country: "in",
+      urls: ["https://example.com/1", "http://example.com/2"]
+    }),
+    {
+      q: "monsoon",
+      limit: 25,
+      expand: true,
+      url: "https://example.com/a%20b",
+      lang: "hi",
+      country: "IN",
+      urls: ["https://example.com/1", "http://example.com/2"]
+    }
+  );
+});
+
+test("booleans accept the usual spellings", () => {
+  const schema = { flag: field.boolean() };
+  for (const raw of ["1", "true", "TRUE", "yes", "on", true]) {
+    assert.equal(validate(schema, { flag: raw }).flag, true, String(raw));
+  }
+  for (const raw of ["0", "false", "no", "off", false]) {
+    assert.equal(validate(schema, { flag: raw }).flag, false, String(raw));
+  }
+  assert.equal(problems(schema, { flag: "maybe" }).details.errors[0].message, "flag must be true or false");
+});
+
+test("repeated query keys use the last value", () => {
+  assert.deepEqual(validate({ limit: field.integer() }, { limit: ["5", "7"] }), { limit: 7 });
+});
+
+test("defaults fill missing and empty values; unknown keys are dropped", () => {
+  const schema = { limit: field.integer({ default: 20 }), lang: field.lang({ default: "en" }) };
+  assert.deepEqual(validate(schema, { limit: "", other: "x" }), { limit: 20, lang: "en" });
+  assert.deepEqual(validate({ q: field.string() }, {}), {});
+});
+
+test("values that don't parse are rejected", () => {
+  const cases = [
+    [field.integer(), "12abc", "must be an integer"],
+    [field.integer(), "1.5", "must be an integer"],
+    [field.integer(), " ", "must be an integer"],
+    [field.url(), "example.com/story", "must be an absolute URL"],
+    [field.url(), "ftp://example.com/file", "must be an http(s) URL"],
+    [field.lang(), "english", "must be an ISO 639 language code"],
+    [field.country(), "XX", "must be an ISO 3166-1 alpha-2 country code"],
+    [field.array(field.url()), "https://example.com", "must be an array"]
+  ];
+
+  for (const [spec, raw, message] of cases) {
+    assert.equal(problems({ v: spec }, { v: raw }).message, `v ${message}`, raw);
+  }
+});
+
+/* ============================================================
+   ENUMS AND BOUNDS
+============================================================ */
+
+test("enums accept listed values only, optionally ignoring case", () => {
+  const format = field.enum(["text", "markdown", "html"]);
+  assert.equal(validate({ format }, { format: "html" }).format, "html");
+  assert.equal(problems({ format }, { format: "HTML" }).message, "format must be one of: text, markdown, html");
+
+  const loose = field.enum(["Top", "World"], { ignoreCase: true });
+  assert.equal(validate({ topic: loose }, { topic: "world" }).topic, "World");
+});
+
+test("integer bounds are inclusive", () => {
+  const schema = { limit: field.integer({ min: 1, max: 100 }) };
+  assert.equal(validate(schema, { limit: "1" }).limit, 1);
+  assert.equal(validate(schema, { limit: "100" }).limit, 100);
+  assert.equal(problems(schema, { limit: "0" }).message, "limit must be >= 1");
+  assert.equal(problems(schema, { limit: "101" }).message, "limit must be <= 100");
+});
+
+test("string length, pattern and array size limits apply", () => {
+  const q = field.string({ minLength: 2, maxLength: 5, pattern: /^[a-z]+$/ });
+  assert.equal(problems({ q }, { q: "a" }).message, "q must be at least 2 characters");
+  assert.equal(problems({ q }, { q: "abcdef" }).message, "q must be at most 5 characters");
+  assert.equal(problems({ q }, { q: "ab1" }).message, "q must match ^[a-z]+$");
+
+  const urls = field.array(field.url(), { minItems: 1, maxItems: 2 });
+  assert.equal(problems({ urls }, { urls: [] }, "body").message, "urls must have at least 1 items");
+  assert.equal(
+    problems({ urls }, { urls: ["https://a.example", "https://b.example", "https://c.example"] }, "body").message,
+    "urls must have at most 2 items"
+  );
+  assert.equal(
+    problems({ urls }, { urls: ["https://a.example", "nope"] }, "body").message,
+    "urls item 1 must be an absolute URL"
+  );
+});
+
+/* ============================================================
+   INVALID_PARAM DETAILS
+============================================================ */
+
+test("every bad parameter is reported with its name and location", () => {
+  const schema = {
+    url: field.url({ required: true }),
+    limit: field.integer({ max: 10 }),
+    format: field.enum(["text", "html"])
+  };
+
+  const err = problems(schema, { limit: "50", format: "pdf" });
+  assert.equal(err.message, "3 invalid parameters");
+  assert.deepEqual(err.details, {
+    errors: [
+      { param: "url", in: "query", message: "url is required" },
+      { param: "limit", in: "query", message: "limit must be <= 10" },
+      { param: "format", in: "query", message: "format must be one of: text, html" }
+    ]
+  });
+
+  const single = problems({ urls: field.array(field.url(), { required: true }) }, {}, "body");
+  assert.equal(single.message, "urls is required");
+  assert.deepEqual(single.details, { errors: [{ param: "urls", in: "body", message: "urls is required" }] });
+});
+
+test("handlers answer INVALID_PARAM with the details in the envelope", async () => {
+  const res = await call(search, { q: "monsoon", limit: "500", country: "ZZ" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.code, "INVALID_PARAM");
+  assert.deepEqual(
+    res.body.error.details.errors.map(({ param, in: location }) => [param, location]),
+    [["limit", "query"], ["country", "query"]]
+  );
+});
+
+/* ============================================================
+   DESCRIPTION
+============================================================ */
+
+test("schemas describe themselves as OpenAPI parameters and JSON Schema", () => {
+  const query = {
+    q: field.string({ required: true, description: "Search terms", maxLength: 200 }),
+    limit: field.integer({ min: 1, max: 100, default: 20 }),
+    format: field.enum(["text", "html"])
+  };
+
+  assert.deepEqual(describeParameters(query), [
+    { name: "q", in: "query", required: true, description: "Search terms", schema: { type: "string", maxLength: 200 } },
+    { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1, maximum: 100, default: 20 } },
+    { name: "format", in: "query", required: false, schema: { type: "string", enum: ["text", "html"] } }
+  ]);
+
+  assert.deepEqual(describeBody({ urls: field.array(field.url(), { required: true, maxItems: 20 }) }), {
+    type: "object",
+    properties: { urls: { type: "array", items: { type: "string", format: "uri" }, maxItems: 20 } },
+    required: ["urls"]
+  });
+});
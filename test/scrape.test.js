@@ -0,0 +1,36 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { call, serve, html, sendHtml } from "./helpers.js";
+
+const paragraphs = Array.from(
+  { length: 8 },
+  (_, i) => `<p>Paragraph ${i} of the story carries enough ordinary words to be read as real article text by the extractor.</p>`
+).join("\n");
+
+const upstream = await serve({
+  "/robots.txt": (req, res) => {
+    res.statusCode = 404;
+    res.end();
+  },
+  "/story": sendHtml(html(`<article><h1>Story</h1>${paragraphs}</article>`))
+});
+after(() => upstream.close());
+
+process.env.SCRAPE_ALLOW_PRIVATE = "true";
+process.env.SCRAPE_ALLOWED_PORTS = `80,443,${upstream.port}`;
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+
+const { default: scrape } = await import("../api/scrape.js");
+
+const pageHits = () => upstream.requests.filter(url => url === "/story").length;
+
+for (const mode of ["nocache", "refresh"]) {
+  test(`summarize=true with ${mode}=1 fetches the page once`, async () => {
+    const before = pageHits();
+    const res = await call(scrape, { url: `${upstream.base}/story`, summarize: "true", [mode]: "1" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.summary.sentences.length, 3);
+    assert.equal(pageHits() - before, 1);
+  });
+}
@@ -0,0 +1,259 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { call, html } from "./helpers.js";
+
+process.env.FETCH_HOST_INTERVAL_MS = "1";
+delete process.env.CACHE_BACKEND;
+delete process.env.API_KEYS_REQUIRED;
+
+const { extractSearchResults, extractProfileResults, findSiteByUrl, searchSite } = await import("../lib/sources.js");
+const { default: sourcesSearch } = await import("../api/sources/search.js");
+const { default: scrape } = await import("../api/scrape.js");
+
+/* ============================================================
+   GENERIC RESULT LINKS
+============================================================ */
+
+const PAGE_URL = "https://www.news.example/search?q=monsoon";
+const resultsOf = body => extractSearchResults(cheerio.load(html(body)), PAGE_URL);
+
+test("same-site links with an article-shaped path and a headline are results", () => {
+  const results = resultsOf(`
+    <a href="/india/monsoon-reaches-kerala-early-this-year">Monsoon reaches Kerala early this year</a>
+    <a href="https://m.news.example/news/2026/10/19/story">Rain warning issued for five districts today</a>
+    <a href="/article/98765432">IMD issues orange alert for coastal Karnataka</a>`);
+
+  assert.deepEqual(results.map(r => r.link), [
+    "https://www.news.example/india/monsoon-reaches-kerala-early-this-year",
+    "https://m.news.example/news/2026/10/19/story",
+    "https://www.news.example/article/98765432"
+  ]);
+  assert.equal(results[0].title, "Monsoon reaches Kerala early this year");
+});
+
+test("navigation, other sites and short labels are not results", () => {
+  const results = resultsOf(`
+    <a href="/">Home page of the news example site</a>
+    <a href="/search?q=monsoon">Search results for monsoon this week</a>
+    <a href="/tag/monsoon-rain-kerala-2026">All stories tagged monsoon rain Kerala</a>
+    <a href="/author/priya-sharma-senior-editor">Priya Sharma, senior editor at the desk</a>
+    <a href="https://elsewhere.example/india/monsoon-reaches-kerala-early">Monsoon reaches Kerala early this year</a>
+    <a href="javascript:void(0)">Monsoon reaches Kerala early this year</a>
+    <a href="/india/monsoon-reaches-kerala-early-this-year">Read</a>`);
+
+  assert.deepEqual(results, []);
+});
+
+test("repeated links keep their longest label, from text, title or image alt", () => {
+  const results = resultsOf(`
+    <a href="/india/monsoon-reaches-kerala-early#top"><img alt="Monsoon reaches Kerala early this year"></a>
+    <a href="/india/monsoon-reaches-kerala-early">Monsoon reaches Kerala early this year, IMD says</a>
+    <a href="/india/dam-shutters-opened-in-idukki" title="Dam shutters opened in Idukki district"></a>`);
+
+  assert.deepEqual(results, [
+    {
+      title: "Monsoon reaches Kerala early this year, IMD says",
+      link: "https://www.news.example/india/monsoon-reaches-kerala-early"
+    },
+    { title: "Dam shutters opened in Idukki district", link: "https://www.news.example/india/dam-shutters-opened-in-idukki" }
+  ]);
+});
+
+/* ============================================================
+   STUBBED SOURCES
+   The first six technology sources: two answer with results, one
+   refuses with 403, one serves a CAPTCHA page, one's robots.txt
+   forbids its search page and one finds nothing.
+============================================================ */
+
+const links = (host, n) =>
+  Array.from(
+    { length: n },
+    (_, i) => `<a href="https://${host}/2026/10/19/chip-story-number-${i}">Chip plant story number ${i} from ${host}</a>`
+  ).join("\n");
+
+const PAGES = {
+  "www.theverge.com": () => html(links("www.theverge.com", 3)),
+  "search.techcrunch.com": () => ({ status: 403 }),
+  "arstechnica.com": () => html("<p>Please complete the CAPTCHA to continue.</p>"),
+  "www.wired.com": () => html(links("www.wired.com", 2))
+};
+const ROBOTS = { "www.zdnet.com": "User-agent: *\nDisallow: /search/" };
+
+const reply = (config, status, data) => {
+  const response = { data, status, statusText: String(status), headers: { "content-type": "text/html" }, config, request: {} };
+  if (status < 400) return response;
+  throw new axios.AxiosError(`Request failed with status code ${status}`, "ERR_BAD_REQUEST", config, {}, response);
+};
+
+axios.defaults.adapter = async config => {
+  const url = new URL(config.url);
+  if (url.pathname === "/robots.txt") {
+    return ROBOTS[url.hostname] ? reply(config, 200, ROBOTS[url.hostname]) : reply(config, 404, "");
+  }
+
+  const page = PAGES[url.hostname]?.();
+  if (!page) return reply(config, 200, html(""));
+  return typeof page === "string" ? reply(config, 200, page) : reply(config, page.status, "");
+};
+
+/* ============================================================
+   FAN-OUT ENDPOINT
+============================================================ */
+
+test("every source reports how it went and results are merged round-robin", async () => {
+  const res = await call(sourcesSearch, { q: "chip plant", category: "Technology", sources: "6", nocache: "1" });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.sources.map(s => [s.source, s.status, s.results]),
+    [
+      ["The Verge", "ok", 3],
+      ["TechCrunch", "blocked", 0],
+      ["Ars Technica", "blocked", 0],
+      ["Wired", "ok", 2],
+      ["ZDNet", "disallowed", 0],
+      ["The Next Web", "empty", 0]
+    ]
+  );
+  assert.equal(res.body.sources[1].httpStatus, 403);
+  assert.deepEqual(res.body.statusCounts, { ok: 2, blocked: 2, disallowed: 1, empty: 1 });
+  // Filters are matched case-insensitively and echoed canonically.
+  assert.deepEqual(res.body.filters, { category: "technology", region: null });
+
+  assert.deepEqual(
+    res.body.articles.map(a => `${a.source}:${a.link.slice(-1)}`),
+    ["The Verge:0", "Wired:0", "The Verge:1", "Wired:1", "The Verge:2"]
+  );
+  assert.deepEqual(
+    Object.keys(res.body.articles[0]).sort(),
+    ["category", "link", "region", "source", "title"]
+  );
+});
+
+test("limit caps the merged list and the answer is cached", async () => {
+  const query = { q: "chip plant", category: "technology", sources: "4", limit: "2" };
+
+  const first = await call(sourcesSearch, query);
+  const second = await call(sourcesSearch, query);
+
+  assert.equal(first.body.total, 2);
+  assert.deepEqual(first.body.articles.map(a => a.source), ["The Verge", "Wired"]);
+  assert.equal(second.headers["x-cache"], "HIT");
+  assert.equal(second.body.cached, true);
+});
+
+test("filters that match no source are a 404; q is required", async () => {
+  const none = await call(sourcesSearch, { q: "chip", category: "technology", region: "Qatar" });
+  assert.equal(none.statusCode, 404);
+  assert.deepEqual(none.body.error.details.filters, { category: "technology", region: "Qatar" });
+
+  const missing = await call(sourcesSearch, {});
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body.error.details.errors[0].param, "q");
+});
+
+/* ============================================================
+   EXTRACTION PROFILES
+============================================================ */
+
+const NDTV_PROFILE = findSiteByUrl("https://www.ndtv.com/").profile;
+
+const NDTV_RESULTS = html(`
+  <ul>
+    <li class="src_lst-li">
+      <div class="src_itm-ttl"><a href="/india-news/chip-plant-approved-123">Chip  plant approved</a></div>
+      <span class="src_itm-stx"><time datetime="2026-10-19T05:00:00+05:30">Oct 19</time></span>
+      <p class="src_itm-txt">The cabinet cleared the plant.</p>
+    </li>
+    <li class="src_lst-li">
+      <a href="https://www.ndtv.com/india-news/chip-plant-approved-123#comments">Comments</a>
+    </li>
+    <li class="src_lst-li">
+      <div class="src_itm-ttl"><a href="javascript:void(0)">Not a link</a></div>
+    </li>
+    <li class="news_Itm">
+      <h2 class="newsHdng"><a href="https://www.ndtv.com/world-news/summit-ends-456">Summit ends</a></h2>
+      <span class="posted-by">Monday, October 19, 2026</span>
+    </li>
+  </ul>`);
+
+test("a profile reads one result per item with its title, date and snippet", () => {
+  const results = extractProfileResults(cheerio.load(NDTV_RESULTS), "https://www.ndtv.com/search?searchtext=chip", NDTV_PROFILE);
+
+  assert.deepEqual(results, [
+    {
+      title: "Chip plant approved",
+      link: "https://www.ndtv.com/india-news/chip-plant-approved-123",
+      publishedAt: "2026-10-19T05:00:00+05:30",
+      snippet: "The cabinet cleared the plant."
+    },
+    {
+      title: "Summit ends",
+      link: "https://www.ndtv.com/world-news/summit-ends-456",
+      publishedAt: "Monday, October 19, 2026",
+      snippet: ""
+    }
+  ]);
+});
+
+test("profile selectors are optional", () => {
+  const results = extractProfileResults(
+    cheerio.load(html('<div class="hit"><a href="/a/b/c">Plain anchor label</a></div>')),
+    "https://news.example/search",
+    { item: ".hit" }
+  );
+
+  assert.deepEqual(results, [{ title: "Plain anchor label", link: "https://news.example/a/b/c", publishedAt: null, snippet: "" }]);
+});
+
+test("a URL maps to its registry entry by host or parent domain", () => {
+  assert.equal(findSiteByUrl("https://indianexpress.com/article/india/x-123/").name, "Indian Express");
+  assert.equal(findSiteByUrl("https://sports.ndtv.com/cricket/x").name, "NDTV");
+  // The most specific host wins over a shared parent domain.
+  assert.equal(findSiteByUrl("https://economictimes.indiatimes.com/x").name, "Economic Times");
+  assert.equal(findSiteByUrl("https://notndtv.com/x"), null);
+  assert.equal(findSiteByUrl("not a url"), null);
+});
+
+const SITE = {
+  name: "Profiled Example",
+  url: q => `https://profiled.example/search?q=${q}`,
+  category: "general",
+  region: "India",
+  profile: { item: ".result-card" }
+};
+
+test("a site whose profile finds nothing falls back to the generic heuristic", async () => {
+  PAGES["profiled.example"] = () => html(links("profiled.example", 2));
+
+  const { report, articles } = await searchSite(SITE, "chip plant");
+
+  assert.equal(report.status, "ok");
+  assert.equal(articles.length, 2);
+  assert.deepEqual(
+    [articles[0].source, articles[0].category, articles[0].region],
+    ["Profiled Example", "general", "India"]
+  );
+});
+
+test("a profile's body and remove selectors shape the scraped article", async () => {
+  const words = "The state cabinet approved the semiconductor plant on Monday after a long review of its water use.";
+  PAGES["indianexpress.com"] = () =>
+    html(`
+      <div class="trending">${"Trending elsewhere on the site today. ".repeat(20)}</div>
+      <div id="pcl-full-content">
+        <p>${words}</p>
+        <div class="also-read">Also read: unrelated story</div>
+        <p>${words}</p>
+      </div>`);
+
+  const res = await call(scrape, { url: "https://indianexpress.com/article/india/chip-plant-123/", nocache: "1" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.profile, "Indian Express");
+  assert.match(res.body.fullText, /semiconductor plant/);
+  assert.doesNotMatch(res.body.fullText, /Also read|Trending/);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeText, splitSentences, SUMMARY_METHODS } from "../lib/summarize.js";
+
+// Abbreviations and initials the library splits on but we don't.
+const ARTICLE = [
+  "Dr. Meera Rao of the state health department said the new vaccine trial enrolled four thousand volunteers across nine districts.",
+  "The trial began in March after the regulator approved the protocol submitted by the U.S. partner laboratory.",
+  "Volunteers received two doses four weeks apart and were followed for six months by local clinics.",
+  "Prof. A. K. Sharma, who led the analysis, said the vaccine prevented severe illness in most participants.",
+  "Side effects were mild and included fever, headache and soreness at the injection site for a day or two.",
+  "The department plans to publish the full results in a peer reviewed journal before the end of the year.",
+  "Officials said the rollout to hospitals could begin within three months if the regulator grants approval.",
+  "Mr. Verma, a volunteer from Nagpur, said he joined the trial because his mother works as a nurse.",
+  "Opposition leaders asked the government to disclose the cost of the vaccine and the contract terms.",
+  "The health minister said the vaccine would be free at government hospitals for all age groups."
+].join(" ");
+
+for (const method of SUMMARY_METHODS) {
+  for (const count of [1, 3, 5]) {
+    test(`${method} returns exactly ${count} sentence(s) from the text`, async () => {
+      const summary = await summarizeText(ARTICLE, { method, sentences: count });
+      const all = splitSentences(ARTICLE);
+
+      assert.equal(summary.method, method);
+      assert.equal(summary.sentences.length, count);
+      for (const sentence of summary.sentences) assert.ok(all.includes(sentence), sentence);
+
+      const positions = summary.sentences.map(s => all.indexOf(s));
+      assert.deepEqual(positions, [...positions].sort((a, b) => a - b), "kept in text order");
+      assert.equal(summary.text, summary.sentences.join(" "));
+    });
+  }
+}
+
+test("short texts return every usable sentence", async () => {
+  const text = "Only one sentence here has enough words. Too short.";
+  const summary = await summarizeText(text, { sentences: 3 });
+  assert.deepEqual(summary.sentences, ["Only one sentence here has enough words."]);
+});
+
+test("sentences split on abbreviations and initials stay whole", () => {
+  const [first, , , fourth] = splitSentences(ARTICLE);
+  assert.match(first, /^Dr\. Meera Rao .* districts\.$/);
+  assert.match(fourth, /^Prof\. A\. K\. Sharma, .* participants\.$/);
+});
+
+test("CJK summaries keep their sentences", async () => {
+  const text =
+    "政府は新しい経済対策を発表しました。対策には中小企業への支援が含まれています。" +
+    "専門家は効果を慎重に見守る必要があると述べました。野党は財源の説明を求めています。" +
+    "市場は発表を受けて小幅に上昇しました。";
+  const summary = await summarizeText(text, { sentences: 2 });
+  assert.equal(summary.sentences.length, 2);
+});